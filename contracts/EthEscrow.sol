@@ -0,0 +1,194 @@
+// contracts/EthEscrow.sol
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * Escrow contract for ETH escrows (see src/lib/ethContract.js).
+ *
+ * One EthEscrow holds the funds of one escrow. The buyer (or anyone on
+ * their behalf) pays `amount + buyerFee` into it; from then on:
+ * - the buyer releases: the seller gets `amount - sellerFee`, the platform
+ *   both fee shares and any overpayment goes back to the buyer;
+ * - the arbiter refunds everything to the buyer, or splits the balance
+ *   between seller and buyer, the rest going to the platform;
+ * - once `deadline` has passed without either, anyone can return the whole
+ *   balance to the buyer, so funds never depend on the platform alone.
+ * A partly funded escrow can be refunded the same way.
+ *
+ * Instances are created through EthEscrowFactory, which fixes the arbiter
+ * and fee recipient so an escrow cannot name its own, and records every
+ * instance it created so the app can tell genuine ones apart.
+ */
+contract EthEscrow {
+    enum State {
+        AwaitingDeposit,
+        Funded,
+        Released,
+        Refunded,
+        Split
+    }
+
+    address public immutable factory;
+    address public immutable buyer;
+    address public immutable seller;
+    address public immutable arbiter;
+    address public immutable feeRecipient;
+    uint256 public immutable amount;
+    uint256 public immutable buyerFee;
+    uint256 public immutable sellerFee;
+    uint64 public immutable deadline;
+    State public state;
+
+    event Deposited(address indexed from, uint256 value, uint256 balance);
+    event Released(uint256 toSeller, uint256 toBuyer, uint256 fee);
+    event Refunded(uint256 toBuyer, bool timedOut);
+    event Split(uint256 toSeller, uint256 toBuyer, uint256 fee);
+
+    error NotAllowed();
+    error WrongState(State state);
+    error TooEarly(uint64 deadline);
+    error InvalidSplit();
+    error TransferFailed(address to);
+
+    constructor(
+        address buyer_,
+        address seller_,
+        address arbiter_,
+        address feeRecipient_,
+        uint256 amount_,
+        uint256 buyerFee_,
+        uint256 sellerFee_,
+        uint64 deadline_
+    ) {
+        if (
+            buyer_ == address(0) ||
+            seller_ == address(0) ||
+            buyer_ == seller_ ||
+            amount_ == 0 ||
+            sellerFee_ > amount_ ||
+            deadline_ <= block.timestamp
+        ) revert NotAllowed();
+        factory = msg.sender;
+        buyer = buyer_;
+        seller = seller_;
+        arbiter = arbiter_;
+        feeRecipient = feeRecipient_;
+        amount = amount_;
+        buyerFee = buyerFee_;
+        sellerFee = sellerFee_;
+        deadline = deadline_;
+    }
+
+    /// Amount the buyer pays in: the escrow amount plus their fee share.
+    function totalDue() public view returns (uint256) {
+        return amount + buyerFee;
+    }
+
+    receive() external payable {
+        deposit();
+    }
+
+    function deposit() public payable {
+        if (state != State.AwaitingDeposit) revert WrongState(state);
+        if (msg.value == 0) revert NotAllowed();
+        if (address(this).balance >= totalDue()) state = State.Funded;
+        emit Deposited(msg.sender, msg.value, address(this).balance);
+    }
+
+    function release() external {
+        if (msg.sender != buyer) revert NotAllowed();
+        if (state != State.Funded) revert WrongState(state);
+        state = State.Released;
+        uint256 toSeller = amount - sellerFee;
+        uint256 fee = buyerFee + sellerFee;
+        uint256 toBuyer = address(this).balance - toSeller - fee;
+        _pay(seller, toSeller);
+        _pay(feeRecipient, fee);
+        _pay(buyer, toBuyer);
+        emit Released(toSeller, toBuyer, fee);
+    }
+
+    function refund() external {
+        if (msg.sender != arbiter) revert NotAllowed();
+        _refund(false);
+    }
+
+    function refundAfterTimeout() external {
+        if (block.timestamp < deadline) revert TooEarly(deadline);
+        _refund(true);
+    }
+
+    function split(uint256 toSeller, uint256 toBuyer) external {
+        if (msg.sender != arbiter) revert NotAllowed();
+        if (state != State.Funded) revert WrongState(state);
+        uint256 balance = address(this).balance;
+        if (toSeller + toBuyer > balance) revert InvalidSplit();
+        state = State.Split;
+        uint256 fee = balance - toSeller - toBuyer;
+        _pay(seller, toSeller);
+        _pay(buyer, toBuyer);
+        _pay(feeRecipient, fee);
+        emit Split(toSeller, toBuyer, fee);
+    }
+
+    function _refund(bool timedOut) private {
+        if (state != State.AwaitingDeposit && state != State.Funded) {
+            revert WrongState(state);
+        }
+        uint256 balance = address(this).balance;
+        if (balance == 0) revert NotAllowed();
+        state = State.Refunded;
+        _pay(buyer, balance);
+        emit Refunded(balance, timedOut);
+    }
+
+    // State is final before any transfer, so re-entering changes nothing
+    function _pay(address to, uint256 value) private {
+        if (value == 0) return;
+        (bool ok, ) = to.call{value: value}("");
+        if (!ok) revert TransferFailed(to);
+    }
+}
+
+contract EthEscrowFactory {
+    address public immutable arbiter;
+    address public immutable feeRecipient;
+    mapping(address => bool) public isEscrow;
+
+    /// `ref` is keccak256 of the app's transaction id
+    event EscrowCreated(
+        address indexed escrow,
+        address indexed buyer,
+        address indexed seller,
+        bytes32 ref
+    );
+
+    constructor(address arbiter_, address feeRecipient_) {
+        arbiter = arbiter_;
+        feeRecipient = feeRecipient_;
+    }
+
+    function createEscrow(
+        address buyer,
+        address seller,
+        uint256 amount,
+        uint256 buyerFee,
+        uint256 sellerFee,
+        uint64 deadline,
+        bytes32 ref
+    ) external returns (address) {
+        EthEscrow escrow = new EthEscrow(
+            buyer,
+            seller,
+            arbiter,
+            feeRecipient,
+            amount,
+            buyerFee,
+            sellerFee,
+            deadline
+        );
+        isEscrow[address(escrow)] = true;
+        emit EscrowCreated(address(escrow), buyer, seller, ref);
+        return address(escrow);
+    }
+}
@@ -0,0 +1,98 @@
+// functions/chain/ethereum.js
+import { TRANSFER_TOPIC } from "../../src/lib/tokens.js";
+import { createRpcClient } from "./rpc.js";
+
+/**
+ * Chain adapter for ETH and ERC-20 deposits over standard JSON-RPC (geth,
+ * anvil, hardhat). Plain JSON-RPC has no address index, so the adapter scans
+ * new blocks for transfers to watched addresses, remembering how far it got
+ * in a cursor store ({ get(): Promise<number|null>, set(n): Promise<void> }).
+ * Token transfers come from the same window's Transfer logs and carry the
+ * lower-case token contract as `token`; native deposits have none.
+ */
+
+const toHex = (n) => "0x" + n.toString(16);
+
+// An address as an indexed log topic, left-padded to 32 bytes
+const toTopic = (address) =>
+  "0x" + address.slice(2).toLowerCase().padStart(64, "0");
+
+/**
+ * @param {object} opts
+ * @param {string} opts.url RPC URL, e.g. http://127.0.0.1:8545
+ * @param {{ get: function, set: function }} opts.cursor last scanned block
+ * @param {number} [opts.maxBlocksPerRun] scan window per call
+ */
+export function createEthAdapter({ url, cursor, maxBlocksPerRun = 500 }) {
+  const rpc = createRpcClient(url);
+
+  async function getTipHeight() {
+    return parseInt(await rpc("eth_blockNumber"), 16);
+  }
+
+  // Transfer(from, to, value) logs of any token to a watched address, one
+  // deposit per transaction, address and token
+  async function getTokenDeposits(wanted, from, to) {
+    if (!wanted.size) return [];
+    const logs = await rpc("eth_getLogs", [
+      {
+        fromBlock: toHex(from),
+        toBlock: toHex(to),
+        topics: [TRANSFER_TOPIC, null, [...wanted.keys()].map(toTopic)],
+      },
+    ]);
+    const byKey = new Map();
+    for (const log of logs || []) {
+      if (log.removed || !log.data || log.data === "0x") continue;
+      const address = wanted.get("0x" + log.topics[2].slice(26));
+      const amount = BigInt(log.data);
+      if (!address || amount === 0n) continue;
+      const token = log.address.toLowerCase();
+      const key = `${log.transactionHash}:${address}:${token}`;
+      const prev = byKey.get(key);
+      byKey.set(key, {
+        address,
+        txid: log.transactionHash,
+        amount: ((prev ? BigInt(prev.amount) : 0n) + amount).toString(),
+        blockHeight: parseInt(log.blockNumber, 16),
+        token,
+      });
+    }
+    return [...byKey.values()];
+  }
+
+  return {
+    currency: "ETH",
+    getTipHeight,
+
+    async getDeposits(addresses) {
+      const wanted = new Map(addresses.map((a) => [a.toLowerCase(), a]));
+      const tip = await getTipHeight();
+      const last = await cursor.get();
+      const from = last === null ? Math.max(0, tip - maxBlocksPerRun) : last + 1;
+      const to = Math.min(tip, from + maxBlocksPerRun - 1);
+
+      const deposits = [];
+      for (let n = from; n <= to; n++) {
+        const block = await rpc("eth_getBlockByNumber", [toHex(n), true]);
+        for (const tx of block?.transactions || []) {
+          const address = tx.to && wanted.get(tx.to.toLowerCase());
+          if (!address || BigInt(tx.value) === 0n) continue;
+          const receipt = await rpc("eth_getTransactionReceipt", [tx.hash]);
+          if (receipt?.status !== "0x1") continue;
+          deposits.push({
+            address,
+            txid: tx.hash,
+            amount: BigInt(tx.value).toString(),
+            blockHeight: n,
+          });
+        }
+      }
+      if (to >= from) {
+        deposits.push(...(await getTokenDeposits(wanted, from, to)));
+        await cursor.set(to);
+      }
+      return deposits;
+    },
+  };
+}
@@ -0,0 +1,55 @@
+// functions/chain/index.js
+import { createBitcoindAdapter } from "./bitcoind.js";
+import { createEthAdapter } from "./ethereum.js";
+
+/**
+ * Builds the chain adapters configured in the environment. A currency whose
+ * RPC URL is unset is simply not watched.
+ *
+ *   BTC_RPC_URL, BTC_RPC_WALLET   Bitcoin Core
+ *   BCH_RPC_URL, BCH_RPC_WALLET   Bitcoin Cash Node
+ *   ETH_RPC_URL                   any Ethereum JSON-RPC node
+ *   CHAIN_NETWORK                 "mainnet" (default) or "regtest"
+ *
+ * Every adapter exposes { currency, getTipHeight(), getDeposits(addresses) }
+ * where each deposit is { address, txid, amount (base units), blockHeight }
+ * and, for BTC and BCH, the outputs it paid: outputs: [{ vout, amount }].
+ * The ETH adapter also reports ERC-20 transfers, with the lower-case token
+ * contract as `token`; it serves the token currencies too (chainOf in
+ * src/lib/tokens.js).
+ */
+export function createAdaptersFromEnv(db, env = process.env) {
+  const network = env.CHAIN_NETWORK || "mainnet";
+  const adapters = {};
+  for (const currency of ["BTC", "BCH"]) {
+    const url = env[`${currency}_RPC_URL`];
+    if (!url) continue;
+    adapters[currency] = createBitcoindAdapter({
+      currency,
+      url,
+      wallet: env[`${currency}_RPC_WALLET`],
+      network,
+    });
+  }
+  if (env.ETH_RPC_URL) {
+    adapters.ETH = createEthAdapter({
+      url: env.ETH_RPC_URL,
+      cursor: firestoreCursor(db, "ETH"),
+    });
+  }
+  return adapters;
+}
+
+/** Scan cursor kept in chainCursors/{currency}. */
+export function firestoreCursor(db, currency) {
+  const ref = db.doc(`chainCursors/${currency}`);
+  return {
+    async get() {
+      const snap = await ref.get();
+      return snap.exists ? snap.data().lastBlock : null;
+    },
+    async set(lastBlock) {
+      await ref.set({ lastBlock });
+    },
+  };
+}
@@ -0,0 +1,59 @@
+// functions/chain/mock.js
+import { randomBytes } from "node:crypto";
+
+/**
+ * In-memory chain adapter for tests and local demos.
+ *
+ *   const chain = createMockAdapter("BTC");
+ *   chain.send(tx.escrowWallet, "150000000"); // unconfirmed
+ *   chain.mine(2);                            // now 2 confirmations
+ */
+export function createMockAdapter(currency) {
+  let tip = 0;
+  const txs = [];
+
+  return {
+    currency,
+
+    async getTipHeight() {
+      return tip;
+    },
+
+    async getDeposits(addresses) {
+      const wanted = new Set(addresses);
+      return txs
+        .filter((t) => wanted.has(t.address))
+        .map((t) => ({ ...t }));
+    },
+
+    /**
+     * Broadcasts a payment; it confirms on the next mine(). With `token`
+     * (a lower-case ERC-20 contract) it is a token transfer instead.
+     */
+    send(
+      address,
+      amount,
+      { txid = randomBytes(32).toString("hex"), token = null } = {}
+    ) {
+      txs.push({
+        address,
+        txid,
+        amount: String(amount),
+        ...(token
+          ? { token }
+          : { outputs: [{ vout: 0, amount: String(amount) }] }),
+        blockHeight: null,
+      });
+      return txid;
+    },
+
+    /** Mines n blocks, confirming pending payments in the first one. */
+    mine(n = 1) {
+      for (const t of txs) {
+        if (t.blockHeight === null) t.blockHeight = tip + 1;
+      }
+      tip += n;
+      return tip;
+    },
+  };
+}
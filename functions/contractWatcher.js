@@ -0,0 +1,118 @@
+// functions/contractWatcher.js
+import { TransitionError } from "../src/lib/escrowStateMachine.js";
+import {
+  decodeView,
+  encodeCall,
+  isContractEscrow,
+} from "../src/lib/ethContract.js";
+import {
+  SYSTEM_ACTOR,
+  addNotification,
+  applyTransitionAdmin,
+} from "./escrowTransitions.js";
+import { loadRates } from "./prices.js";
+
+/**
+ * Keeps contract escrows (src/lib/ethContract.js) in step with their
+ * contract.
+ *
+ * Releases, refunds and splits made from the app are recorded as they are
+ * sent, but a contract can also be settled without it: the buyer calling
+ * release() from their own wallet, or anyone reclaiming the funds for the
+ * buyer once the contract's deadline has passed. For every contract escrow
+ * still open, the contract's state() is read and a released or refunded
+ * contract moves the escrow to completed / refunded ("contractReleased" /
+ * "contractRefunded"). A split outside the app has no allocation to
+ * record, so it is only logged for staff to follow up.
+ */
+
+export const CONTRACT_SYNC = {
+  released: {
+    action: "contractReleased",
+    message: (txId) =>
+      `The escrow contract of ${txId} released the funds to the seller.`,
+    type: "funds_released",
+  },
+  refunded: {
+    action: "contractRefunded",
+    message: (txId) =>
+      `The escrow contract of ${txId} refunded the funds to the buyer.`,
+    type: "refunded",
+  },
+};
+
+const OPEN_STATUSES = [
+  "waiting_payment",
+  "awaiting_confirmation",
+  "payment_received",
+  "goods_released",
+  "dispute_open",
+  "dispute_responded",
+  "under_review",
+];
+
+/**
+ * @param {object} opts
+ * @param {FirebaseFirestore.Firestore} opts.db
+ * @param {(method: string, params: any[]) => Promise<any>} opts.rpc
+ *   Ethereum JSON-RPC client (functions/chain/rpc.js)
+ * @param {object} [opts.prices] price provider (src/lib/prices.js)
+ * @returns {Promise<{ checked: number, synced: string[] }>}
+ */
+export async function runContractWatcher({
+  db,
+  rpc,
+  prices = null,
+  logger = console,
+}) {
+  const snap = await db
+    .collection("transactions")
+    .where("status", "in", OPEN_STATUSES)
+    .get();
+  const docs = snap.docs.filter((d) => isContractEscrow(d.data()));
+
+  const rates = docs.length ? await loadRates(prices, logger) : null;
+  const result = { checked: 0, synced: [] };
+  for (const docSnap of docs) {
+    const tx = docSnap.data();
+    const { address } = tx.contract;
+    try {
+      const state = decodeView(
+        "state",
+        await rpc("eth_call", [
+          { to: address, data: encodeCall("state()") },
+          "latest",
+        ])
+      );
+      result.checked++;
+      if (state === "split") {
+        logger.warn(
+          `Contract watcher: ${address} (${docSnap.id}) was split outside the app`
+        );
+        continue;
+      }
+      const sync = CONTRACT_SYNC[state];
+      if (!sync) continue;
+
+      await applyTransitionAdmin(db, docSnap.id, sync.action, SYSTEM_ACTOR, {
+        rates,
+        meta: { contract: address, state },
+      });
+      for (const uid of tx.participants || []) {
+        await addNotification(
+          db,
+          uid,
+          sync.message(docSnap.id),
+          docSnap.id,
+          sync.type
+        );
+      }
+      result.synced.push(docSnap.id);
+    } catch (err) {
+      // Someone else moved the escrow on while we were looking
+      if (err instanceof TransitionError) continue;
+      logger.error(`Contract watcher: failed on ${docSnap.id}`, err);
+    }
+  }
+  return result;
+}
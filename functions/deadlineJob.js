@@ -0,0 +1,149 @@
+// functions/deadlineJob.js
+import { FieldValue } from "firebase-admin/firestore";
+import { TransitionError } from "../src/lib/escrowStateMachine.js";
+import { activeDeadlines, DEADLINE_STATUSES } from "../src/lib/deadlines.js";
+import {
+  allMilestonesApproved,
+  applyMilestoneStep,
+  MilestoneError,
+} from "../src/lib/milestones.js";
+import {
+  SYSTEM_ACTOR,
+  addNotification,
+  applyTransitionAdmin,
+} from "./escrowTransitions.js";
+import { loadRates } from "./prices.js";
+
+/**
+ * Enforces transaction deadlines (see src/lib/deadlines.js).
+ *
+ * Past-due escrows are expired, cancelled or auto-released through the
+ * state machine as the "system" actor, so every automatic action lands in
+ * the audit trail. Participants get one reminder per deadline, tracked in
+ * `deadlineReminders` on the transaction.
+ */
+
+const REMINDERS = {
+  expire: "The invitation to {tx} expires on {due} unless it is accepted.",
+  cancelUnfunded: "{tx} will be cancelled on {due} unless it is funded.",
+  autoRelease:
+    "Funds for {tx} are released to the seller on {due} unless the buyer approves or opens a dispute first.",
+  approveMilestone:
+    "Milestone {milestone} on {tx} is approved automatically on {due} unless the buyer acts first.",
+};
+
+const OUTCOMES = {
+  expire: "The invitation to {tx} expired before it was accepted.",
+  cancelUnfunded: "{tx} was cancelled because it was not funded in time.",
+  autoRelease:
+    "The inspection period for {tx} ended; funds were released to the seller.",
+  approveMilestone:
+    "The inspection period for milestone {milestone} on {tx} ended; it was approved automatically.",
+};
+
+const fill = (template, values) =>
+  template.replace(/\{(\w+)\}/g, (_, k) => values[k] ?? "");
+
+/**
+ * @param {object} opts
+ * @param {FirebaseFirestore.Firestore} opts.db
+ * @param {number} [opts.now] current time in millis (for tests)
+ * @param {object} [opts.prices] price provider, for the rate at completion
+ * @returns {Promise<{ enforced: string[], reminded: string[] }>}
+ */
+export async function runDeadlineJob({
+  db,
+  now = Date.now(),
+  prices = null,
+  logger = console,
+}) {
+  const snap = await db
+    .collection("transactions")
+    .where("status", "in", DEADLINE_STATUSES)
+    .get();
+
+  const rates = snap.empty ? null : await loadRates(prices, logger);
+  const result = { enforced: [], reminded: [] };
+  for (const docSnap of snap.docs) {
+    const tx = docSnap.data();
+    for (const deadline of activeDeadlines(tx)) {
+      const values = {
+        tx: docSnap.id,
+        due: new Date(deadline.dueAt).toUTCString(),
+        milestone: deadline.milestoneId
+          ? `"${tx.milestones[deadline.milestoneId].description}"`
+          : "",
+      };
+      try {
+        let message = null;
+        let type = null;
+        if (now >= deadline.dueAt) {
+          await enforce(db, docSnap.id, deadline, rates);
+          message = fill(OUTCOMES[deadline.action], values);
+          type = "deadline_passed";
+          result.enforced.push(`${docSnap.id}/${deadline.key}`);
+        } else if (
+          now >= deadline.remindAt &&
+          !tx.deadlineReminders?.[deadline.key]
+        ) {
+          await docSnap.ref.update({
+            [`deadlineReminders.${deadline.key}`]: FieldValue.serverTimestamp(),
+          });
+          message = fill(REMINDERS[deadline.action], values);
+          type = "deadline_reminder";
+          result.reminded.push(`${docSnap.id}/${deadline.key}`);
+        }
+        if (message) {
+          for (const uid of tx.participants || []) {
+            await addNotification(db, uid, message, docSnap.id, type);
+          }
+        }
+      } catch (err) {
+        // The escrow moved on (accepted, funded, approved) in the meantime
+        if (err instanceof TransitionError || err instanceof MilestoneError) {
+          continue;
+        }
+        logger.error(
+          `Deadline job: failed on ${docSnap.id}/${deadline.key}`,
+          err
+        );
+      }
+    }
+  }
+  return result;
+}
+
+async function enforce(db, txId, deadline, rates) {
+  const meta = { deadline: deadline.key, dueAt: new Date(deadline.dueAt) };
+  if (!deadline.milestoneId) {
+    return applyTransitionAdmin(db, txId, deadline.action, SYSTEM_ACTOR, {
+      meta,
+      rates,
+    });
+  }
+
+  // Auto-approving the last open milestone completes the escrow
+  const current = (await db.doc(`transactions/${txId}`).get()).data();
+  const next = applyMilestoneStep(
+    current.milestones,
+    deadline.milestoneId,
+    "approve",
+    FieldValue.serverTimestamp()
+  );
+  const action = allMilestonesApproved(next)
+    ? "completeMilestones"
+    : "approveMilestone";
+  return applyTransitionAdmin(db, txId, action, SYSTEM_ACTOR, {
+    updates: (tx) => ({
+      milestones: applyMilestoneStep(
+        tx.milestones,
+        deadline.milestoneId,
+        "approve",
+        FieldValue.serverTimestamp()
+      ),
+      lastMilestoneId: deadline.milestoneId,
+    }),
+    meta: { ...meta, milestone: deadline.milestoneId },
+    rates,
+  });
+}
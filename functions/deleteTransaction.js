@@ -0,0 +1,68 @@
+// functions/deleteTransaction.js
+import { FieldValue, getFirestore } from "firebase-admin/firestore";
+import { HttpsError, onCall } from "firebase-functions/v2/https";
+import { isDeletable } from "../src/lib/cancellations.js";
+
+/**
+ * Hard deletion of escrow transactions (admins only).
+ *
+ * Participants cancel instead (see src/lib/cancellations.js), which keeps the
+ * escrow for history. Deleting removes the document together with its audit
+ * and messages subcollections, so a copy of the transaction is written to
+ * adminAudit first.
+ */
+
+export const MAX_DELETE_REASON_LENGTH = 500;
+
+/**
+ * @param {FirebaseFirestore.Firestore} db
+ * @returns {Promise<{ txId: string, status: string }>}
+ */
+export async function hardDeleteTransaction(db, txId, actorUid, reason) {
+  const txRef = db.doc(`transactions/${txId}`);
+  const snap = await txRef.get();
+  if (!snap.exists) {
+    throw new HttpsError("not-found", `Transaction ${txId} does not exist.`);
+  }
+  const tx = snap.data();
+  if (!isDeletable(tx)) {
+    throw new HttpsError(
+      "failed-precondition",
+      `A ${tx.status.replace(/_/g, " ")} escrow cannot be deleted; only unfunded escrows that ended can.`
+    );
+  }
+
+  await db.collection("adminAudit").add({
+    actor: actorUid,
+    action: "deleted_transaction",
+    meta: { txId, status: tx.status, reason, transaction: tx },
+    createdAt: FieldValue.serverTimestamp(),
+  });
+  await db.recursiveDelete(txRef);
+
+  return { txId, status: tx.status };
+}
+
+/**
+ * Callable: deleteTransaction({ txId, reason }). Admins only.
+ */
+export const deleteTransaction = onCall(async (request) => {
+  if (request.auth?.token?.admin !== true) {
+    throw new HttpsError(
+      "permission-denied",
+      "Only admins can delete transactions."
+    );
+  }
+  const { txId, reason } = request.data || {};
+  if (typeof txId !== "string" || !txId) {
+    throw new HttpsError("invalid-argument", "txId is required.");
+  }
+  const text = typeof reason === "string" ? reason.trim() : "";
+  if (!text || text.length > MAX_DELETE_REASON_LENGTH) {
+    throw new HttpsError(
+      "invalid-argument",
+      `A reason of at most ${MAX_DELETE_REASON_LENGTH} characters is required.`
+    );
+  }
+  return hardDeleteTransaction(getFirestore(), txId, request.auth.uid, text);
+});
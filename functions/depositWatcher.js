@@ -0,0 +1,177 @@
+// functions/depositWatcher.js
+import { FieldValue } from "firebase-admin/firestore";
+import { TransitionError } from "../src/lib/escrowStateMachine.js";
+import { formatAmount } from "../src/lib/amounts.js";
+import { NETWORKS } from "../src/lib/currencies.js";
+import { verifyEscrowAddress } from "../src/lib/custody.js";
+import { amountDue } from "../src/lib/fees.js";
+import {
+  confirmationsRequired,
+  isDepositFor,
+  isFullyFunded,
+  mergeDeposits,
+} from "../src/lib/deposits.js";
+import { TOKEN_CURRENCIES, chainOf } from "../src/lib/tokens.js";
+import {
+  SYSTEM_ACTOR,
+  addAuditEntry,
+  addNotification,
+  applyTransitionAdmin,
+} from "./escrowTransitions.js";
+import { loadRates } from "./prices.js";
+
+/**
+ * Watches escrow deposit addresses for incoming payments.
+ *
+ * For every transaction still waiting on the buyer's payment, observed
+ * deposits are merged into `transactions/{id}.deposits` with their current
+ * confirmation count. Once confirmed deposits cover the escrow amount the
+ * transaction moves to payment_received through the "detectPayment"
+ * transition, with the txids and confirmations recorded in the audit log
+ * and the fiat rate at funding snapshotted on the transaction.
+ *
+ * The creator's client derives the deposit address, so with the escrow keys
+ * configured (ESCROW_XPUB_<network>) each address is re-derived first. An
+ * escrow whose address does not match is not watched: it is flagged once
+ * (escrowAddressMismatch, with an audit entry) for an admin to look into.
+ * Likewise the token contract an escrow records is not trusted: token
+ * deposits count only in the registry's contract, or the one configured
+ * with TOKEN_CONTRACT_<symbol> (lib/tokens).
+ */
+
+export const WATCHED_STATUSES = ["waiting_payment", "awaiting_confirmation"];
+
+/** Escrow account keys by network, as the client's VITE_ESCROW_XPUB_*. */
+export const escrowKeysFromEnv = (env = process.env) =>
+  Object.fromEntries(
+    NETWORKS.map((network) => [network, env[`ESCROW_XPUB_${network}`]])
+  );
+
+/** Token contracts by symbol where configured, as VITE_TOKEN_CONTRACT_*. */
+export const tokenContractsFromEnv = (env = process.env) =>
+  Object.fromEntries(
+    TOKEN_CURRENCIES.filter((symbol) => env[`TOKEN_CONTRACT_${symbol}`]).map(
+      (symbol) => [symbol, env[`TOKEN_CONTRACT_${symbol}`]]
+    )
+  );
+
+/**
+ * @param {object} opts
+ * @param {FirebaseFirestore.Firestore} opts.db
+ * @param {Record<string, object>} opts.adapters chain adapters by chain;
+ *   token escrows are watched by the adapter of their token's chain
+ * @param {Record<string, string>} [opts.xpubs] escrow keys by network
+ *   (escrowKeysFromEnv); escrows of a network without one go unchecked
+ * @param {Record<string, string>} [opts.tokenContracts] token contracts
+ *   replacing the registry's, by symbol (tokenContractsFromEnv)
+ * @param {object} [opts.prices] price provider (src/lib/prices.js)
+ * @returns {Promise<{ checked: number, funded: string[] }>}
+ */
+export async function runDepositWatcher({
+  db,
+  adapters,
+  xpubs = {},
+  tokenContracts = {},
+  prices = null,
+  logger = console,
+}) {
+  const snap = await db
+    .collection("transactions")
+    .where("status", "in", WATCHED_STATUSES)
+    .get();
+
+  const byChain = new Map();
+  for (const docSnap of snap.docs) {
+    const tx = docSnap.data();
+    const chain = chainOf(tx.currency);
+    if (!tx.escrowWallet || !adapters[chain]) continue;
+    if (verifyEscrowAddress(tx, xpubs) === false) {
+      if (!tx.escrowAddressMismatch) {
+        await flagAddressMismatch(db, docSnap.id, tx, logger);
+      }
+      continue;
+    }
+    if (!byChain.has(chain)) byChain.set(chain, []);
+    byChain.get(chain).push(docSnap);
+  }
+
+  const rates = byChain.size ? await loadRates(prices, logger) : null;
+  const result = { checked: 0, funded: [] };
+  for (const [chain, docs] of byChain) {
+    const adapter = adapters[chain];
+    let observed, tip;
+    try {
+      observed = await adapter.getDeposits(docs.map((d) => d.data().escrowWallet));
+      tip = await adapter.getTipHeight();
+    } catch (err) {
+      logger.error(`Deposit watcher: ${chain} node unavailable`, err);
+      continue;
+    }
+
+    for (const docSnap of docs) {
+      const tx = docSnap.data();
+      const mine = observed.filter((d) => isDepositFor(tx, d, tokenContracts));
+      try {
+        const funded = await recordDeposits(db, docSnap.id, tx, mine, tip, rates);
+        if (funded) result.funded.push(docSnap.id);
+        result.checked++;
+      } catch (err) {
+        // Someone else moved the escrow on while we were looking
+        if (err instanceof TransitionError) continue;
+        logger.error(`Deposit watcher: failed on ${docSnap.id}`, err);
+      }
+    }
+  }
+  return result;
+}
+
+async function flagAddressMismatch(db, txId, tx, logger) {
+  logger.error(
+    `Deposit watcher: ${txId} has an escrow address (${tx.escrowWallet}) not derived from the escrow key at index ${tx.escrowIndex}; not watching it.`
+  );
+  await db.doc(`transactions/${txId}`).update({ escrowAddressMismatch: true });
+  await addAuditEntry(db, txId, null, "escrow_address_mismatch", {
+    escrowWallet: tx.escrowWallet,
+    escrowIndex: tx.escrowIndex,
+  });
+}
+
+async function recordDeposits(db, txId, tx, observed, tip, rates) {
+  const { deposits, added } = mergeDeposits(tx.deposits, observed, tip);
+
+  for (const d of added) {
+    await addAuditEntry(db, txId, null, "deposit_detected", {
+      txid: d.txid,
+      amount: d.amount,
+      blockHeight: d.blockHeight,
+    });
+  }
+
+  const fields = { deposits, depositsCheckedAt: FieldValue.serverTimestamp() };
+
+  if (isFullyFunded(tx, deposits)) {
+    const required = confirmationsRequired(tx.currency);
+    await applyTransitionAdmin(db, txId, "detectPayment", SYSTEM_ACTOR, {
+      updates: fields,
+      rates,
+      meta: {
+        required,
+        deposits: deposits.map(({ txid, amount, confirmations }) => ({
+          txid,
+          amount,
+          confirmations,
+        })),
+      },
+    });
+    const message = `Deposit of ${formatAmount(amountDue(tx), tx.currency)} ${tx.currency} for transaction ${txId} confirmed on-chain (${required}+ confirmations).`;
+    for (const uid of tx.participants || []) {
+      await addNotification(db, uid, message, txId, "payment_confirmed");
+    }
+    return true;
+  }
+
+  if (JSON.stringify(deposits) !== JSON.stringify(tx.deposits || [])) {
+    await db.doc(`transactions/${txId}`).update(fields);
+  }
+  return false;
+}
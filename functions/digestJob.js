@@ -0,0 +1,83 @@
+// functions/digestJob.js
+import { FieldValue } from "firebase-admin/firestore";
+import { renderDigestEmail } from "./email/templates.js";
+import { DEFAULT_APP_URL } from "./notificationDispatch.js";
+
+/**
+ * Daily notification digest.
+ *
+ * Notifications whose recipient chose "daily digest" are held back by the
+ * dispatcher (digest: "pending", hidden) and the user is flagged with
+ * `digestPending`. Once a day this job mails each flagged user one summary
+ * of the notifications they get by email, and shows the in-app ones in the
+ * bell together.
+ */
+
+/**
+ * @param {object} opts
+ * @param {FirebaseFirestore.Firestore} opts.db
+ * @param {object|null} opts.transport mail transport (see functions/email)
+ * @returns {Promise<{ mailed: string[], released: number }>}
+ */
+export async function runDigestJob({
+  db,
+  transport = null,
+  appUrl = DEFAULT_APP_URL,
+  logger = console,
+}) {
+  const users = await db
+    .collection("users")
+    .where("digestPending", "==", true)
+    .get();
+
+  const result = { mailed: [], released: 0 };
+  for (const userSnap of users.docs) {
+    try {
+      // Cleared first, so a notification arriving mid-run flags the user again
+      await userSnap.ref.update({ digestPending: false });
+      const pending = await userSnap.ref
+        .collection("notifications")
+        .where("digest", "==", "pending")
+        .get();
+      if (pending.empty) continue;
+
+      const items = pending.docs
+        .map((d) => ({ ref: d.ref, ...d.data() }))
+        .sort((a, b) => a.createdAt?.toMillis() - b.createdAt?.toMillis());
+
+      const forEmail = items.filter((n) => n.delivery?.email);
+      const to = userSnap.data().email;
+      let email = !transport
+        ? { status: "skipped", reason: "email disabled" }
+        : !to
+        ? { status: "skipped", reason: "no email address" }
+        : null;
+      if (forEmail.length && !email) {
+        try {
+          await transport.send({ to, ...renderDigestEmail(forEmail, { appUrl }) });
+          email = { status: "sent", digest: true };
+          result.mailed.push(userSnap.id);
+        } catch (err) {
+          logger.error(`Digest: email to ${userSnap.id} failed`, err);
+          email = { status: "failed", reason: err.message, digest: true };
+        }
+      }
+
+      const batch = db.batch();
+      for (const n of items) {
+        batch.update(n.ref, {
+          digest: "sent",
+          hidden: !n.delivery?.inApp,
+          ...(n.delivery?.email && {
+            email: { ...email, at: FieldValue.serverTimestamp() },
+          }),
+        });
+      }
+      await batch.commit();
+      result.released += items.length;
+    } catch (err) {
+      logger.error(`Digest: failed for ${userSnap.id}`, err);
+    }
+  }
+  return result;
+}
@@ -0,0 +1,30 @@
+// functions/email/capture.js
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * Transport for local development and tests: nothing leaves the machine.
+ * Messages are kept in `sent` and, when a directory is given, also written
+ * there as one JSON file each so they can be inspected while the emulators
+ * run.
+ */
+export function createCaptureTransport({ dir = null, from = null } = {}) {
+  const sent = [];
+  return {
+    name: "capture",
+    sent,
+
+    async send({ to, subject, text }) {
+      const message = { from, to, subject, text, at: new Date().toISOString() };
+      sent.push(message);
+      if (dir) {
+        await mkdir(dir, { recursive: true });
+        const name = `${message.at.replace(/[:.]/g, "-")}-${sent.length}.json`;
+        await writeFile(
+          path.join(dir, name),
+          `${JSON.stringify(message, null, 2)}\n`
+        );
+      }
+    },
+  };
+}
@@ -0,0 +1,204 @@
+// functions/email/templates.js
+import { formatTxAmount } from "../../src/lib/amounts.js";
+import { formatAmountDue } from "../../src/lib/fees.js";
+import { transactionLink } from "../../src/lib/notifications.js";
+
+/**
+ * Per-event email templates, keyed by notification type (see
+ * NOTIFICATION_EVENTS in src/lib/notifications.js).
+ *
+ *   subject   "{tx}" is replaced with the transaction id
+ *   action    what the recipient should do next, shown above the link
+ *
+ * The notification's own message opens the body, followed by the escrow's id,
+ * amount and status and a link back to it. Events without a template are not
+ * mailed.
+ */
+
+export const EMAIL_TEMPLATES = {
+  invited: {
+    subject: "You have been invited to escrow {tx}",
+    action: "Review the terms, then accept or reject the invitation:",
+  },
+  invite_claimed: {
+    subject: "Your invitee joined escrow {tx}",
+    action: "They can now review and accept it:",
+  },
+  accepted: {
+    subject: "Escrow {tx} was accepted",
+    action: "The buyer can now send the payment:",
+  },
+  rejected: {
+    subject: "Escrow {tx} was rejected",
+    action: "View the transaction:",
+  },
+  withdrawn: {
+    subject: "The invitation to escrow {tx} was withdrawn",
+    action: "View the transaction:",
+  },
+  cancel_requested: {
+    subject: "Cancellation requested for escrow {tx}",
+    action: "Accept or decline the cancellation:",
+  },
+  cancel_answered: {
+    subject: "Your cancellation request for escrow {tx} was answered",
+    action: "View the transaction:",
+  },
+  payment_sent: {
+    subject: "Payment sent for escrow {tx}",
+    action: "Track the deposit:",
+  },
+  payment_review: {
+    subject: "Payment to verify for escrow {tx}",
+    action: "Verify the deposit in the admin panel:",
+  },
+  payment_confirmed: {
+    subject: "Payment confirmed for escrow {tx}",
+    action: "The seller can now deliver:",
+  },
+  goods_released: {
+    subject: "Goods released for escrow {tx}",
+    action: "Once you have received them, approve the release:",
+  },
+  funds_released: {
+    subject: "Funds released for escrow {tx}",
+    action: "View the transaction:",
+  },
+  milestone_delivered: {
+    subject: "Milestone delivered on escrow {tx}",
+    action: "Review and approve the milestone:",
+  },
+  milestone_approved: {
+    subject: "Milestone approved on escrow {tx}",
+    action: "View the transaction:",
+  },
+  dispute_opened: {
+    subject: "Dispute opened on escrow {tx}",
+    action: "Read the statement and respond:",
+  },
+  dispute_response: {
+    subject: "New response in the dispute on escrow {tx}",
+    action: "View the dispute:",
+  },
+  dispute_resolved: {
+    subject: "The dispute on escrow {tx} was resolved",
+    action: "View the ruling:",
+  },
+  settled: {
+    subject: "Escrow {tx} was settled",
+    action: "View the settlement:",
+  },
+  under_review: {
+    subject: "Escrow {tx} is under review",
+    action: "View the transaction:",
+  },
+  refunded: {
+    subject: "Escrow {tx} was refunded",
+    action: "View the transaction:",
+  },
+  payout_sent: {
+    subject: "Your payout from escrow {tx} is on its way",
+    action: "Follow the payout and its transaction hash:",
+  },
+  payout_confirmed: {
+    subject: "Your payout from escrow {tx} is confirmed",
+    action: "View the transaction:",
+  },
+  payout_signature: {
+    subject: "The payout from escrow {tx} needs your signature",
+    action: "Copy the payout PSBT and sign it in your wallet:",
+  },
+  deadline_reminder: {
+    subject: "A deadline on escrow {tx} is coming up",
+    action: "Act before it passes:",
+  },
+  deadline_passed: {
+    subject: "A deadline on escrow {tx} has passed",
+    action: "View the outcome:",
+  },
+  message: {
+    subject: "New message on escrow {tx}",
+    action: "Read and reply:",
+  },
+};
+
+/**
+ * Email for a notification, or null when its event has no template.
+ * @param {{ type: string, message: string, txId: string|null }} notification
+ * @param {object|null} tx  the transaction, when it still exists
+ * @returns {{ subject: string, text: string } | null}
+ */
+export function renderEmail(notification, tx, { appUrl }) {
+  const template = EMAIL_TEMPLATES[notification.type];
+  if (!template) return null;
+  const txId = notification.txId || "";
+
+  const lines = [notification.message, ""];
+  if (tx) {
+    lines.push(
+      `Transaction: ${txId}`,
+      `Amount:      ${formatTxAmount(tx)}`,
+      `Amount due:  ${formatAmountDue(tx)}`,
+      `Status:      ${tx.status.replace(/_/g, " ")}`,
+      ""
+    );
+  }
+  if (txId) lines.push(template.action, transactionLink(appUrl, txId), "");
+  lines.push(
+    "You receive these emails because you take part in this escrow on CryptoEscrow."
+  );
+
+  return {
+    subject: template.subject.replace("{tx}", txId).trim(),
+    text: lines.join("\n"),
+  };
+}
+
+/**
+ * One email for a day's batch of digest notifications, newest last.
+ * @param {Array<{ message: string, txId: string|null }>} notifications
+ * @returns {{ subject: string, text: string }}
+ */
+export function renderDigestEmail(notifications, { appUrl }) {
+  const count = notifications.length;
+  const updates = `${count} ${count === 1 ? "update" : "updates"}`;
+  const lines = [
+    `Here is what happened on your escrows since the last digest (${updates}):`,
+    "",
+  ];
+  for (const n of notifications) {
+    lines.push(`- ${n.message}`);
+    if (n.txId) lines.push(`  ${transactionLink(appUrl, n.txId)}`);
+  }
+  lines.push(
+    "",
+    "You receive this daily digest because of your notification settings on CryptoEscrow."
+  );
+  return {
+    subject: `Your CryptoEscrow digest: ${updates}`,
+    text: lines.join("\n"),
+  };
+}
+
+/**
+ * Invitation for someone without an account (see functions/invites.js);
+ * the link signs them up and binds the invite.
+ * @returns {{ subject: string, text: string }}
+ */
+export function renderInviteEmail(tx, txId, { inviter, link }) {
+  const lines = [
+    `${inviter} invited you to an escrow on CryptoEscrow.`,
+    "",
+    `Transaction: ${txId}`,
+    `Amount:      ${formatTxAmount(tx)}`,
+    `Amount due:  ${formatAmountDue(tx)}`,
+    `Terms:       ${tx.terms}`,
+    "",
+    "Create an account (or log in) with this email address through the link below to review the terms and accept or reject the escrow. The link works once.",
+    link,
+  ];
+  return {
+    subject: `${inviter} invited you to escrow ${txId}`,
+    text: lines.join("\n"),
+  };
+}
@@ -0,0 +1,94 @@
+// functions/escrowTransitions.js
+import { FieldValue } from "firebase-admin/firestore";
+import {
+  assertTransition,
+  TransitionError,
+} from "../src/lib/escrowStateMachine.js";
+import { rateSnapshotUpdate } from "../src/lib/prices.js";
+
+/**
+ * Server-side counterpart of src/services/escrow.js: applies a state-machine
+ * transition with the Admin SDK, re-checking the status inside a Firestore
+ * transaction and writing the audit entry in the same commit.
+ */
+
+// Actor used by scheduled jobs; audit entries record it as "system"
+export const SYSTEM_ACTOR = { uid: null, isSystem: true };
+
+/**
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} txId
+ * @param {string} action key of TRANSITIONS
+ * @param {object} actor
+ * @param {{ updates?: object|function, meta?: object|function,
+ *           rates?: object }} [opts]
+ *   updates / meta: fields, or (tx) => fields and (patch) => metadata
+ *   rates: RateTable (src/lib/prices.js) snapshotted on funding / completion
+ * @returns {Promise<object>} the transaction data after the update
+ */
+export async function applyTransitionAdmin(db, txId, action, actor, opts = {}) {
+  const { updates = {}, meta = {}, rates = null } = opts;
+  const txRef = db.doc(`transactions/${txId}`);
+
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(txRef);
+    if (!snap.exists) {
+      throw new TransitionError(
+        `Transition not allowed: transaction ${txId} does not exist.`,
+        { action }
+      );
+    }
+    const tx = snap.data();
+    const def = assertTransition(tx, action, actor);
+    const to = def.to ?? tx.status;
+
+    const patch = {
+      ...def.set,
+      ...(typeof updates === "function" ? updates(tx) : updates),
+      ...rateSnapshotUpdate(tx, to, rates),
+      status: to,
+    };
+    // Stage deadlines run from statusUpdatedAt; in-place actions keep it
+    if (def.to) patch.statusUpdatedAt = FieldValue.serverTimestamp();
+    t.update(txRef, patch);
+    t.create(txRef.collection("audit").doc(), {
+      actor: actor.uid ?? null,
+      action: def.audit,
+      meta: {
+        from: tx.status,
+        to,
+        ...(typeof meta === "function" ? meta(patch) : meta),
+      },
+      createdAt: FieldValue.serverTimestamp(),
+    });
+
+    return { ...tx, ...patch };
+  });
+}
+
+/** Appends an audit entry outside of a status transition. */
+export async function addAuditEntry(db, txId, actorUid, action, meta = {}) {
+  await db.collection(`transactions/${txId}/audit`).add({
+    actor: actorUid ?? null,
+    action,
+    meta,
+    createdAt: FieldValue.serverTimestamp(),
+  });
+}
+
+/** Same document shape as createNotification in the client. */
+export async function addNotification(
+  db,
+  recipientUid,
+  message,
+  txId = null,
+  type = null
+) {
+  await db.collection(`users/${recipientUid}/notifications`).add({
+    message,
+    txId,
+    ...(type && { type }),
+    read: false,
+    createdAt: FieldValue.serverTimestamp(),
+  });
+}
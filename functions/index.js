@@ -0,0 +1,69 @@
+// functions/index.js
+import { initializeApp } from "firebase-admin/app";
+import { getFirestore } from "firebase-admin/firestore";
+import { onSchedule } from "firebase-functions/v2/scheduler";
+import { createAdaptersFromEnv } from "./chain/index.js";
+import { createRpcClient } from "./chain/rpc.js";
+import { runContractWatcher } from "./contractWatcher.js";
+import { runDeadlineJob } from "./deadlineJob.js";
+import { runDigestJob } from "./digestJob.js";
+import {
+  escrowKeysFromEnv,
+  runDepositWatcher,
+  tokenContractsFromEnv,
+} from "./depositWatcher.js";
+import { createMailTransportFromEnv } from "./email/index.js";
+import { DEFAULT_APP_URL } from "./notificationDispatch.js";
+import { createPriceProviderFromEnv } from "./prices.js";
+
+/**
+ * Cloud Functions entry point (deployed from the repository root so server
+ * code can share the pure modules in src/lib).
+ */
+
+initializeApp();
+
+export { deleteTransaction } from "./deleteTransaction.js";
+export { claimInvite, sendInvite } from "./invites.js";
+export {
+  proposeMultisigPayout,
+  signMultisigPayout,
+} from "./multisigPayouts.js";
+export { dispatchNotifications } from "./notificationDispatch.js";
+export { setUserRole } from "./roles.js";
+
+export const watchDeposits = onSchedule("every 2 minutes", async () => {
+  const db = getFirestore();
+  await runDepositWatcher({
+    db,
+    adapters: createAdaptersFromEnv(db),
+    xpubs: escrowKeysFromEnv(),
+    tokenContracts: tokenContractsFromEnv(),
+    prices: createPriceProviderFromEnv(),
+  });
+});
+
+// Contract escrows settled outside the app (ETH_RPC_URL, as for deposits)
+export const syncContracts = onSchedule("every 5 minutes", async () => {
+  if (!process.env.ETH_RPC_URL) return;
+  await runContractWatcher({
+    db: getFirestore(),
+    rpc: createRpcClient(process.env.ETH_RPC_URL),
+    prices: createPriceProviderFromEnv(),
+  });
+});
+
+export const enforceDeadlines = onSchedule("every 15 minutes", async () => {
+  await runDeadlineJob({
+    db: getFirestore(),
+    prices: createPriceProviderFromEnv(),
+  });
+});
+
+export const sendDigests = onSchedule("every day 08:00", async () => {
+  await runDigestJob({
+    db: getFirestore(),
+    transport: createMailTransportFromEnv(),
+    appUrl: process.env.APP_URL || DEFAULT_APP_URL,
+  });
+});
@@ -0,0 +1,202 @@
+// functions/invites.js
+import { createHash, randomBytes } from "node:crypto";
+import { FieldValue, getFirestore } from "firebase-admin/firestore";
+import { HttpsError, onCall } from "firebase-functions/v2/https";
+import { TransitionError } from "../src/lib/escrowStateMachine.js";
+import {
+  assertInviteEmail,
+  INVITE_STATUS,
+  INVITE_TOKEN_BYTES,
+  InviteError,
+  inviteLink,
+} from "../src/lib/invites.js";
+import { createMailTransportFromEnv } from "./email/index.js";
+import { renderInviteEmail } from "./email/templates.js";
+import { addNotification, applyTransitionAdmin } from "./escrowTransitions.js";
+import { DEFAULT_APP_URL } from "./notificationDispatch.js";
+
+/**
+ * Invitations by email (see src/lib/invites.js).
+ *
+ * sendInvite issues a fresh token for a pending invite (replacing any
+ * earlier one), mails the link when a transport is configured and returns
+ * it so the creator can share it directly. claimInvite redeems a token for
+ * the signed-in user whose email address the invite was sent to.
+ */
+
+const hashToken = (token) => createHash("sha256").update(token).digest("hex");
+
+const sameAddress = (a, b) =>
+  (a || "").trim().toLowerCase() === (b || "").trim().toLowerCase();
+
+/**
+ * @param {FirebaseFirestore.Firestore} db
+ * @returns {Promise<{ link: string, emailed: boolean }>}
+ */
+export async function issueInvite(db, txId, actorUid, { transport, appUrl }) {
+  const txRef = db.doc(`transactions/${txId}`);
+  const snap = await txRef.get();
+  if (!snap.exists) {
+    throw new HttpsError("not-found", `Transaction ${txId} does not exist.`);
+  }
+  const tx = snap.data();
+  if (tx.creator !== actorUid) {
+    throw new HttpsError(
+      "permission-denied",
+      "Only the creator can send the invitation."
+    );
+  }
+  if (tx.status !== INVITE_STATUS) {
+    throw new HttpsError(
+      "failed-precondition",
+      "This escrow is not waiting for an invitee to sign up."
+    );
+  }
+  try {
+    assertInviteEmail(tx.invite?.email);
+  } catch (err) {
+    if (err instanceof InviteError) {
+      throw new HttpsError("invalid-argument", err.message);
+    }
+    throw err;
+  }
+
+  const token = randomBytes(INVITE_TOKEN_BYTES).toString("hex");
+  const link = inviteLink(appUrl, token);
+  await txRef.update({
+    invite: {
+      email: tx.invite.email,
+      tokenHash: hashToken(token),
+      sentAt: FieldValue.serverTimestamp(),
+    },
+  });
+
+  let emailed = false;
+  if (transport) {
+    const profile = await db.doc(`profiles/${tx.creator}`).get();
+    await transport.send({
+      to: tx.invite.email,
+      ...renderInviteEmail(tx, txId, {
+        inviter: profile.exists ? profile.data().username : "Someone",
+        link,
+      }),
+    });
+    emailed = true;
+  }
+  return { link, emailed };
+}
+
+/**
+ * Binds the invite carrying `token` to the claimer and opens it for acceptance.
+ * @param {{ uid: string, email: string }} claimer
+ * @returns {Promise<{ txId: string }>}
+ */
+export async function redeemInvite(db, token, claimer) {
+  const tokenHash = hashToken(token);
+  const snap = await db
+    .collection("transactions")
+    .where("invite.tokenHash", "==", tokenHash)
+    .limit(1)
+    .get();
+  if (snap.empty) {
+    throw new HttpsError(
+      "not-found",
+      "This invitation link is invalid or has already been used."
+    );
+  }
+  const txId = snap.docs[0].id;
+  const tx = snap.docs[0].data();
+  if (tx.creator === claimer.uid) {
+    throw new HttpsError(
+      "failed-precondition",
+      "You cannot accept your own invitation."
+    );
+  }
+  if (!sameAddress(tx.invite.email, claimer.email)) {
+    throw new HttpsError(
+      "permission-denied",
+      "This invitation was sent to another email address. Sign in with that address to accept it."
+    );
+  }
+
+  try {
+    // The server claims on the invitee's behalf once the token checks out
+    await applyTransitionAdmin(
+      db,
+      txId,
+      "claimInvite",
+      { uid: claimer.uid, isSystem: true },
+      {
+        updates: (current) => {
+          // Resent in the meantime: only the newest link counts
+          if (current.invite?.tokenHash !== tokenHash) {
+            throw new HttpsError(
+              "not-found",
+              "This invitation link is invalid or has already been used."
+            );
+          }
+          return {
+            invited: claimer.uid,
+            participants: [current.creator, claimer.uid],
+            invite: {
+              email: current.invite.email,
+              sentAt: current.invite.sentAt ?? null,
+              claimedBy: claimer.uid,
+              claimedAt: FieldValue.serverTimestamp(),
+            },
+          };
+        },
+        meta: { email: tx.invite.email },
+      }
+    );
+  } catch (err) {
+    if (err instanceof TransitionError) {
+      throw new HttpsError("failed-precondition", err.message);
+    }
+    throw err;
+  }
+
+  await addNotification(
+    db,
+    tx.creator,
+    `${tx.invite.email} signed up and can now accept ${txId}.`,
+    txId,
+    "invite_claimed"
+  );
+  return { txId };
+}
+
+/**
+ * Callable: sendInvite({ txId }). The escrow's creator only.
+ */
+export const sendInvite = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Sign in to send invitations.");
+  }
+  const { txId } = request.data || {};
+  if (typeof txId !== "string" || !txId) {
+    throw new HttpsError("invalid-argument", "txId is required.");
+  }
+  return issueInvite(getFirestore(), txId, request.auth.uid, {
+    transport: createMailTransportFromEnv(),
+    appUrl: process.env.APP_URL || DEFAULT_APP_URL,
+  });
+});
+
+/**
+ * Callable: claimInvite({ token }). Any signed-in user; the email address on
+ * their account must be the one invited.
+ */
+export const claimInvite = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Sign in to accept the invitation.");
+  }
+  const { token } = request.data || {};
+  if (typeof token !== "string" || !/^[0-9a-f]+$/.test(token)) {
+    throw new HttpsError("invalid-argument", "A valid invite token is required.");
+  }
+  return redeemInvite(getFirestore(), token, {
+    uid: request.auth.uid,
+    email: request.auth.token.email,
+  });
+});
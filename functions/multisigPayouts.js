@@ -0,0 +1,152 @@
+// functions/multisigPayouts.js
+import { getFirestore } from "firebase-admin/firestore";
+import { HttpsError, onCall } from "firebase-functions/v2/https";
+import { TransitionError } from "../src/lib/escrowStateMachine.js";
+import {
+  buildPayoutPsbt,
+  describePayoutPsbt,
+  importOwnSignatures,
+  MultisigError,
+} from "../src/lib/multisig.js";
+import { PsbtError } from "../src/lib/psbt.js";
+import { applyTransitionAdmin } from "./escrowTransitions.js";
+
+/**
+ * Payouts of multisig escrows (see src/lib/multisig.js).
+ *
+ * The payout PSBT and its signatures decide where the escrow's funds go, so
+ * clients cannot write them (firestore.rules): the PSBT is built here from
+ * the escrow's recorded deposits and what is owed, and a signed copy adds
+ * only the caller's own signatures, verified against their key, before
+ * signedBy / finalTx / finalTxid are recorded.
+ *
+ *   MULTISIG_FEE_ADDRESS_BTC   where payouts send the platform's fee
+ */
+
+/** The key a caller signs with: their side's, or the service's for admins. */
+export function signingRole(tx, actor) {
+  if (tx.creator === actor.uid) return tx.creatorRole;
+  if (tx.invited === actor.uid) return tx.invitedRole;
+  if (actor.isAdmin) return "escrow";
+  return null;
+}
+
+const toHttpsError = (err) => {
+  if (err instanceof TransitionError) {
+    return new HttpsError("failed-precondition", err.message);
+  }
+  if (err instanceof MultisigError || err instanceof PsbtError) {
+    return new HttpsError("invalid-argument", err.message);
+  }
+  return err;
+};
+
+/**
+ * Proposes the payout, replacing any earlier proposal and its signatures.
+ * @returns {Promise<{ psbt: string, txid: string }>}
+ */
+export async function proposePayout(db, txId, actor, { feeRate, feeAddress }) {
+  let proposal = null;
+  try {
+    await applyTransitionAdmin(db, txId, "proposePayout", actor, {
+      updates: (current) => {
+        const psbt = buildPayoutPsbt(current, { feeRate, feeAddress });
+        proposal = { psbt, txid: describePayoutPsbt(current, psbt).txid };
+        return {
+          multisig: {
+            ...current.multisig,
+            psbt,
+            signedBy: [],
+            finalTx: null,
+            finalTxid: null,
+          },
+        };
+      },
+      meta: () => ({ txid: proposal.txid, feeRate: Number(feeRate) }),
+    });
+  } catch (err) {
+    throw toHttpsError(err);
+  }
+  return proposal;
+}
+
+/**
+ * Adds the caller's signatures from a PSBT signed in their wallet.
+ * @returns {Promise<{ signedBy: string[], finalTx: string|null,
+ *                     finalTxid: string|null }>}
+ */
+export async function signPayout(db, txId, actor, psbt) {
+  let result = null;
+  try {
+    await applyTransitionAdmin(db, txId, "signPayout", actor, {
+      updates: (current) => {
+        const role = signingRole(current, actor);
+        if (!role) {
+          throw new HttpsError(
+            "permission-denied",
+            "Only the buyer, the seller or an admin can sign the payout."
+          );
+        }
+        const { psbt: merged, ...rest } = importOwnSignatures(
+          current,
+          psbt,
+          role
+        );
+        result = rest;
+        return { multisig: { ...current.multisig, psbt: merged, ...rest } };
+      },
+      meta: () => ({ signedBy: result.signedBy, finalTxid: result.finalTxid }),
+    });
+  } catch (err) {
+    throw toHttpsError(err);
+  }
+  return result;
+}
+
+const actorOf = (auth) => ({
+  uid: auth.uid,
+  isAdmin: auth.token?.admin === true,
+  isArbiter: auth.token?.arbiter === true,
+});
+
+function requireTx(request) {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Sign in to handle payouts.");
+  }
+  const { txId } = request.data || {};
+  if (typeof txId !== "string" || !txId) {
+    throw new HttpsError("invalid-argument", "txId is required.");
+  }
+  return txId;
+}
+
+/**
+ * Callable: proposeMultisigPayout({ txId, feeRate }). Buyer, seller or admin.
+ */
+export const proposeMultisigPayout = onCall(async (request) => {
+  const txId = requireTx(request);
+  const feeAddress = process.env.MULTISIG_FEE_ADDRESS_BTC;
+  if (!feeAddress) {
+    throw new HttpsError(
+      "failed-precondition",
+      "No platform fee address is configured for multisig payouts."
+    );
+  }
+  return proposePayout(getFirestore(), txId, actorOf(request.auth), {
+    feeRate: request.data.feeRate,
+    feeAddress,
+  });
+});
+
+/**
+ * Callable: signMultisigPayout({ txId, psbt }). Buyer, seller or admin
+ * (who signs with the service's key).
+ */
+export const signMultisigPayout = onCall(async (request) => {
+  const txId = requireTx(request);
+  const { psbt } = request.data;
+  if (typeof psbt !== "string" || !psbt || psbt.length > 100000) {
+    throw new HttpsError("invalid-argument", "A signed PSBT is required.");
+  }
+  return signPayout(getFirestore(), txId, actorOf(request.auth), psbt);
+});
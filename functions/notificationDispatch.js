@@ -0,0 +1,115 @@
+// functions/notificationDispatch.js
+import { FieldValue, getFirestore } from "firebase-admin/firestore";
+import { onDocumentCreated } from "firebase-functions/v2/firestore";
+import { preferenceFor } from "../src/lib/notifications.js";
+import { createMailTransportFromEnv } from "./email/index.js";
+import { renderEmail } from "./email/templates.js";
+
+/**
+ * Notification dispatch.
+ *
+ * In-app notifications are written by the client and by the jobs alike, so
+ * delivery is decided in a trigger on users/{uid}/notifications: that way a
+ * counterparty who is not signed in still hears about the escrow. The
+ * recipient's preferences (see src/lib/notifications.js) decide the
+ * channels; the outcome is recorded on the notification:
+ *   delivery: { inApp, email, digest }
+ *   hidden:   true when it should not show in the bell (yet)
+ *   digest:   "pending" until the daily digest job picks it up
+ *   email:    { status: "sent" | "skipped" | "failed" | "digest", reason?, at }
+ *
+ *   APP_URL   base URL of the app, used for links back to the transaction
+ */
+
+export const DEFAULT_APP_URL = "https://Mickscanlon.github.io/crypto-escrow";
+
+/**
+ * Mails one notification to `to`.
+ * @returns {Promise<{ status: string, reason?: string }>}
+ */
+export async function sendNotificationEmail({
+  db,
+  to,
+  notification,
+  transport,
+  appUrl = DEFAULT_APP_URL,
+}) {
+  if (!transport) return { status: "skipped", reason: "email disabled" };
+  if (!to) return { status: "skipped", reason: "no email address" };
+
+  const txSnap = notification.txId
+    ? await db.doc(`transactions/${notification.txId}`).get()
+    : null;
+  const email = renderEmail(notification, txSnap?.exists ? txSnap.data() : null, {
+    appUrl,
+  });
+  if (!email) return { status: "skipped", reason: "no template" };
+
+  await transport.send({ to, ...email });
+  return { status: "sent" };
+}
+
+/**
+ * Applies the recipient's preferences to a new notification.
+ * @returns {Promise<object>} fields to record on the notification
+ */
+export async function dispatchNotification({
+  db,
+  uid,
+  notification,
+  transport,
+  appUrl,
+}) {
+  const userRef = db.doc(`users/${uid}`);
+  const userSnap = await userRef.get();
+  const user = userSnap.exists ? userSnap.data() : {};
+  const pref = preferenceFor(user.notificationPrefs, notification.type);
+  const digest = pref.delivery === "digest" && (pref.inApp || pref.email);
+
+  const fields = {
+    delivery: { inApp: pref.inApp, email: pref.email, digest },
+    hidden: !pref.inApp || digest,
+  };
+  if (digest) {
+    fields.digest = "pending";
+    await userRef.update({ digestPending: true });
+  }
+
+  if (!pref.email) {
+    fields.email = { status: "skipped", reason: "email off" };
+  } else if (digest) {
+    fields.email = { status: "digest" };
+  } else {
+    try {
+      fields.email = await sendNotificationEmail({
+        db,
+        to: user.email,
+        notification,
+        transport,
+        appUrl,
+      });
+    } catch (err) {
+      console.error(`Email to ${uid} failed`, err);
+      fields.email = { status: "failed", reason: err.message };
+    }
+  }
+  return fields;
+}
+
+export const dispatchNotifications = onDocumentCreated(
+  "users/{uid}/notifications/{notificationId}",
+  async (event) => {
+    if (!event.data) return;
+    const fields = await dispatchNotification({
+      db: getFirestore(),
+      uid: event.params.uid,
+      notification: event.data.data(),
+      transport: createMailTransportFromEnv(),
+      appUrl: process.env.APP_URL || DEFAULT_APP_URL,
+    });
+    await event.data.ref.update({
+      ...fields,
+      email: { ...fields.email, at: FieldValue.serverTimestamp() },
+    });
+  }
+);
@@ -0,0 +1,46 @@
+// functions/prices.js
+import { readFile } from "node:fs/promises";
+import {
+  createCoinGeckoProvider,
+  createStaticPriceProvider,
+} from "../src/lib/prices.js";
+
+/**
+ * Price provider for server-side jobs, configured like the client:
+ *
+ *   PRICE_SOURCE    "file" (default) or "coingecko"
+ *   PRICE_FILE      rate table for "file" (default: public/prices.json)
+ *   PRICE_API_URL   endpoint override for "coingecko"
+ */
+
+const DEFAULT_PRICE_FILE = new URL("../public/prices.json", import.meta.url);
+
+export function createPriceProviderFromEnv(env = process.env) {
+  if (env.PRICE_SOURCE === "coingecko") {
+    return createCoinGeckoProvider(
+      env.PRICE_API_URL ? { url: env.PRICE_API_URL } : {}
+    );
+  }
+  const file = env.PRICE_FILE || DEFAULT_PRICE_FILE;
+  return {
+    source: "file",
+    async getRates() {
+      const table = JSON.parse(await readFile(file, "utf8"));
+      return createStaticPriceProvider(table, "file").getRates();
+    },
+  };
+}
+
+/**
+ * Rates for a job run, or null when the source is unavailable: a price
+ * outage must never hold up funding or releases.
+ */
+export async function loadRates(prices, logger = console) {
+  if (!prices) return null;
+  try {
+    return await prices.getRates();
+  } catch (err) {
+    logger.warn(`Price source ${prices.source} unavailable: ${err.message}`);
+    return null;
+  }
+}
@@ -0,0 +1,79 @@
+// functions/roles.js
+import { getAuth } from "firebase-admin/auth";
+import { FieldValue, getFirestore } from "firebase-admin/firestore";
+import { HttpsError, onCall } from "firebase-functions/v2/https";
+
+/**
+ * Staff roles carried as Firebase Auth custom claims.
+ *
+ * - admin:   full platform access, confirms payments, manages roles
+ * - arbiter: reviews and resolves disputes
+ *
+ * Claims are the source of truth for the client and firestore.rules. They are
+ * mirrored (read-only for clients) onto users/{uid}.roles for the admin UI and
+ * onto profiles/{uid} so other users can notify staff.
+ */
+
+export const ROLES = ["admin", "arbiter"];
+
+const PROFILE_FLAGS = { admin: "isAdmin", arbiter: "isArbiter" };
+
+/**
+ * Grants or revokes a role. Shared by the callable and scripts/grant-role.js.
+ * @returns {Promise<{ uid: string, roles: { admin: boolean, arbiter: boolean } }>}
+ */
+export async function applyUserRole(uid, role, grant, actorUid = null) {
+  if (!ROLES.includes(role)) throw new Error(`Unknown role: ${role}`);
+  const auth = getAuth();
+  const db = getFirestore();
+
+  const user = await auth.getUser(uid);
+  const claims = { ...(user.customClaims || {}), [role]: !!grant };
+  await auth.setCustomUserClaims(uid, claims);
+  // Make a revocation take effect immediately instead of at token expiry
+  if (!grant) await auth.revokeRefreshTokens(uid);
+
+  const roles = Object.fromEntries(ROLES.map((r) => [r, claims[r] === true]));
+  await db.doc(`users/${uid}`).set({ roles }, { merge: true });
+  await db
+    .doc(`profiles/${uid}`)
+    .set({ [PROFILE_FLAGS[role]]: !!grant }, { merge: true });
+  await db.collection("adminAudit").add({
+    actor: actorUid,
+    action: grant ? "granted_role" : "revoked_role",
+    meta: { target: uid, role },
+    createdAt: FieldValue.serverTimestamp(),
+  });
+
+  return { uid, roles };
+}
+
+/**
+ * Callable: setUserRole({ uid, role, grant }). Admins only.
+ */
+export const setUserRole = onCall(async (request) => {
+  if (request.auth?.token?.admin !== true) {
+    throw new HttpsError("permission-denied", "Only admins can manage roles.");
+  }
+  const { uid, role, grant } = request.data || {};
+  if (typeof uid !== "string" || !uid) {
+    throw new HttpsError("invalid-argument", "uid is required.");
+  }
+  if (!ROLES.includes(role)) {
+    throw new HttpsError("invalid-argument", `role must be one of ${ROLES.join(", ")}.`);
+  }
+  if (uid === request.auth.uid && role === "admin" && !grant) {
+    throw new HttpsError(
+      "failed-precondition",
+      "Admins cannot revoke their own admin role."
+    );
+  }
+  try {
+    return await applyUserRole(uid, role, !!grant, request.auth.uid);
+  } catch (err) {
+    if (err.code === "auth/user-not-found") {
+      throw new HttpsError("not-found", "User not found.");
+    }
+    throw err;
+  }
+});
@@ -0,0 +1,212 @@
+// scripts/eth-escrow-devchain.js
+//
+// Runs contract escrows end to end against a local dev chain (anvil, or any
+// node with unlocked accounts and evm_increaseTime): deploys the factory,
+// then for three escrows deploys the contract the way the app does, funds
+// it, checks the deposit watcher's adapter sees the payment, and settles
+// it by the buyer's release, by an arbiter's split and by a refund after
+// the contract's deadline.
+//
+//   forge build --contracts contracts --out contracts/out
+//   anvil &
+//   ETH_RPC_URL=http://127.0.0.1:8545 npm run eth-escrow-devchain
+//
+// Accounts 0-3 of the node act as arbiter, fee recipient, seller and buyer.
+
+import { readFileSync } from "node:fs";
+import { createEthAdapter } from "../functions/chain/ethereum.js";
+import { createRpcClient } from "../functions/chain/rpc.js";
+import { formatAmount } from "../src/lib/amounts.js";
+import {
+  CONTRACT_CALLS,
+  CONTRACT_VIEWS,
+  contractMismatches,
+  contractTerms,
+  createEscrowCall,
+  decodeView,
+  encodeArgs,
+  encodeCall,
+  escrowFromReceipt,
+  settlementCall,
+} from "../src/lib/ethContract.js";
+import { toChecksumAddress } from "../src/lib/escrowAddresses.js";
+import { amountDue, calculateFee } from "../src/lib/fees.js";
+
+const ARTIFACT = "contracts/out/EthEscrow.sol/EthEscrowFactory.json";
+const url = process.env.ETH_RPC_URL;
+
+if (!url) {
+  console.error("Usage: ETH_RPC_URL=… node scripts/eth-escrow-devchain.js");
+  process.exit(1);
+}
+
+const rpc = createRpcClient(url);
+const AMOUNT = "1000000000000000000"; // 1 ETH
+
+const toHex = (n) => "0x" + BigInt(n).toString(16);
+
+async function send(from, to, data, value = 0n) {
+  const hash = await rpc("eth_sendTransaction", [
+    {
+      from,
+      ...(to && { to }),
+      data,
+      value: toHex(value),
+      gas: toHex(3000000),
+    },
+  ]);
+  const receipt = await rpc("eth_getTransactionReceipt", [hash]);
+  if (receipt?.status !== "0x1") throw new Error(`Transaction ${hash} failed`);
+  return receipt;
+}
+
+async function reverts(from, to, data) {
+  try {
+    await rpc("eth_call", [{ from, to, data }, "latest"]);
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+async function read(address) {
+  const onchain = {};
+  for (const name of Object.keys(CONTRACT_VIEWS)) {
+    const data = encodeCall(`${name}()`);
+    onchain[name] = decodeView(
+      name,
+      await rpc("eth_call", [{ to: address, data }, "latest"])
+    );
+  }
+  return onchain;
+}
+
+const balanceOf = async (address) =>
+  BigInt(await rpc("eth_getBalance", [address, "latest"]));
+
+function expect(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+try {
+  const { bytecode } = JSON.parse(readFileSync(ARTIFACT, "utf8"));
+  const [arbiter, feeRecipient, seller, buyer] = (
+    await rpc("eth_accounts")
+  ).map(toChecksumAddress);
+
+  // 1. The platform's factory, fixing arbiter and fee recipient
+  const { contractAddress } = await send(
+    arbiter,
+    null,
+    bytecode.object +
+      encodeArgs(["address", "address"], [arbiter, feeRecipient])
+  );
+  const factory = toChecksumAddress(contractAddress);
+  console.log(`Factory: ${factory}`);
+  const adapter = createEthAdapter({
+    url,
+    cursor: { get: async () => null, set: async () => {} },
+  });
+
+  // 2. One escrow as the app creates it: terms, contract, deposit
+  async function openEscrow(txId, deadline) {
+    const tx = {
+      currency: "ETH",
+      amount: AMOUNT,
+      fee: calculateFee(AMOUNT, "ETH", "split"),
+      sellerWallet: seller,
+      buyerWallet: buyer,
+      custody: "contract",
+    };
+    const terms = contractTerms(tx);
+    const receipt = await send(
+      buyer,
+      factory,
+      createEscrowCall({ ...terms, deadline }, txId)
+    );
+    const address = escrowFromReceipt(receipt, factory);
+    tx.contract = {
+      address,
+      factory,
+      deadline,
+      deployTx: receipt.transactionHash,
+    };
+    tx.escrowWallet = address;
+
+    const problems = contractMismatches(contractTerms(tx), await read(address));
+    expect(!problems.length, `${txId}: ${problems.join("; ")}`);
+
+    await send(buyer, address, "0x", amountDue(tx));
+    const deposits = await adapter.getDeposits([address]);
+    expect(
+      deposits.some((d) => BigInt(d.amount) === amountDue(tx)),
+      `${txId}: the deposit watcher did not see the deposit`
+    );
+    expect((await read(address)).state === "funded", `${txId}: not funded`);
+    console.log(
+      `${txId}: ${address} funded with ${formatAmount(amountDue(tx), "ETH")} ETH`
+    );
+    return tx;
+  }
+
+  const now = parseInt(
+    (await rpc("eth_getBlockByNumber", ["latest", false])).timestamp,
+    16
+  );
+
+  // 3. The buyer releases
+  const released = await openEscrow("TXDEV1", now + 3600);
+  const release = encodeCall(CONTRACT_CALLS.release);
+  const sellerBefore = await balanceOf(seller);
+  expect(
+    await reverts(seller, released.escrowWallet, release),
+    "release() by the seller did not revert"
+  );
+  await send(buyer, released.escrowWallet, release);
+  expect(
+    (await read(released.escrowWallet)).state === "released",
+    "TXDEV1: not released"
+  );
+  console.log(
+    `TXDEV1: released, seller received ${formatAmount(
+      (await balanceOf(seller)) - sellerBefore,
+      "ETH"
+    )} ETH`
+  );
+
+  // 4. The arbiter splits after a dispute
+  const split = await openEscrow("TXDEV2", now + 3600);
+  const held = await balanceOf(split.escrowWallet);
+  const allocation = {
+    seller: (held / 2n).toString(),
+    buyer: (held / 4n).toString(),
+    fee: (held - held / 2n - held / 4n).toString(),
+    total: held.toString(),
+  };
+  const call = settlementCall(allocation, held);
+  await send(arbiter, split.escrowWallet, call.data);
+  expect(
+    (await read(split.escrowWallet)).state === "split",
+    "TXDEV2: not split"
+  );
+  console.log(`TXDEV2: split ${JSON.stringify(allocation)}`);
+
+  // 5. Nobody acts: anyone refunds the buyer once the deadline passes
+  const timedOut = await openEscrow("TXDEV3", now + 600);
+  const refund = encodeCall(CONTRACT_CALLS.refundAfterTimeout);
+  expect(
+    await reverts(seller, timedOut.escrowWallet, refund),
+    "refundAfterTimeout() before the deadline did not revert"
+  );
+  await rpc("evm_increaseTime", [3600]);
+  await rpc("evm_mine", []);
+  await send(seller, timedOut.escrowWallet, refund);
+  expect(
+    (await read(timedOut.escrowWallet)).state === "refunded",
+    "TXDEV3: not refunded"
+  );
+  console.log("TXDEV3: refunded to the buyer after the deadline");
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
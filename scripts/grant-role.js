@@ -0,0 +1,33 @@
+// scripts/grant-role.js
+//
+// Grants or revokes a staff role from the command line. Used to bootstrap
+// the first admin, who can then manage roles from the Admin Panel.
+//
+//   node scripts/grant-role.js <email> <admin|arbiter> [--revoke]
+//
+// Uses GOOGLE_APPLICATION_CREDENTIALS for production, or the local emulators
+// when FIREBASE_AUTH_EMULATOR_HOST / FIRESTORE_EMULATOR_HOST are set.
+
+import { initializeApp } from "firebase-admin/app";
+import { getAuth } from "firebase-admin/auth";
+import { applyUserRole, ROLES } from "../functions/roles.js";
+
+const [email, role, flag] = process.argv.slice(2);
+
+if (!email || !ROLES.includes(role)) {
+  console.error(
+    `Usage: node scripts/grant-role.js <email> <${ROLES.join("|")}> [--revoke]`
+  );
+  process.exit(1);
+}
+
+initializeApp({ projectId: process.env.GCLOUD_PROJECT || "crypto-escrow-a1e1e" });
+
+try {
+  const user = await getAuth().getUserByEmail(email);
+  const result = await applyUserRole(user.uid, role, flag !== "--revoke");
+  console.log(`${email} (${user.uid}) roles:`, result.roles);
+} catch (err) {
+  console.error("Failed to update role:", err.message);
+  process.exit(1);
+}
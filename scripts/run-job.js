@@ -0,0 +1,77 @@
+// scripts/run-job.js
+//
+// Runs a scheduled job once, outside of Cloud Scheduler:
+//
+//   node scripts/run-job.js deposits
+//   node scripts/run-job.js contracts
+//   node scripts/run-job.js deadlines [--now=2030-01-01T00:00:00Z]
+//   node scripts/run-job.js digests
+//
+// Chain adapters come from the same env vars as the deployed function
+// (BTC_RPC_URL, BCH_RPC_URL, ETH_RPC_URL, CHAIN_NETWORK), escrow keys from
+// ESCROW_XPUB_<network>, rates from PRICE_SOURCE / PRICE_FILE (see
+// functions/prices.js), mail from EMAIL_TRANSPORT / SMTP_URL (see
+// functions/email/index.js). Point
+// FIRESTORE_EMULATOR_HOST at the emulator to run against local data.
+
+import { initializeApp } from "firebase-admin/app";
+import { getFirestore } from "firebase-admin/firestore";
+import { createAdaptersFromEnv } from "../functions/chain/index.js";
+import { createRpcClient } from "../functions/chain/rpc.js";
+import { runContractWatcher } from "../functions/contractWatcher.js";
+import { runDeadlineJob } from "../functions/deadlineJob.js";
+import {
+  escrowKeysFromEnv,
+  runDepositWatcher,
+  tokenContractsFromEnv,
+} from "../functions/depositWatcher.js";
+import { runDigestJob } from "../functions/digestJob.js";
+import { createMailTransportFromEnv } from "../functions/email/index.js";
+import { createPriceProviderFromEnv } from "../functions/prices.js";
+
+const [name, ...flags] = process.argv.slice(2);
+
+// --now=<date> pretends the job runs at another time (deadline testing)
+const nowFlag = flags.find((f) => f.startsWith("--now="));
+const now = nowFlag ? Date.parse(nowFlag.slice("--now=".length)) : Date.now();
+
+const prices = createPriceProviderFromEnv();
+
+const JOBS = {
+  deposits: (db) =>
+    runDepositWatcher({
+      db,
+      adapters: createAdaptersFromEnv(db),
+      xpubs: escrowKeysFromEnv(),
+      tokenContracts: tokenContractsFromEnv(),
+      prices,
+    }),
+  contracts: (db) =>
+    runContractWatcher({
+      db,
+      rpc: createRpcClient(process.env.ETH_RPC_URL),
+      prices,
+    }),
+  deadlines: (db) => runDeadlineJob({ db, now, prices }),
+  digests: (db) =>
+    runDigestJob({
+      db,
+      transport: createMailTransportFromEnv(),
+      ...(process.env.APP_URL && { appUrl: process.env.APP_URL }),
+    }),
+};
+
+if (!JOBS[name] || Number.isNaN(now)) {
+  console.error(`Usage: node scripts/run-job.js <${Object.keys(JOBS).join("|")}>`);
+  process.exit(1);
+}
+
+initializeApp({ projectId: process.env.GCLOUD_PROJECT || "crypto-escrow-a1e1e" });
+
+try {
+  const result = await JOBS[name](getFirestore());
+  console.log(`${name}:`, result);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
@@ -0,0 +1,135 @@
+// src/lib/addressValidation.js
+import { base58check, bech32, bech32m } from "@scure/base";
+import { sha256 } from "@noble/hashes/sha2";
+import { decodeCashAddr } from "./cashaddr.js";
+import { CURRENCIES, ENABLED_NETWORKS, currencyInfo } from "./currencies.js";
+import { toChecksumAddress } from "./escrowAddresses.js";
+
+/**
+ * Wallet address validation for the supported currencies. Each currency
+ * lists the formats it accepts in the registry (lib/currencies):
+ *
+ * - segwit:   SegWit bech32 (v0) / bech32m (v1+), bc1…
+ * - base58:   legacy base58check (P2PKH / P2SH), shared by BTC and BCH
+ * - cashaddr: CashAddr, with or without the bitcoincash: prefix
+ * - eth:      0x-prefixed hex; mixed-case addresses must carry a valid
+ *             EIP-55 checksum (ETH and the ERC-20 tokens)
+ */
+
+const b58 = base58check(sha256);
+
+// Mainnet base58 version bytes: P2PKH, P2SH
+const LEGACY_VERSIONS = [0x00, 0x05];
+
+function isLegacyBase58(address) {
+  if (!/^[13][1-9A-HJ-NP-Za-km-z]{25,34}$/.test(address)) return false;
+  try {
+    const bytes = b58.decode(address);
+    return bytes.length === 21 && LEGACY_VERSIONS.includes(bytes[0]);
+  } catch {
+    return false;
+  }
+}
+
+function isSegwit(address) {
+  const lower = address.toLowerCase();
+  if (address !== lower && address !== address.toUpperCase()) return false;
+  if (!lower.startsWith("bc1")) return false;
+  // Witness v0 uses bech32, v1+ (Taproot) uses bech32m (BIP-350)
+  let decoded;
+  try {
+    decoded = bech32.decode(lower);
+  } catch {
+    try {
+      decoded = bech32m.decode(lower);
+      decoded.isBech32m = true;
+    } catch {
+      return false;
+    }
+  }
+  if (decoded.prefix !== "bc" || decoded.words.length === 0) return false;
+  const version = decoded.words[0];
+  if (version > 16) return false;
+  if ((version === 0) === !!decoded.isBech32m) return false;
+  let program;
+  try {
+    program = bech32.fromWords(decoded.words.slice(1));
+  } catch {
+    return false;
+  }
+  if (program.length < 2 || program.length > 40) return false;
+  if (version === 0 && program.length !== 20 && program.length !== 32) {
+    return false;
+  }
+  return true;
+}
+
+const isCashAddr = (address) => {
+  const decoded = decodeCashAddr(address);
+  return !!decoded && decoded.prefix === "bitcoincash";
+};
+
+function isEthAddress(address) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) return false;
+  const body = address.slice(2);
+  // All-lower / all-upper addresses carry no checksum
+  if (body === body.toLowerCase() || body === body.toUpperCase()) return true;
+  return toChecksumAddress(address) === address;
+}
+
+export const ADDRESS_FORMATS = {
+  segwit: isSegwit,
+  base58: isLegacyBase58,
+  cashaddr: isCashAddr,
+  eth: isEthAddress,
+};
+
+const matchesCurrency = (currency, address) =>
+  CURRENCIES[currency].addressFormats.some((f) => ADDRESS_FORMATS[f](address));
+
+export const ADDRESS_CURRENCIES = Object.keys(CURRENCIES);
+
+/** Currencies whose address format the given address matches. */
+export function detectAddressCurrencies(address) {
+  const a = (address || "").trim();
+  if (!a) return [];
+  return ADDRESS_CURRENCIES.filter((c) => matchesCurrency(c, a));
+}
+
+/**
+ * Validates an address for a currency.
+ * @returns {{ valid: boolean, error: string | null }}
+ */
+export function validateAddress(currency, address) {
+  const a = (address || "").trim();
+  if (!a) return { valid: false, error: "Wallet address is required." };
+  if (!currencyInfo(currency)) {
+    return { valid: false, error: `Unsupported currency: ${currency}` };
+  }
+  if (matchesCurrency(currency, a)) return { valid: true, error: null };
+
+  const matches = detectAddressCurrencies(a);
+  if (matches.length > 0) {
+    return {
+      valid: false,
+      error: `This is a ${matches.join("/")} address, but the escrow currency is ${currency}.`,
+    };
+  }
+  return {
+    valid: false,
+    error: `Invalid ${currency} address. Check it for typos.`,
+  };
+}
+
+/** Validates an address that must belong to at least one supported currency. */
+export function validateAnyAddress(address) {
+  const a = (address || "").trim();
+  if (!a) return { valid: false, error: "Wallet address is required." };
+  if (detectAddressCurrencies(a).length > 0) return { valid: true, error: null };
+  return {
+    valid: false,
+    error: `Invalid wallet address. Enter a valid ${ENABLED_NETWORKS.join(
+      "/"
+    )} address.`,
+  };
+}
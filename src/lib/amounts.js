@@ -0,0 +1,99 @@
+// src/lib/amounts.js
+import { currencyInfo } from "./currencies.js";
+
+/**
+ * Exact crypto amounts.
+ *
+ * Amounts are stored on transactions as strings of integer base units
+ * (satoshis for BTC/BCH, wei for ETH, the token's smallest unit for
+ * USDT/USDC) and handled as BigInt, never as
+ * floating point. Older transactions stored a float `amount`; the helpers
+ * below still render those as-is. Each currency's decimals come from the
+ * registry (lib/currencies).
+ */
+
+/* === Errors === */
+export class AmountError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AmountError";
+    this.code = "escrow/invalid-amount";
+  }
+}
+
+export function decimalsFor(currency) {
+  const info = currencyInfo(currency);
+  if (!info) throw new AmountError(`Unsupported currency: ${currency}`);
+  return info.decimals;
+}
+
+/** Smallest unit as a decimal string, e.g. "0.00000001" (for input step). */
+export function amountStep(currency) {
+  const decimals = decimalsFor(currency);
+  return decimals === 0 ? "1" : `0.${"0".repeat(decimals - 1)}1`;
+}
+
+/**
+ * Parses a user-entered decimal amount into base units.
+ * Rejects negative/zero amounts, non-numeric input and more fractional
+ * digits than the currency supports.
+ * @returns {string} integer base units, e.g. "150000000"
+ */
+export function parseAmount(input, currency) {
+  const decimals = decimalsFor(currency);
+  const value = String(input ?? "").trim();
+  const match = /^(\d*)(?:\.(\d*))?$/.exec(value);
+  if (!value || !match || (match[1] === "" && !match[2])) {
+    throw new AmountError("Enter a valid amount.");
+  }
+  const [, whole, fraction = ""] = match;
+  if (fraction.replace(/0+$/, "").length > decimals) {
+    throw new AmountError(
+      `${currency} supports at most ${decimals} decimal places.`
+    );
+  }
+  const units = BigInt(
+    (whole || "0") + fraction.padEnd(decimals, "0").slice(0, decimals)
+  );
+  if (units <= 0n) throw new AmountError("Amount must be greater than zero.");
+  return units.toString();
+}
+
+/** Normalises a stored amount (base-unit string / BigInt) to BigInt. */
+export function toBaseUnits(amount) {
+  if (typeof amount === "bigint") return amount;
+  if (typeof amount === "string" && /^-?\d+$/.test(amount)) {
+    return BigInt(amount);
+  }
+  throw new AmountError(`Not an integer base-unit amount: ${amount}`);
+}
+
+/**
+ * Formats base units as a decimal string without trailing zeros,
+ * e.g. ("150000000", "BTC") => "1.5".
+ */
+export function formatAmount(amount, currency) {
+  const decimals = decimalsFor(currency);
+  const units = toBaseUnits(amount);
+  const negative = units < 0n;
+  const digits = (negative ? -units : units)
+    .toString()
+    .padStart(decimals + 1, "0");
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, "");
+  return (negative ? "-" : "") + whole + (fraction ? `.${fraction}` : "");
+}
+
+/**
+ * Display string for a transaction's amount, e.g. "1.5 BTC".
+ * Legacy float amounts are shown unchanged.
+ */
+export function formatTxAmount(tx) {
+  if (tx?.amount === undefined || tx?.amount === null) return "";
+  if (typeof tx.amount === "number") return `${tx.amount} ${tx.currency}`;
+  try {
+    return `${formatAmount(tx.amount, tx.currency)} ${tx.currency}`;
+  } catch {
+    return `${tx.amount} ${tx.currency}`;
+  }
+}
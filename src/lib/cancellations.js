@@ -0,0 +1,80 @@
+// src/lib/cancellations.js
+
+/**
+ * Cancellation by mutual consent.
+ *
+ * Before an escrow is funded either party may propose cancelling it; the
+ * other party accepts (=> cancelled) or declines. The request lives on the
+ * transaction as `cancellation`:
+ *   { requestedBy, requestedByRole, reason, atStatus, requestedAt,
+ *     response: { accepted, by, at } | null }
+ *
+ * `atStatus` pins the request to the status it was made in, so a request
+ * left open while the escrow moved on cannot be accepted later. Cancelled
+ * escrows are kept for history; only admins hard-delete transactions, through
+ * the deleteTransaction function. Timestamps are passed in so callers can use
+ * serverTimestamp().
+ */
+
+// Statuses a cancellation may be requested in (nothing is held yet)
+export const CANCELLABLE_STATUSES = ["waiting_payment", "awaiting_confirmation"];
+
+// Statuses an admin may hard-delete a transaction in (never funded)
+export const DELETABLE_STATUSES = [
+  "pending_invite",
+  "pending_acceptance",
+  "rejected",
+  "expired",
+  "cancelled",
+];
+
+export const MAX_REASON_LENGTH = 500;
+
+/* === Errors === */
+export class CancellationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CancellationError";
+    this.code = "escrow/invalid-cancellation";
+  }
+}
+
+// Deposits seen on chain have to be refunded, not cancelled
+const hasDeposits = (tx) => !!tx?.deposits?.length;
+
+/** True while a request made in the current status awaits an answer. */
+export const isCancellationPending = (tx) =>
+  !!tx?.cancellation &&
+  !tx.cancellation.response &&
+  tx.cancellation.atStatus === tx.status;
+
+export const canRequestCancellation = (tx) =>
+  !hasDeposits(tx) && !isCancellationPending(tx);
+
+export const canAnswerCancellation = (tx) =>
+  !hasDeposits(tx) && isCancellationPending(tx);
+
+export function buildCancellationRequest(reason, requester, status, at) {
+  const text = (reason || "").trim();
+  if (text.length > MAX_REASON_LENGTH) {
+    throw new CancellationError(
+      `Reasons are limited to ${MAX_REASON_LENGTH} characters.`
+    );
+  }
+  return {
+    requestedBy: requester.uid,
+    requestedByRole: requester.role,
+    reason: text,
+    atStatus: status,
+    requestedAt: at,
+    response: null,
+  };
+}
+
+export function buildCancellationResponse(accepted, uid, at) {
+  return { accepted: !!accepted, by: uid, at };
+}
+
+/** Whether a transaction may be hard-deleted by an admin. */
+export const isDeletable = (tx) =>
+  DELETABLE_STATUSES.includes(tx?.status) && !hasDeposits(tx);
@@ -0,0 +1,92 @@
+// src/lib/cashaddr.js
+import { bech32 } from "@scure/base";
+
+/**
+ * Bitcoin Cash CashAddr encoding (prefix:payload with a 40-bit BCH checksum).
+ * Only 160-bit hashes are supported, which covers P2PKH and P2SH addresses.
+ */
+
+const CHARSET = "qpzry9x8gf2tvdw0s3jn54khce6mua7l";
+const GENERATORS = [
+  0x98f2bc8e61n,
+  0x79b76d99e2n,
+  0xf33e5fb3c4n,
+  0xae2eabe2a8n,
+  0x1e4f43e470n,
+];
+const TYPES = { p2pkh: 0, p2sh: 1 };
+
+export const CASHADDR_PREFIX = "bitcoincash";
+
+function polymod(values) {
+  let c = 1n;
+  for (const d of values) {
+    const c0 = c >> 35n;
+    c = ((c & 0x07ffffffffn) << 5n) ^ BigInt(d);
+    GENERATORS.forEach((g, i) => {
+      if ((c0 >> BigInt(i)) & 1n) c ^= g;
+    });
+  }
+  return c ^ 1n;
+}
+
+const prefixWords = (prefix) => [
+  ...Array.from(prefix, (ch) => ch.charCodeAt(0) & 0x1f),
+  0,
+];
+
+/**
+ * @param {Uint8Array} hash 20-byte hash160
+ * @param {"p2pkh"|"p2sh"} [type]
+ * @param {string} [prefix]
+ */
+export function encodeCashAddr(hash, type = "p2pkh", prefix = CASHADDR_PREFIX) {
+  if (hash.length !== 20) throw new Error("CashAddr hash must be 20 bytes");
+  const payload = bech32.toWords(Uint8Array.from([TYPES[type] << 3, ...hash]));
+  const mod = polymod([...prefixWords(prefix), ...payload, 0, 0, 0, 0, 0, 0, 0, 0]);
+  const checksum = [];
+  for (let i = 0; i < 8; i++) {
+    checksum.push(Number((mod >> BigInt(5 * (7 - i))) & 0x1fn));
+  }
+  return (
+    prefix + ":" + [...payload, ...checksum].map((w) => CHARSET[w]).join("")
+  );
+}
+
+/**
+ * Decodes a CashAddr string (prefix optional). Returns null when the address
+ * is malformed or its checksum does not match.
+ * @returns {{ prefix: string, type: "p2pkh"|"p2sh", hash: Uint8Array } | null}
+ */
+export function decodeCashAddr(address, defaultPrefix = CASHADDR_PREFIX) {
+  if (typeof address !== "string") return null;
+  if (address !== address.toLowerCase() && address !== address.toUpperCase()) {
+    return null;
+  }
+  const lower = address.toLowerCase();
+  const [prefix, body] = lower.includes(":")
+    ? lower.split(":")
+    : [defaultPrefix, lower];
+  if (!prefix || !body || body.length < 9) return null;
+
+  const words = [];
+  for (const ch of body) {
+    const w = CHARSET.indexOf(ch);
+    if (w === -1) return null;
+    words.push(w);
+  }
+  if (polymod([...prefixWords(prefix), ...words]) !== 0n) return null;
+
+  let bytes;
+  try {
+    bytes = bech32.fromWords(words.slice(0, -8));
+  } catch {
+    return null;
+  }
+  const version = bytes[0];
+  const hash = Uint8Array.from(bytes.slice(1));
+  if ((version & 0x07) !== 0 || hash.length !== 20) return null;
+  const type = Object.keys(TYPES).find((k) => TYPES[k] === version >> 3);
+  if (!type) return null;
+  return { prefix, type, hash };
+}
@@ -0,0 +1,224 @@
+// src/lib/currencies.js
+
+/**
+ * Currency registry: every asset escrows can be held in, described once.
+ * Formatting, address and txid validation, explorer links, confirmations,
+ * prices, escrow addresses, fees and the create form all read from here, so
+ * offering another coin or token means adding an entry (plus, for a new
+ * network, an address encoder in lib/escrowAddresses.js and a chain adapter).
+ *
+ *   symbol          ticker, also the key and tx.currency
+ *   name            display name
+ *   network         chain it lives on: derives deposit addresses, shares
+ *                   their counter and the deposit watcher's node; a coin is
+ *                   its own network, a token names its chain's coin
+ *   decimals        base units per whole coin, as 10^decimals
+ *   addressFormats  formats a wallet address may take
+ *                   (ADDRESS_FORMATS in lib/addressValidation.js)
+ *   addressHint     example shapes, for input placeholders
+ *   txid            transaction hash pattern (lower-case)
+ *   explorer        URL templates for {txid} and {address}
+ *   confirmations   blocks before a deposit counts as received
+ *   uriScheme       payment URI scheme (lib/paymentUri.js)
+ *   priceId         CoinGecko id (lib/prices.js)
+ *   token           for tokens: { standard, contract } on `network`
+ *   fees            escrow fee schedule (lib/fees.js):
+ *                   { percentBps, minimum, tiers: [{ above, percentBps }] }
+ *   enabled         offered for new escrows; existing escrows of a disabled
+ *                   currency keep working
+ *
+ * firestore.rules cannot import this file, so it spells out the currency
+ * lists it needs; RULES_CURRENCY_LISTS below derives each from the registry
+ * and tests/unit/currencies.test.js checks that the rules match:
+ *   isTokenCurrency   currencies with a `token`
+ *   isPaymentProof    currencies with 0x… transaction hashes
+ * and, in RULES_TOKEN_CONTRACTS and RULES_FEE_MINIMUMS, a value per
+ * currency:
+ *   tokenContract     each token's contract, lower-case
+ *   feeMinimum        each currency's minimum fee, in base units
+ */
+
+const HEX_TXID = /^[0-9a-f]{64}$/;
+const ETH_TXID = /^0x[0-9a-f]{64}$/;
+
+const ETHERSCAN = {
+  tx: "https://etherscan.io/tx/{txid}",
+  address: "https://etherscan.io/address/{address}",
+};
+
+export const CURRENCIES = {
+  BTC: {
+    symbol: "BTC",
+    name: "Bitcoin",
+    network: "BTC",
+    decimals: 8,
+    addressFormats: ["segwit", "base58"],
+    addressHint: "bc1q…, 1… or 3…",
+    txid: HEX_TXID,
+    explorer: {
+      tx: "https://mempool.space/tx/{txid}",
+      address: "https://mempool.space/address/{address}",
+    },
+    confirmations: 2,
+    uriScheme: "bitcoin",
+    priceId: "bitcoin",
+    fees: {
+      percentBps: 100,
+      minimum: "10000", // 0.0001 BTC
+      tiers: [
+        { above: "100000000", percentBps: 75 }, // > 1 BTC
+        { above: "1000000000", percentBps: 50 }, // > 10 BTC
+      ],
+    },
+    enabled: true,
+  },
+  BCH: {
+    symbol: "BCH",
+    name: "Bitcoin Cash",
+    network: "BCH",
+    decimals: 8,
+    addressFormats: ["cashaddr", "base58"],
+    addressHint: "bitcoincash:q… or 1…",
+    txid: HEX_TXID,
+    explorer: {
+      tx: "https://blockchair.com/bitcoin-cash/transaction/{txid}",
+      address: "https://blockchair.com/bitcoin-cash/address/{address}",
+    },
+    confirmations: 6,
+    uriScheme: "bitcoincash",
+    priceId: "bitcoin-cash",
+    fees: {
+      percentBps: 100,
+      minimum: "100000", // 0.001 BCH
+      tiers: [{ above: "10000000000", percentBps: 50 }], // > 100 BCH
+    },
+    enabled: true,
+  },
+  ETH: {
+    symbol: "ETH",
+    name: "Ether",
+    network: "ETH",
+    decimals: 18,
+    addressFormats: ["eth"],
+    addressHint: "0x…",
+    txid: ETH_TXID,
+    explorer: ETHERSCAN,
+    confirmations: 12,
+    uriScheme: "ethereum",
+    priceId: "ethereum",
+    fees: {
+      percentBps: 100,
+      minimum: "1000000000000000", // 0.001 ETH
+      tiers: [
+        { above: "10000000000000000000", percentBps: 75 }, // > 10 ETH
+        { above: "100000000000000000000", percentBps: 50 }, // > 100 ETH
+      ],
+    },
+    enabled: true,
+  },
+  USDT: {
+    symbol: "USDT",
+    name: "Tether USD",
+    network: "ETH",
+    decimals: 6,
+    addressFormats: ["eth"],
+    addressHint: "0x…",
+    txid: ETH_TXID,
+    explorer: ETHERSCAN,
+    confirmations: 12,
+    uriScheme: "ethereum",
+    priceId: "tether",
+    token: {
+      standard: "ERC-20",
+      contract: "0xdAC17F958D2ee523a2206206994597C13D831ec7",
+    },
+    fees: {
+      percentBps: 100,
+      minimum: "1000000", // 1 USDT
+      tiers: [
+        { above: "10000000000", percentBps: 75 }, // > 10,000 USDT
+        { above: "100000000000", percentBps: 50 }, // > 100,000 USDT
+      ],
+    },
+    enabled: true,
+  },
+  USDC: {
+    symbol: "USDC",
+    name: "USD Coin",
+    network: "ETH",
+    decimals: 6,
+    addressFormats: ["eth"],
+    addressHint: "0x…",
+    txid: ETH_TXID,
+    explorer: ETHERSCAN,
+    confirmations: 12,
+    uriScheme: "ethereum",
+    priceId: "usd-coin",
+    token: {
+      standard: "ERC-20",
+      contract: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48",
+    },
+    fees: {
+      percentBps: 100,
+      minimum: "1000000", // 1 USDC
+      tiers: [
+        { above: "10000000000", percentBps: 75 }, // > 10,000 USDC
+        { above: "100000000000", percentBps: 50 }, // > 100,000 USDC
+      ],
+    },
+    enabled: true,
+  },
+};
+
+export const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+
+/** Currencies offered for new escrows, in registry order. */
+export const ENABLED_CURRENCIES = SUPPORTED_CURRENCIES.filter(
+  (c) => CURRENCIES[c].enabled
+);
+
+const networksOf = (currencies) => [
+  ...new Set(currencies.map((c) => CURRENCIES[c].network)),
+];
+
+/** Every network escrows live on, e.g. ["BTC", "BCH", "ETH"]. */
+export const NETWORKS = networksOf(SUPPORTED_CURRENCIES);
+
+/** Networks with at least one enabled currency. */
+export const ENABLED_NETWORKS = networksOf(ENABLED_CURRENCIES);
+
+/** The currency lists repeated in firestore.rules, by rules function. */
+export const RULES_CURRENCY_LISTS = {
+  isTokenCurrency: SUPPORTED_CURRENCIES.filter((c) => CURRENCIES[c].token),
+  isPaymentProof: SUPPORTED_CURRENCIES.filter(
+    (c) => CURRENCIES[c].txid === ETH_TXID
+  ),
+};
+
+/** The token contracts firestore.rules' tokenContract() pins, lower-case. */
+export const RULES_TOKEN_CONTRACTS = Object.fromEntries(
+  RULES_CURRENCY_LISTS.isTokenCurrency.map((c) => [
+    c,
+    CURRENCIES[c].token.contract.toLowerCase(),
+  ])
+);
+
+/** The minimum fees firestore.rules' feeMinimum() enforces. */
+export const RULES_FEE_MINIMUMS = Object.fromEntries(
+  SUPPORTED_CURRENCIES.map((c) => [c, CURRENCIES[c].fees.minimum])
+);
+
+/** Registry entry of a currency, or null for unknown ones. */
+export const currencyInfo = (currency) =>
+  Object.hasOwn(CURRENCIES, currency ?? "") ? CURRENCIES[currency] : null;
+
+/** The network a currency lives on; unknown currencies are their own. */
+export const networkOf = (currency) =>
+  currencyInfo(currency)?.network ?? currency;
+
+/** Select label, e.g. "BTC" or "USDT (ERC-20)". */
+export function currencyLabel(currency) {
+  const info = currencyInfo(currency);
+  if (!info) return currency;
+  return info.token ? `${info.symbol} (${info.token.standard})` : info.symbol;
+}
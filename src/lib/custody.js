@@ -0,0 +1,60 @@
+// src/lib/custody.js
+import { networkOf } from "./currencies.js";
+import { deriveEscrowAddress } from "./escrowAddresses.js";
+import { CONTRACT_CURRENCIES, isContractEscrow } from "./ethContract.js";
+import {
+  isMultisig,
+  MULTISIG_CURRENCIES,
+  verifyMultisigAddress,
+} from "./multisig.js";
+
+/**
+ * Who holds an escrow's funds (tx.custody):
+ * - custodial: an address derived from the platform's key
+ *   (lib/escrowAddresses)
+ * - multisig:  a 2-of-3 address of the buyer, the seller and the platform
+ *   (lib/multisig)
+ * - contract:  an escrow contract on Ethereum (lib/ethContract)
+ * `currencies` lists where a mode is offered; null means all of them.
+ */
+export const CUSTODY_MODES = {
+  custodial: { label: "Escrow wallet", currencies: null },
+  multisig: { label: "2-of-3 multisig", currencies: MULTISIG_CURRENCIES },
+  contract: { label: "Smart contract", currencies: CONTRACT_CURRENCIES },
+};
+
+/** Custody modes offered for a currency. */
+export const custodyModesFor = (currency) =>
+  Object.keys(CUSTODY_MODES).filter((mode) => {
+    const { currencies } = CUSTODY_MODES[mode];
+    return !currencies || currencies.includes(currency);
+  });
+
+/**
+ * Re-derives an escrow's address from the escrow keys (`xpubs`, by
+ * network) to check the stored one was not tampered with: true or false,
+ * or null when it cannot be checked (no index or key). For a multisig
+ * escrow the derived key must be the service's key and the address must
+ * match the three keys. A contract escrow's address is the contract's,
+ * checked against the chain instead (services/ethContract).
+ */
+export function verifyEscrowAddress(tx, xpubs) {
+  const xpub = xpubs?.[networkOf(tx.currency)];
+  if (!Number.isInteger(tx.escrowIndex) || !xpub || isContractEscrow(tx)) {
+    return null;
+  }
+  try {
+    const { address, publicKey } = deriveEscrowAddress(
+      tx.currency,
+      xpub,
+      tx.escrowIndex
+    );
+    if (isMultisig(tx)) {
+      if (publicKey !== tx.multisig?.pubkeys?.escrow) return false;
+      return verifyMultisigAddress(tx) ?? true;
+    }
+    return address === tx.escrowWallet;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,139 @@
+// src/lib/deadlines.js
+import { isContractEscrow } from "./ethContract.js";
+import { milestoneList } from "./milestones.js";
+
+/**
+ * Per-transaction deadlines.
+ *
+ * Escrows created with `deadlines: { acceptanceHours, fundingHours,
+ * inspectionHours }` time out instead of waiting forever:
+ * - pending_invite / pending_acceptance past the
+ *   acceptance window                                  => expired
+ * - waiting_payment past the funding window            => cancelled
+ * - goods_released past the inspection period          => auto-released
+ *   (except contract escrows, which only the buyer can release)
+ * - a delivered milestone past the inspection period   => auto-approved
+ *
+ * Each window runs from the moment the escrow entered the stage. The
+ * deadline job (functions/deadlineJob.js) enforces them and sends a reminder
+ * shortly before each one. Escrows without `deadlines` never expire.
+ */
+
+export const DEFAULT_DEADLINES = {
+  acceptanceHours: 72,
+  fundingHours: 72,
+  inspectionHours: 7 * 24,
+};
+
+export const MAX_DEADLINE_HOURS = 90 * 24;
+
+// Reminders go out this long before a deadline (at most half the window)
+export const REMINDER_LEAD_HOURS = 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/* === Errors === */
+export class DeadlineError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DeadlineError";
+    this.code = "escrow/invalid-deadline";
+  }
+}
+
+/** Validates the deadline inputs of the create form (whole hours). */
+export function buildDeadlines(input = {}) {
+  const deadlines = {};
+  for (const [key, fallback] of Object.entries(DEFAULT_DEADLINES)) {
+    const raw = input[key] === "" || input[key] == null ? fallback : input[key];
+    const hours = Number(raw);
+    if (!Number.isInteger(hours) || hours < 1 || hours > MAX_DEADLINE_HOURS) {
+      throw new DeadlineError(
+        `Deadlines must be whole hours between 1 and ${MAX_DEADLINE_HOURS}.`
+      );
+    }
+    deadlines[key] = hours;
+  }
+  return deadlines;
+}
+
+/** Firestore Timestamp / Date / millis => millis (null when unset). */
+export function toMillis(t) {
+  if (!t) return null;
+  if (typeof t.toMillis === "function") return t.toMillis();
+  if (t instanceof Date) return t.getTime();
+  return typeof t === "number" ? t : null;
+}
+
+// The acceptance window runs from creation, invite claimed or not
+const ACCEPTANCE = {
+  window: "acceptanceHours",
+  since: (tx) => tx.createdAt,
+  action: "expire",
+  label: "Accept by",
+};
+
+const STAGES = {
+  pending_invite: ACCEPTANCE,
+  pending_acceptance: ACCEPTANCE,
+  waiting_payment: {
+    window: "fundingHours",
+    since: (tx) => tx.statusUpdatedAt,
+    action: "cancelUnfunded",
+    label: "Fund by",
+  },
+  goods_released: {
+    window: "inspectionHours",
+    since: (tx) => tx.statusUpdatedAt,
+    action: "autoRelease",
+    label: "Auto-release on",
+  },
+};
+
+export const DEADLINE_STATUSES = [...Object.keys(STAGES), "payment_received"];
+
+/**
+ * Deadlines currently running on a transaction.
+ * @returns {{ key: string, action: string, label: string, dueAt: number,
+ *             remindAt: number, milestoneId?: string }[]}
+ */
+export function activeDeadlines(tx) {
+  if (!tx?.deadlines) return [];
+  const running = (key, action, label, since, hours, extra = {}) => {
+    const start = toMillis(since);
+    if (start === null) return [];
+    const dueAt = start + hours * HOUR_MS;
+    const lead = Math.min(REMINDER_LEAD_HOURS, hours / 2) * HOUR_MS;
+    return [{ key, action, label, dueAt, remindAt: dueAt - lead, ...extra }];
+  };
+
+  // A deposit is on its way; let the deposit watcher confirm it
+  if (tx.status === "waiting_payment" && tx.deposits?.length) return [];
+  if (tx.status === "goods_released" && isContractEscrow(tx)) return [];
+
+  const stage = STAGES[tx.status];
+  if (stage) {
+    return running(
+      tx.status,
+      stage.action,
+      stage.label,
+      stage.since(tx),
+      tx.deadlines[stage.window]
+    );
+  }
+  if (tx.status === "payment_received") {
+    return milestoneList(tx)
+      .filter((m) => m.status === "delivered")
+      .flatMap((m) =>
+        running(
+          `milestone_${m.id}`,
+          "approveMilestone",
+          `"${m.description}" auto-approves on`,
+          m.deliveredAt,
+          tx.deadlines.inspectionHours,
+          { milestoneId: m.id }
+        )
+      );
+  }
+  return [];
+}
@@ -0,0 +1,160 @@
+// src/lib/deposits.js
+import { validateAddress } from "./addressValidation.js";
+import { toBaseUnits } from "./amounts.js";
+import { currencyInfo } from "./currencies.js";
+import { isValidTxid, normalizeTxid } from "./explorers.js";
+import { amountDue } from "./fees.js";
+import { tokenContract } from "./tokens.js";
+
+/**
+ * On-chain deposit bookkeeping shared by the deposit watcher and the UI.
+ *
+ * A transaction's `deposits` field lists every payment observed at its
+ * escrow address: { txid, amount (base units), blockHeight, confirmations }
+ * plus, on UTXO chains, the outputs paid: outputs: [{ vout, amount }].
+ * Token escrows (lib/tokens) only count transfers of their own token.
+ *
+ * Marking the payment sent records what the seller says they sent, for the
+ * admin to check against the chain:
+ *   paymentProof: { txid, fromAddress, by, at }   (fromAddress may be null)
+ */
+
+/* === Errors === */
+export class PaymentProofError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PaymentProofError";
+    this.code = "escrow/invalid-payment-proof";
+  }
+}
+
+/** Confirmations before a deposit counts as received (lib/currencies). */
+export const confirmationsRequired = (currency) =>
+  currencyInfo(currency)?.confirmations ?? 6;
+
+export function confirmationsAt(blockHeight, tipHeight) {
+  if (!Number.isInteger(blockHeight) || !Number.isInteger(tipHeight)) return 0;
+  return Math.max(0, tipHeight - blockHeight + 1);
+}
+
+/**
+ * Whether a deposit observed by a chain adapter pays this escrow: sent to
+ * its address, in its currency's token (`token` is the lower-case contract
+ * of an ERC-20 transfer) or in the chain's own coin. The token contract is
+ * the registry's, or `contracts[currency]` where configured, never the one
+ * recorded on the escrow (lib/tokens).
+ */
+export function isDepositFor(tx, deposit, contracts = {}) {
+  if (deposit.address !== tx.escrowWallet) return false;
+  const token = tokenContract(tx.currency, contracts)?.toLowerCase() ?? null;
+  return (deposit.token ?? null) === token;
+}
+
+/**
+ * Merges newly observed deposits into the recorded list (by txid) and
+ * refreshes confirmation counts against the current chain tip.
+ * @returns {{ deposits: object[], added: object[] }}
+ */
+export function mergeDeposits(existing = [], observed = [], tipHeight) {
+  const byTxid = new Map(existing.map((d) => [d.txid, { ...d }]));
+  const added = [];
+  for (const d of observed) {
+    const prev = byTxid.get(d.txid);
+    const next = {
+      txid: d.txid,
+      amount: toBaseUnits(d.amount).toString(),
+      blockHeight: Number.isInteger(d.blockHeight)
+        ? d.blockHeight
+        : prev?.blockHeight ?? null,
+    };
+    if (d.outputs) {
+      next.outputs = d.outputs.map((o) => ({
+        vout: o.vout,
+        amount: toBaseUnits(o.amount).toString(),
+      }));
+    }
+    if (!prev) added.push(next);
+    byTxid.set(d.txid, { ...prev, ...next });
+  }
+  const deposits = [...byTxid.values()].map((d) => ({
+    ...d,
+    confirmations: confirmationsAt(d.blockHeight, tipHeight),
+  }));
+  return { deposits, added };
+}
+
+/**
+ * Totals for a deposit list.
+ * @returns {{ seen: bigint, confirmed: bigint, minConfirmations: number }}
+ */
+export function summarizeDeposits(deposits = [], required) {
+  let seen = 0n;
+  let confirmed = 0n;
+  let minConfirmations = Infinity;
+  for (const d of deposits) {
+    const amount = toBaseUnits(d.amount);
+    seen += amount;
+    if (d.confirmations >= required) confirmed += amount;
+    minConfirmations = Math.min(minConfirmations, d.confirmations);
+  }
+  return {
+    seen,
+    confirmed,
+    minConfirmations: deposits.length ? minConfirmations : 0,
+  };
+}
+
+/** True once confirmed deposits cover the amount due (amount + buyer's fee). */
+export function isFullyFunded(tx, deposits = tx.deposits) {
+  if (typeof tx.amount !== "string") return false;
+  const { confirmed } = summarizeDeposits(
+    deposits,
+    confirmationsRequired(tx.currency)
+  );
+  return confirmed >= amountDue(tx);
+}
+
+/**
+ * Validates the "mark as sent" form ({ txid, fromAddress }) for the escrow's
+ * currency. Timestamps are passed in so callers can use serverTimestamp().
+ */
+export function buildPaymentProof(form, tx, uid, at) {
+  const txid = normalizeTxid(form.txid);
+  if (!txid) {
+    throw new PaymentProofError(
+      "Enter the transaction hash of your payment so it can be verified."
+    );
+  }
+  if (!isValidTxid(tx.currency, txid)) {
+    throw new PaymentProofError(
+      `That is not a valid ${tx.currency} transaction hash. Copy it from your wallet or a block explorer.`
+    );
+  }
+  const fromAddress = (form.fromAddress || "").trim();
+  if (fromAddress) {
+    const check = validateAddress(tx.currency, fromAddress);
+    if (!check.valid) throw new PaymentProofError(check.error);
+  }
+  return { txid, fromAddress: fromAddress || null, by: uid, at };
+}
+
+/** True once the deposit watcher has seen the claimed txid. */
+export const isProofSeenOnChain = (tx) =>
+  !!tx?.paymentProof &&
+  (tx.deposits || []).some(
+    (d) => normalizeTxid(d.txid) === tx.paymentProof.txid
+  );
+
+/**
+ * Txids claimed as the payment of more than one escrow.
+ * @returns {Map<string, string[]>} txid => ids of the escrows claiming it
+ */
+export function duplicatePaymentProofs(transactions) {
+  const claims = new Map();
+  for (const tx of transactions) {
+    const txid = tx.paymentProof?.txid;
+    if (!txid) continue;
+    claims.set(txid, [...(claims.get(txid) || []), tx.id]);
+  }
+  return new Map([...claims].filter(([, ids]) => ids.length > 1));
+}
@@ -0,0 +1,96 @@
+// src/lib/disputes.js
+import { allocate, allocateAll } from "./settlements.js";
+
+/**
+ * Dispute records.
+ *
+ * A dispute lives on the transaction as `dispute`:
+ *   { category, statement, openedBy, openedByRole, openedAt,
+ *     response: { by, statement, at } | null,
+ *     ruling: { outcome, notes, ruledBy, ruledAt } | null }
+ *
+ * How the funds are divided by the ruling is stored next to it as the
+ * transaction's `allocation` (see settlements.js).
+ *
+ * The stages themselves are statuses in escrowStateMachine (dispute_open,
+ * dispute_responded, under_review, then completed / refunded / settled_split).
+ * Timestamps are passed in so callers can use serverTimestamp().
+ */
+
+export const DISPUTE_CATEGORIES = {
+  not_received: "Goods/services not received",
+  not_as_described: "Not as described",
+  payment_issue: "Payment problem",
+  other: "Other",
+};
+
+export const RULING_OUTCOMES = {
+  release: "Release to seller",
+  refund: "Refund to buyer",
+  split: "Split between both parties",
+};
+
+// Ruling outcome => state machine action
+export const RULING_ACTIONS = {
+  release: "ruleRelease",
+  refund: "ruleRefund",
+  split: "ruleSplit",
+};
+
+export const MAX_STATEMENT_LENGTH = 2000;
+
+/* === Errors === */
+export class DisputeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DisputeError";
+    this.code = "escrow/invalid-dispute";
+  }
+}
+
+function cleanStatement(statement) {
+  const text = (statement || "").trim();
+  if (!text) throw new DisputeError("Please describe the problem.");
+  if (text.length > MAX_STATEMENT_LENGTH) {
+    throw new DisputeError(
+      `Statements are limited to ${MAX_STATEMENT_LENGTH} characters.`
+    );
+  }
+  return text;
+}
+
+export function buildDispute({ category, statement }, opener, at) {
+  if (!DISPUTE_CATEGORIES[category]) {
+    throw new DisputeError("Please choose a dispute category.");
+  }
+  return {
+    category,
+    statement: cleanStatement(statement),
+    openedBy: opener.uid,
+    openedByRole: opener.role,
+    openedAt: at,
+    response: null,
+    ruling: null,
+  };
+}
+
+export function buildResponse(statement, uid, at) {
+  return { by: uid, statement: cleanStatement(statement), at };
+}
+
+export function buildRuling({ outcome, notes = "" }, uid, at) {
+  if (!RULING_OUTCOMES[outcome]) {
+    throw new DisputeError("Please choose a ruling.");
+  }
+  return { outcome, notes: (notes || "").trim(), ruledBy: uid, ruledAt: at };
+}
+
+/**
+ * Allocation for a ruling: everything to the seller or the buyer, or the
+ * entered { seller, buyer, fee } shares for a split.
+ */
+export function rulingAllocation(tx, outcome, shares = {}) {
+  if (outcome === "release") return allocateAll(tx, "seller");
+  if (outcome === "refund") return allocateAll(tx, "buyer");
+  return allocate(tx, shares);
+}
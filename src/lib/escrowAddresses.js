@@ -0,0 +1,90 @@
+// src/lib/escrowAddresses.js
+import { HDKey } from "@scure/bip32";
+import { secp256k1 } from "@noble/curves/secp256k1";
+import { bech32 } from "@scure/base";
+import { sha256 } from "@noble/hashes/sha2";
+import { ripemd160 } from "@noble/hashes/legacy";
+import { keccak_256 } from "@noble/hashes/sha3";
+import { bytesToHex } from "@noble/hashes/utils";
+import { encodeCashAddr } from "./cashaddr.js";
+import { networkOf } from "./currencies.js";
+
+/**
+ * Escrow deposit address derivation.
+ *
+ * Each escrow gets its own deposit address derived from an account-level
+ * extended public key for its currency's network (lib/currencies), at path
+ * `0/{index}` below it; tokens use their chain's key and address:
+ * - BTC: native SegWit P2WPKH (bc1q…) from an xpub/zpub (m/84'/0'/0')
+ * - BCH: CashAddr P2PKH (bitcoincash:q…) from an xpub (m/44'/145'/0')
+ * - ETH: EIP-55 checksummed address from an xpub (m/44'/60'/0')
+ *
+ * Only public keys are involved, so derivation is safe on the client.
+ */
+
+// SLIP-132 version bytes for zpub (BIP-84) keys
+const ZPUB_VERSIONS = { private: 0x04b2430c, public: 0x04b24746 };
+
+export const hash160 = (bytes) => ripemd160(sha256(bytes));
+
+/** EIP-55 mixed-case checksum encoding of a 20-byte hex address. */
+export function toChecksumAddress(address) {
+  const lower = address.toLowerCase().replace(/^0x/, "");
+  const hash = bytesToHex(keccak_256(lower));
+  let out = "0x";
+  for (let i = 0; i < lower.length; i++) {
+    out += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+  }
+  return out;
+}
+
+function parseExtendedKey(xpub) {
+  const versions = xpub.startsWith("zpub") ? ZPUB_VERSIONS : undefined;
+  const key = HDKey.fromExtendedKey(xpub, versions);
+  if (key.privateKey) {
+    throw new Error("Escrow keys must be extended public keys, not private");
+  }
+  return key;
+}
+
+const ENCODERS = {
+  BTC: (child) => {
+    const words = bech32.toWords(hash160(child.publicKey));
+    return bech32.encode("bc", [0, ...words]);
+  },
+  BCH: (child) => encodeCashAddr(hash160(child.publicKey), "p2pkh"),
+  ETH: (child) => {
+    // keccak256 of the uncompressed point without its 0x04 prefix
+    const point = secp256k1.ProjectivePoint.fromHex(child.publicKey);
+    const digest = keccak_256(point.toRawBytes(false).slice(1));
+    return toChecksumAddress(bytesToHex(digest.slice(-20)));
+  },
+};
+
+export const SUPPORTED_ESCROW_NETWORKS = Object.keys(ENCODERS);
+
+/**
+ * Derives the deposit address for an escrow.
+ * @param {string} currency registry currency; tokens derive an address of
+ *   their network
+ * @param {string} xpub account-level extended public key for that network
+ * @param {number} index derivation index stored on the transaction
+ * @returns {{ address: string, path: string, publicKey: string }} path is
+ *   relative to the xpub; publicKey is the compressed child key (hex), the
+ *   service's key in a multisig escrow
+ */
+export function deriveEscrowAddress(currency, xpub, index) {
+  const encode = ENCODERS[networkOf(currency)];
+  if (!encode) throw new Error(`Unsupported escrow currency: ${currency}`);
+  if (!xpub) throw new Error(`No escrow key configured for ${currency}`);
+  if (!Number.isInteger(index) || index < 0) {
+    throw new Error(`Invalid derivation index: ${index}`);
+  }
+  const path = `0/${index}`;
+  const child = parseExtendedKey(xpub).derive(`m/${path}`);
+  return {
+    address: encode(child),
+    path,
+    publicKey: bytesToHex(child.publicKey),
+  };
+}
@@ -0,0 +1,463 @@
+// src/lib/escrowStateMachine.js
+import {
+  canAnswerCancellation,
+  canRequestCancellation,
+  CANCELLABLE_STATUSES,
+} from "./cancellations.js";
+import { isContractEscrow } from "./ethContract.js";
+import { hasMilestones } from "./milestones.js";
+import { canProposePayout, canSignPayout } from "./multisig.js";
+import { PAYABLE_STATUSES } from "./payouts.js";
+
+/**
+ * Escrow state machine.
+ *
+ * Defines every legal status transition of an escrow transaction and which
+ * participant roles may trigger it. This module is pure (no Firebase imports)
+ * so it can be shared by the client and by server-side jobs; the code that
+ * applies a transition against Firestore lives in src/services/escrow.js.
+ *
+ * Roles of an actor relative to a transaction:
+ * - "creator" / "invited": who opened the escrow and who was invited
+ * - "buyer" / "seller": the trading side
+ * - "admin": platform staff (custom claim)
+ * - "arbiter": dispute staff (custom claim)
+ * - "respondent": the participant answering a dispute the other side opened
+ * - "counterparty": the participant asked to agree to a cancellation
+ * - "system": server-side jobs such as the deposit watcher and deadline job,
+ *   and the claimInvite function once it has checked an invite token
+ */
+
+// Status => progress percentage (for progress bar)
+export const STATUS_PROGRESS = {
+  pending_invite: 5,
+  pending_acceptance: 10,
+  waiting_payment: 30,
+  awaiting_confirmation: 50,
+  payment_received: 70,
+  goods_released: 85,
+  completed: 100,
+  rejected: 0,
+  under_review: 40,
+  refunded: 0,
+  dispute_open: 40,
+  dispute_responded: 40,
+  settled_split: 100,
+  expired: 0,
+  cancelled: 0,
+};
+
+// Statuses of an open dispute, before a ruling
+export const DISPUTE_STATUSES = [
+  "dispute_open",
+  "dispute_responded",
+  "under_review",
+];
+
+const withoutMilestones = (tx) => !hasMilestones(tx);
+const withoutContract = (tx) => !isContractEscrow(tx);
+
+// Statuses in which a contract escrow's funds may still be in the contract
+const CONTRACT_OPEN_STATUSES = [
+  "waiting_payment",
+  "awaiting_confirmation",
+  "payment_received",
+  "goods_released",
+  ...DISPUTE_STATUSES,
+];
+
+/**
+ * action => { from, to, by, set, audit, label, when }
+ * - from:  statuses the transition may start from
+ * - to:    resulting status (omitted: the status stays as it is)
+ * - by:    roles allowed to trigger it (any match is enough)
+ * - set:   flag fields written together with the status
+ * - audit: action name recorded in transactions/{id}/audit
+ * - label: human readable name used in error messages
+ * - when:  optional (tx) => boolean for escrows the action applies to
+ */
+export const TRANSITIONS = {
+  // Invitation by email (see lib/invites.js)
+  claimInvite: {
+    from: ["pending_invite"],
+    to: "pending_acceptance",
+    by: ["system"],
+    set: {},
+    audit: "invite_claimed",
+    label: "claim the invitation",
+  },
+  accept: {
+    from: ["pending_acceptance"],
+    to: "waiting_payment",
+    by: ["invited"],
+    set: {},
+    audit: "accepted_transaction",
+    label: "accept the transaction",
+  },
+  reject: {
+    from: ["pending_acceptance"],
+    to: "rejected",
+    by: ["invited"],
+    set: {},
+    audit: "rejected_transaction",
+    label: "reject the transaction",
+  },
+  withdraw: {
+    from: ["pending_invite", "pending_acceptance"],
+    to: "cancelled",
+    by: ["creator"],
+    set: { withdrawn: true },
+    audit: "withdrawn_by_creator",
+    label: "withdraw the invitation",
+  },
+  markPaymentSent: {
+    from: ["waiting_payment"],
+    to: "awaiting_confirmation",
+    by: ["seller", "admin"],
+    set: { paymentSent: true },
+    audit: "marked_payment_sent",
+    label: "mark payment as sent",
+  },
+  confirmPayment: {
+    from: ["awaiting_confirmation", "under_review"],
+    to: "payment_received",
+    by: ["admin"],
+    set: { paymentReceived: true },
+    audit: "admin_confirmed_payment",
+    label: "confirm payment received",
+  },
+  detectPayment: {
+    from: ["waiting_payment", "awaiting_confirmation"],
+    to: "payment_received",
+    by: ["system"],
+    set: { paymentSent: true, paymentReceived: true },
+    audit: "deposit_confirmed_onchain",
+    label: "confirm the on-chain deposit",
+  },
+  releaseGoods: {
+    from: ["payment_received"],
+    to: "goods_released",
+    by: ["seller"],
+    set: { goodsReleased: true },
+    audit: "marked_goods_released",
+    label: "mark goods as released",
+    when: withoutMilestones,
+  },
+  approveFunds: {
+    from: ["goods_released"],
+    to: "completed",
+    by: ["buyer"],
+    set: { buyerApproved: true, completed: true },
+    audit: "buyer_approved_release",
+    label: "approve the release of funds",
+    when: withoutMilestones,
+  },
+  // Milestone steps keep the escrow in payment_received until the last one
+  deliverMilestone: {
+    from: ["payment_received"],
+    to: "payment_received",
+    by: ["seller"],
+    set: {},
+    audit: "milestone_delivered",
+    label: "mark a milestone delivered",
+    when: hasMilestones,
+  },
+  approveMilestone: {
+    from: ["payment_received"],
+    to: "payment_received",
+    by: ["buyer", "system"],
+    set: {},
+    audit: "milestone_approved",
+    label: "approve a milestone",
+    when: hasMilestones,
+  },
+  completeMilestones: {
+    from: ["payment_received"],
+    to: "completed",
+    by: ["buyer", "system"],
+    set: { goodsReleased: true, buyerApproved: true, completed: true },
+    audit: "milestones_completed",
+    label: "approve the final milestone",
+    when: hasMilestones,
+  },
+  // Deadline job (see lib/deadlines.js)
+  expire: {
+    from: ["pending_invite", "pending_acceptance"],
+    to: "expired",
+    by: ["system"],
+    set: {},
+    audit: "expired_unaccepted",
+    label: "expire the invitation",
+  },
+  cancelUnfunded: {
+    from: ["waiting_payment"],
+    to: "cancelled",
+    by: ["system"],
+    set: {},
+    audit: "cancelled_unfunded",
+    label: "cancel the unfunded escrow",
+  },
+  autoRelease: {
+    from: ["goods_released"],
+    to: "completed",
+    by: ["system"],
+    set: { buyerApproved: true, completed: true, autoReleased: true },
+    audit: "auto_released_after_inspection",
+    label: "auto-release after the inspection period",
+    // Only the buyer can release a contract escrow
+    when: (tx) => withoutMilestones(tx) && withoutContract(tx),
+  },
+  // Cancellation by mutual consent (see lib/cancellations.js)
+  requestCancel: {
+    from: CANCELLABLE_STATUSES,
+    by: ["buyer", "seller"],
+    set: {},
+    audit: "cancellation_requested",
+    label: "request a cancellation",
+    when: canRequestCancellation,
+  },
+  acceptCancel: {
+    from: CANCELLABLE_STATUSES,
+    to: "cancelled",
+    by: ["counterparty"],
+    set: {},
+    audit: "cancelled_by_agreement",
+    label: "accept the cancellation",
+    when: canAnswerCancellation,
+  },
+  declineCancel: {
+    from: CANCELLABLE_STATUSES,
+    by: ["counterparty"],
+    set: {},
+    audit: "cancellation_declined",
+    label: "decline the cancellation",
+    when: canAnswerCancellation,
+  },
+  openDispute: {
+    from: ["awaiting_confirmation", "payment_received", "goods_released"],
+    to: "dispute_open",
+    by: ["buyer", "seller"],
+    set: {},
+    audit: "dispute_opened",
+    label: "open a dispute",
+  },
+  respondDispute: {
+    from: ["dispute_open"],
+    to: "dispute_responded",
+    by: ["respondent"],
+    set: {},
+    audit: "dispute_responded",
+    label: "respond to the dispute",
+  },
+  markUnderReview: {
+    from: [
+      "waiting_payment",
+      "awaiting_confirmation",
+      "payment_received",
+      "goods_released",
+      "dispute_open",
+      "dispute_responded",
+    ],
+    to: "under_review",
+    by: ["admin", "arbiter"],
+    set: {},
+    audit: "marked_under_review",
+    label: "mark the transaction under review",
+  },
+  refund: {
+    from: [
+      "awaiting_confirmation",
+      "payment_received",
+      "goods_released",
+      "under_review",
+    ],
+    to: "refunded",
+    by: ["admin", "arbiter"],
+    set: { completed: false },
+    audit: "marked_refunded",
+    label: "refund the transaction",
+  },
+  settle: {
+    from: ["payment_received", "goods_released"],
+    to: "settled_split",
+    by: ["admin"],
+    set: { completed: true },
+    audit: "settled_with_allocation",
+    label: "settle with an allocation",
+  },
+  ruleRelease: {
+    from: DISPUTE_STATUSES,
+    to: "completed",
+    by: ["admin", "arbiter"],
+    set: { completed: true },
+    audit: "dispute_ruled_release",
+    label: "rule for the seller",
+  },
+  ruleRefund: {
+    from: DISPUTE_STATUSES,
+    to: "refunded",
+    by: ["admin", "arbiter"],
+    set: { completed: false },
+    audit: "dispute_ruled_refund",
+    label: "rule for the buyer",
+  },
+  ruleSplit: {
+    from: DISPUTE_STATUSES,
+    to: "settled_split",
+    by: ["admin", "arbiter"],
+    set: { completed: true },
+    audit: "dispute_ruled_split",
+    label: "split the escrow",
+  },
+  // Payouts out of the escrow wallet once it is decided (see lib/payouts.js)
+  recordPayout: {
+    from: PAYABLE_STATUSES,
+    by: ["admin"],
+    set: {},
+    audit: "payout_recorded",
+    label: "record a payout",
+    when: withoutContract,
+  },
+  updatePayout: {
+    from: PAYABLE_STATUSES,
+    by: ["admin"],
+    set: {},
+    audit: "payout_updated",
+    label: "update a payout",
+    when: withoutContract,
+  },
+  // Multisig escrows (see lib/multisig.js): the payout PSBT and signatures
+  proposePayout: {
+    from: PAYABLE_STATUSES,
+    by: ["buyer", "seller", "admin"],
+    set: {},
+    audit: "multisig_payout_proposed",
+    label: "propose the payout transaction",
+    when: canProposePayout,
+  },
+  signPayout: {
+    from: PAYABLE_STATUSES,
+    by: ["buyer", "seller", "admin"],
+    set: {},
+    audit: "multisig_payout_signed",
+    label: "add signatures to the payout",
+    when: canSignPayout,
+  },
+  // Contract escrows (see lib/ethContract.js) settled on chain outside the
+  // app, e.g. refunded after the contract's deadline; functions/contractWatcher
+  contractReleased: {
+    from: CONTRACT_OPEN_STATUSES,
+    to: "completed",
+    by: ["system"],
+    set: { buyerApproved: true, completed: true },
+    audit: "contract_released_onchain",
+    label: "record the release by the contract",
+    when: isContractEscrow,
+  },
+  contractRefunded: {
+    from: CONTRACT_OPEN_STATUSES,
+    to: "refunded",
+    by: ["system"],
+    set: { completed: false },
+    audit: "contract_refunded_onchain",
+    label: "record the refund by the contract",
+    when: isContractEscrow,
+  },
+};
+
+/* === Errors === */
+export class TransitionError extends Error {
+  constructor(message, { action = null, status = null } = {}) {
+    super(message);
+    this.name = "TransitionError";
+    this.code = "escrow/transition-not-allowed";
+    this.action = action;
+    this.status = status;
+  }
+}
+
+const prettyStatus = (s) => (s ? s.replace(/_/g, " ") : "unknown");
+
+/* === Role resolution === */
+
+/**
+ * Roles an actor ({ uid, isAdmin, isArbiter, isSystem }) holds on a transaction.
+ * @returns {string[]}
+ */
+export function actorRoles(tx, actor) {
+  const roles = [];
+  if (!tx || !actor) return roles;
+  if (actor.isAdmin) roles.push("admin");
+  if (actor.isArbiter) roles.push("arbiter");
+  if (actor.isSystem) roles.push("system");
+  if (tx.creator === actor.uid) roles.push("creator", tx.creatorRole);
+  if (tx.invited === actor.uid) roles.push("invited", tx.invitedRole);
+  if (
+    tx.dispute?.openedBy &&
+    tx.dispute.openedBy !== actor.uid &&
+    (tx.creator === actor.uid || tx.invited === actor.uid)
+  ) {
+    roles.push("respondent");
+  }
+  if (
+    tx.cancellation?.requestedBy &&
+    tx.cancellation.requestedBy !== actor.uid &&
+    (tx.creator === actor.uid || tx.invited === actor.uid)
+  ) {
+    roles.push("counterparty");
+  }
+  return roles;
+}
+
+/* === Checks === */
+
+export function canTransition(tx, action, actor) {
+  const def = TRANSITIONS[action];
+  if (!def || !tx) return false;
+  if (!def.from.includes(tx.status)) return false;
+  if (def.when && !def.when(tx)) return false;
+  const roles = actorRoles(tx, actor);
+  return def.by.some((r) => roles.includes(r));
+}
+
+/**
+ * Validates a transition and returns its definition.
+ * Throws TransitionError when the action is unknown, the transaction is in
+ * the wrong status, or the actor lacks a permitted role.
+ */
+export function assertTransition(tx, action, actor) {
+  const def = TRANSITIONS[action];
+  if (!def) {
+    throw new TransitionError(`Transition not allowed: unknown action "${action}".`, {
+      action,
+    });
+  }
+  const status = tx?.status ?? null;
+  if (!def.from.includes(status)) {
+    throw new TransitionError(
+      `Transition not allowed: cannot ${def.label} while the escrow is ${prettyStatus(
+        status
+      )}.`,
+      { action, status }
+    );
+  }
+  if (def.when && !def.when(tx)) {
+    throw new TransitionError(
+      `Transition not allowed: cannot ${def.label} on this escrow.`,
+      { action, status }
+    );
+  }
+  const roles = actorRoles(tx, actor);
+  if (!def.by.some((r) => roles.includes(r))) {
+    throw new TransitionError(
+      `Transition not allowed: only the ${def.by.join(" or ")} can ${def.label}.`,
+      { action, status }
+    );
+  }
+  return def;
+}
+
+/** Actions the actor may currently trigger on a transaction. */
+export function availableActions(tx, actor) {
+  return Object.keys(TRANSITIONS).filter((a) => canTransition(tx, a, actor));
+}
@@ -0,0 +1,269 @@
+// src/lib/ethContract.js
+import { keccak_256 } from "@noble/hashes/sha3";
+import { bytesToHex, utf8ToBytes } from "@noble/hashes/utils";
+import { toBaseUnits } from "./amounts.js";
+import { toChecksumAddress } from "./escrowAddresses.js";
+import { feeOf } from "./fees.js";
+
+/**
+ * Smart-contract escrows (ETH only).
+ *
+ * Instead of a deposit address derived from the platform's key, the funds
+ * sit in an EthEscrow contract (contracts/EthEscrow.sol) that only the
+ * buyer can release and only the arbiter can refund or split, and that
+ * gives everything back to the buyer once its deadline has passed:
+ *   custody: "contract",
+ *   contract: { address, factory, deadline, deployTx },
+ *   contractCalls: { release | refund | split: txHash }
+ * The creator deploys the instance through the platform's factory when
+ * creating the escrow, or references one deployed beforehand; either way
+ * its terms must match the escrow's. Both wallets are part of the contract,
+ * so the creator enters the counterparty's address up front and accepting
+ * changes nothing. escrowWallet is the contract address, so deposits are
+ * watched like any other ETH escrow.
+ *
+ * This module is pure: ABI encoding of the calls the app makes and checks
+ * of what it reads back. Sending them lives in src/services/ethContract.js;
+ * functions/contractWatcher.js follows contracts settled outside the app.
+ */
+
+export const CONTRACT_CURRENCIES = ["ETH"];
+
+// EthEscrow.State, in declaration order
+export const CONTRACT_STATES = [
+  "awaiting_deposit",
+  "funded",
+  "released",
+  "refunded",
+  "split",
+];
+
+export const CONTRACT_STATE_LABELS = {
+  awaiting_deposit: "Awaiting deposit",
+  funded: "Funded",
+  released: "Released to the seller",
+  refunded: "Refunded to the buyer",
+  split: "Split",
+};
+
+// The contract's own timeout runs this long past the escrow's deadlines,
+// so it only matters when the platform does not act at all
+export const CONTRACT_GRACE_DAYS = 14;
+
+// Calls that move the funds, by the name recorded in contractCalls
+export const CONTRACT_CALLS = {
+  release: "release()",
+  refund: "refund()",
+  refundAfterTimeout: "refundAfterTimeout()",
+  split: "split(uint256,uint256)",
+};
+
+// Public getters of an instance => ABI type of their return value
+export const CONTRACT_VIEWS = {
+  factory: "address",
+  buyer: "address",
+  seller: "address",
+  arbiter: "address",
+  feeRecipient: "address",
+  amount: "uint256",
+  buyerFee: "uint256",
+  sellerFee: "uint256",
+  deadline: "uint64",
+  state: "uint8",
+};
+
+const CREATE_ESCROW =
+  "createEscrow(address,address,uint256,uint256,uint256,uint64,bytes32)";
+const ESCROW_CREATED = "EscrowCreated(address,address,address,bytes32)";
+
+/* === Errors === */
+export class ContractError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ContractError";
+    this.code = "escrow/invalid-contract";
+  }
+}
+
+export const isContractEscrow = (tx) => tx?.custody === "contract";
+
+/* === ABI encoding === */
+
+const keccakHex = (text) => bytesToHex(keccak_256(utf8ToBytes(text)));
+
+/** 4-byte function selector, e.g. "release()" => "0x86d1a69f". */
+export const selector = (signature) =>
+  `0x${keccakHex(signature).slice(0, 8)}`;
+
+export const ESCROW_CREATED_TOPIC = `0x${keccakHex(ESCROW_CREATED)}`;
+
+// One 32-byte ABI word (static types only)
+function encodeWord(type, value) {
+  if (type === "address") {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(value || "")) {
+      throw new ContractError(`Not an Ethereum address: ${value}`);
+    }
+    return value.slice(2).toLowerCase().padStart(64, "0");
+  }
+  if (type === "bytes32") {
+    if (!/^0x[0-9a-fA-F]{64}$/.test(value || "")) {
+      throw new ContractError(`Not a 32-byte value: ${value}`);
+    }
+    return value.slice(2).toLowerCase();
+  }
+  if (/^uint\d+$/.test(type)) {
+    const n = BigInt(value);
+    if (n < 0n || n >= 1n << BigInt(type.slice(4))) {
+      throw new ContractError(`${value} does not fit in a ${type}.`);
+    }
+    return n.toString(16).padStart(64, "0");
+  }
+  throw new ContractError(`Unsupported ABI type: ${type}`);
+}
+
+/** Encodes the arguments of a constructor or call, without a selector. */
+export function encodeArgs(types, args) {
+  if (types.length !== args.length) {
+    throw new ContractError(
+      `Expected ${types.length} arguments, got ${args.length}.`
+    );
+  }
+  return types.map((type, i) => encodeWord(type, args[i])).join("");
+}
+
+/** Calldata for e.g. encodeCall("split(uint256,uint256)", [a, b]). */
+export function encodeCall(signature, args = []) {
+  const types = signature
+    .slice(signature.indexOf("(") + 1, -1)
+    .split(",")
+    .filter(Boolean);
+  return selector(signature) + encodeArgs(types, args);
+}
+
+/** Decodes the return value of a getter (see CONTRACT_VIEWS). */
+export function decodeView(name, hex) {
+  const type = CONTRACT_VIEWS[name];
+  if (!type) throw new ContractError(`Unknown contract getter: ${name}`);
+  if (!/^0x[0-9a-fA-F]{64}$/.test(hex || "")) {
+    throw new ContractError(`Unexpected return value of ${name}(): ${hex}`);
+  }
+  if (type === "address") return toChecksumAddress(`0x${hex.slice(-40)}`);
+  const value = BigInt(hex);
+  if (name === "state") return CONTRACT_STATES[Number(value)] ?? null;
+  if (name === "deadline") return Number(value);
+  return value.toString();
+}
+
+/* === Creating and checking instances === */
+
+/** Reference stored in the factory's EscrowCreated event. */
+export const escrowRef = (txId) => `0x${keccakHex(txId)}`;
+
+/**
+ * Unix time (seconds) after which anyone can refund the buyer: the
+ * escrow's acceptance, funding and inspection windows plus the grace days.
+ */
+export function contractDeadline(deadlines, now = Date.now()) {
+  const hours =
+    deadlines.acceptanceHours +
+    deadlines.fundingHours +
+    deadlines.inspectionHours;
+  return (
+    Math.floor(now / 1000) + hours * 3600 + CONTRACT_GRACE_DAYS * 24 * 3600
+  );
+}
+
+/** What an escrow's contract must hold it to (amounts in wei). */
+export function contractTerms(tx) {
+  const fee = feeOf(tx);
+  return {
+    buyer: tx.buyerWallet,
+    seller: tx.sellerWallet,
+    amount: toBaseUnits(tx.amount).toString(),
+    buyerFee: toBaseUnits(fee.buyer).toString(),
+    sellerFee: toBaseUnits(fee.seller).toString(),
+    deadline: tx.contract?.deadline,
+  };
+}
+
+/** Calldata of the factory call deploying an instance for the escrow. */
+export function createEscrowCall(terms, txId) {
+  return encodeCall(CREATE_ESCROW, [
+    terms.buyer,
+    terms.seller,
+    terms.amount,
+    terms.buyerFee,
+    terms.sellerFee,
+    terms.deadline,
+    escrowRef(txId),
+  ]);
+}
+
+/** Address of the instance a createEscrow receipt reports. */
+export function escrowFromReceipt(receipt, factory) {
+  const log = (receipt?.logs || []).find(
+    (l) =>
+      l.address?.toLowerCase() === factory.toLowerCase() &&
+      l.topics?.[0] === ESCROW_CREATED_TOPIC
+  );
+  if (!log) {
+    throw new ContractError("The factory did not report a new escrow.");
+  }
+  return toChecksumAddress(`0x${log.topics[1].slice(-40)}`);
+}
+
+/**
+ * Differences between the expected terms and the getters read from an
+ * instance (decoded with decodeView); empty when it matches. Terms without
+ * a deadline accept any, for instances deployed outside the app.
+ * @returns {string[]}
+ */
+export function contractMismatches(terms, onchain) {
+  const problems = [];
+  for (const role of ["buyer", "seller"]) {
+    if (terms[role]?.toLowerCase() !== onchain[role]?.toLowerCase()) {
+      problems.push(`its ${role} is ${onchain[role]}, not ${terms[role]}`);
+    }
+  }
+  for (const key of ["amount", "buyerFee", "sellerFee"]) {
+    if (terms[key] !== onchain[key]) {
+      problems.push(`its ${key} is ${onchain[key]} wei, not ${terms[key]}`);
+    }
+  }
+  if (terms.deadline != null && terms.deadline !== onchain.deadline) {
+    problems.push(`its deadline is ${onchain.deadline}, not ${terms.deadline}`);
+  }
+  return problems;
+}
+
+/* === Settling === */
+
+/**
+ * The arbiter's call carrying out a decision: refund() when it all goes
+ * back to the buyer, otherwise split() with the allocation (lib/settlements)
+ * whose total must be exactly what the contract holds, the rest of it
+ * going to the platform as the fee.
+ * @param {object|null} allocation  null for a plain refund
+ * @param {bigint} balance          the contract's balance in wei
+ * @returns {{ name: "refund"|"split", data: string }}
+ */
+export function settlementCall(allocation, balance) {
+  const refundsAll =
+    !allocation ||
+    (BigInt(allocation.seller) === 0n && BigInt(allocation.fee) === 0n);
+  if (refundsAll) {
+    return { name: "refund", data: encodeCall(CONTRACT_CALLS.refund) };
+  }
+  if (BigInt(allocation.total) !== balance) {
+    throw new ContractError(
+      `The contract holds ${balance} wei but the allocation covers ${allocation.total}; record the deposits first.`
+    );
+  }
+  return {
+    name: "split",
+    data: encodeCall(CONTRACT_CALLS.split, [
+      allocation.seller,
+      allocation.buyer,
+    ]),
+  };
+}
@@ -0,0 +1,32 @@
+// src/lib/explorers.js
+import { currencyInfo } from "./currencies.js";
+
+/**
+ * On-chain transaction hashes and block explorer links, for txids recorded
+ * by people (the payment a seller says they sent, payouts an admin sent)
+ * rather than observed by the deposit watcher. Hash formats and explorer
+ * URL templates come from the registry (lib/currencies).
+ */
+
+const fillTemplate = (template, values) =>
+  template.replace(/\{(\w+)\}/g, (_, key) => values[key]);
+
+/** Lower-cases the hex of a txid as explorers and nodes print it. */
+export const normalizeTxid = (txid) => (txid || "").trim().toLowerCase();
+
+export function isValidTxid(currency, txid) {
+  return !!currencyInfo(currency)?.txid.test(normalizeTxid(txid));
+}
+
+/** Explorer page of a transaction hash, or null for unknown currencies. */
+export function explorerTxUrl(currency, txid) {
+  const template = currencyInfo(currency)?.explorer.tx;
+  if (!template || !txid) return null;
+  return fillTemplate(template, { txid });
+}
+
+export function explorerAddressUrl(currency, address) {
+  const template = currencyInfo(currency)?.explorer.address;
+  if (!template || !address) return null;
+  return fillTemplate(template, { address });
+}
@@ -0,0 +1,137 @@
+// src/lib/fees.js
+import { formatAmount, formatTxAmount, toBaseUnits } from "./amounts.js";
+import { CURRENCIES, SUPPORTED_CURRENCIES } from "./currencies.js";
+
+/**
+ * Escrow fees.
+ *
+ * The fee is a percentage of the escrow amount with a per-currency minimum;
+ * larger escrows may fall into a cheaper tier. It is worked out when the
+ * escrow is created and stored on the transaction (base-unit strings):
+ *   fee: { payer, percentBps, total, buyer, seller }
+ *
+ * `payer` decides who carries it: the buyer's share is deposited on top of
+ * the amount, the seller's share is deducted from the seller's payout, and a
+ * split divides it in half (the odd base unit goes to the seller). Refunds
+ * return everything deposited, fee included.
+ */
+
+export const FEE_PAYERS = {
+  buyer: "Buyer pays",
+  seller: "Seller pays",
+  split: "Split 50/50",
+};
+
+export const DEFAULT_FEE_PAYER = "split";
+
+/**
+ * currency => { percentBps, minimum, tiers }, from the currency registry
+ * - percentBps: rate in basis points (100 = 1%)
+ * - minimum:    smallest fee, in base units
+ * - tiers:      optional [{ above, percentBps }]; the highest threshold the
+ *               amount exceeds sets the rate
+ */
+export const FEE_SCHEDULES = Object.fromEntries(
+  SUPPORTED_CURRENCIES.map((currency) => [currency, CURRENCIES[currency].fees])
+);
+
+// Transactions created before fees existed
+const NO_FEE = { payer: null, percentBps: 0, total: "0", buyer: "0", seller: "0" };
+
+/* === Errors === */
+export class FeeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "FeeError";
+    this.code = "escrow/invalid-fee";
+  }
+}
+
+/** Rate in basis points for an amount (bigint base units). */
+export function feeRate(schedule, units) {
+  return (schedule.tiers || [])
+    .filter((tier) => units > toBaseUnits(tier.above))
+    .reduce((rate, tier) => tier.percentBps, schedule.percentBps);
+}
+
+/**
+ * Fee for an escrow of `amount` base units.
+ * @returns {{ payer: string, percentBps: number, total: string,
+ *             buyer: string, seller: string }}
+ */
+export function calculateFee(amount, currency, payer, schedules = FEE_SCHEDULES) {
+  const schedule = schedules[currency];
+  if (!schedule) throw new FeeError(`No fee schedule for ${currency}.`);
+  if (!FEE_PAYERS[payer]) throw new FeeError("Choose who pays the fee.");
+
+  const units = toBaseUnits(amount);
+  const percentBps = feeRate(schedule, units);
+  // Rounded up to the next base unit, never below the minimum
+  let total = (units * BigInt(percentBps) + 9999n) / 10000n;
+  const minimum = toBaseUnits(schedule.minimum);
+  if (total < minimum) total = minimum;
+  if (total >= units) {
+    throw new FeeError(
+      `The amount is too small: the minimum fee is ${formatAmount(
+        minimum,
+        currency
+      )} ${currency}.`
+    );
+  }
+
+  const buyer = payer === "buyer" ? total : payer === "split" ? total / 2n : 0n;
+  return {
+    payer,
+    percentBps,
+    total: total.toString(),
+    buyer: buyer.toString(),
+    seller: (total - buyer).toString(),
+  };
+}
+
+export const feeOf = (tx) => tx?.fee || NO_FEE;
+
+/**
+ * How far an escrow's recorded fee falls short of the schedule's fee for
+ * its amount and payer. The creator's client works the fee out and the
+ * rules only check its arithmetic, so admins compare it here.
+ * @returns {bigint|null} 0n when it does not, null for escrows without a
+ *   fee or an amount the schedule cannot price
+ */
+export function feeShortfall(tx, schedules = FEE_SCHEDULES) {
+  if (!tx?.fee?.payer || typeof tx.amount !== "string") return null;
+  try {
+    const { payer, total } = tx.fee;
+    const expected = calculateFee(tx.amount, tx.currency, payer, schedules);
+    const shortfall = toBaseUnits(expected.total) - toBaseUnits(total);
+    return shortfall > 0n ? shortfall : 0n;
+  } catch (err) {
+    if (err instanceof FeeError) return null;
+    throw err;
+  }
+}
+
+/** What has to be deposited: the amount plus the buyer's share. @returns {bigint} */
+export const amountDue = (tx) =>
+  toBaseUnits(tx.amount) + toBaseUnits(feeOf(tx).buyer);
+
+/** What the seller receives on release: the amount less their share. @returns {bigint} */
+export const sellerNet = (tx) =>
+  toBaseUnits(tx.amount) - toBaseUnits(feeOf(tx).seller);
+
+/** e.g. 100 => "1%", 75 => "0.75%". */
+export const formatRate = (percentBps) => `${percentBps / 100}%`;
+
+/** One-line summary, e.g. "0.01 BTC (1%), split 50/50". */
+export function describeFee(fee, currency) {
+  if (!fee?.payer) return "No fee";
+  return `${formatAmount(fee.total, currency)} ${currency} (${formatRate(
+    fee.percentBps
+  )}), ${FEE_PAYERS[fee.payer].toLowerCase()}`;
+}
+
+/** Display string for the amount due, e.g. "1.005 BTC" (legacy amounts as-is). */
+export function formatAmountDue(tx) {
+  if (typeof tx?.amount !== "string") return formatTxAmount(tx);
+  return `${formatAmount(amountDue(tx), tx.currency)} ${tx.currency}`;
+}
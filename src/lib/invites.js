@@ -0,0 +1,52 @@
+// src/lib/invites.js
+
+/**
+ * Invitations by email, for counterparties without an account.
+ *
+ * Such an escrow is created in "pending_invite" with only the creator as a
+ * participant and `invite: { email }`. The sendInvite function issues a
+ * single-use token (only its SHA-256 hash is stored, as invite.tokenHash)
+ * and mails a link carrying it; whoever signs up or logs in with that
+ * address through the link calls claimInvite, which binds the invite to
+ * their uid and moves the escrow to "pending_acceptance":
+ *   invite: { email, sentAt, tokenHash } => { email, sentAt, claimedBy, claimedAt }
+ */
+
+export const INVITE_STATUS = "pending_invite";
+
+// Random bytes in a token (hex-encoded in links)
+export const INVITE_TOKEN_BYTES = 32;
+
+/* === Errors === */
+export class InviteError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InviteError";
+    this.code = "escrow/invalid-invite";
+  }
+}
+
+/**
+ * An invitable address: one "@", a dot in the domain and nothing that could
+ * break out of a mail header or SMTP command (no whitespace or control
+ * characters). firestore.rules (isEmailInvite) repeats it, as it cannot
+ * import this file.
+ */
+export const EMAIL_PATTERN =
+  /^[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)+$/;
+
+export const isEmailAddress = (email) =>
+  EMAIL_PATTERN.test((email || "").trim());
+
+/** Throws unless the invite can be mailed to `email` as stored. */
+export function assertInviteEmail(email) {
+  if (typeof email !== "string" || !EMAIL_PATTERN.test(email)) {
+    throw new InviteError("The invitation's email address is not valid.");
+  }
+}
+
+export const isInvitePending = (tx) => tx?.status === INVITE_STATUS;
+
+/** Link that signs the invitee up and binds the invite, e.g. https://…/?invite=ab12…. */
+export const inviteLink = (appUrl, token) =>
+  `${appUrl.replace(/\/+$/, "")}/?invite=${encodeURIComponent(token)}`;
@@ -0,0 +1,118 @@
+// src/lib/milestones.js
+import { AmountError, parseAmount, toBaseUnits } from "./amounts.js";
+
+/**
+ * Milestone-based escrows.
+ *
+ * A transaction may be split into milestones, stored as a map keyed by id
+ * ("m1", "m2", …) so firestore.rules can check that one update touches one
+ * milestone:
+ *   milestones: { m1: { index, description, amount, dueDate, status,
+ *                       deliveredAt, approvedAt } }
+ *
+ * Each milestone moves pending => delivered (seller) => approved (buyer);
+ * approving releases its amount. The escrow completes when the last one is
+ * approved. Timestamps are passed in so callers can use serverTimestamp().
+ */
+
+export const MILESTONE_STEPS = {
+  deliver: { from: "pending", to: "delivered", stamp: "deliveredAt" },
+  approve: { from: "delivered", to: "approved", stamp: "approvedAt" },
+};
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/* === Errors === */
+export class MilestoneError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "MilestoneError";
+    this.code = "escrow/invalid-milestone";
+  }
+}
+
+/**
+ * Validates the milestone rows of the create form.
+ * @param {{ description: string, amount: string, dueDate: string }[]} rows
+ * @returns {{ milestones: object, total: string }} total in base units
+ */
+export function buildMilestones(rows, currency) {
+  if (!rows?.length) throw new MilestoneError("Add at least one milestone.");
+  const milestones = {};
+  let total = 0n;
+  rows.forEach((row, i) => {
+    const n = i + 1;
+    const description = (row.description || "").trim();
+    if (!description) {
+      throw new MilestoneError(`Milestone ${n} needs a description.`);
+    }
+    let amount;
+    try {
+      amount = parseAmount(row.amount, currency);
+    } catch (err) {
+      if (err instanceof AmountError) {
+        throw new MilestoneError(`Milestone ${n}: ${err.message}`);
+      }
+      throw err;
+    }
+    if (!DATE_RE.test(row.dueDate || "") || isNaN(Date.parse(row.dueDate))) {
+      throw new MilestoneError(`Milestone ${n} needs a due date.`);
+    }
+    milestones[`m${n}`] = {
+      index: i,
+      description,
+      amount,
+      dueDate: row.dueDate,
+      status: "pending",
+      deliveredAt: null,
+      approvedAt: null,
+    };
+    total += BigInt(amount);
+  });
+  return { milestones, total: total.toString() };
+}
+
+export const hasMilestones = (tx) =>
+  !!tx?.milestones && Object.keys(tx.milestones).length > 0;
+
+/** Milestones in order, each with its id. */
+export function milestoneList(tx) {
+  return Object.entries(tx?.milestones || {})
+    .map(([id, m]) => ({ id, ...m }))
+    .sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Applies a step ("deliver" / "approve") to one milestone.
+ * @returns {object} the updated milestones map
+ */
+export function applyMilestoneStep(milestones, id, step, at) {
+  const def = MILESTONE_STEPS[step];
+  const m = milestones?.[id];
+  if (!def || !m) throw new MilestoneError("Unknown milestone.");
+  if (m.status !== def.from) {
+    throw new MilestoneError(
+      `Milestone "${m.description}" is ${m.status}, not ${def.from}.`
+    );
+  }
+  return {
+    ...milestones,
+    [id]: { ...m, status: def.to, [def.stamp]: at },
+  };
+}
+
+export const allMilestonesApproved = (milestones) =>
+  Object.values(milestones || {}).every((m) => m.status === "approved");
+
+/** Amount released through approved milestones. @returns {bigint} */
+export function releasedAmount(tx) {
+  return Object.values(tx?.milestones || {})
+    .filter((m) => m.status === "approved")
+    .reduce((sum, m) => sum + toBaseUnits(m.amount), 0n);
+}
+
+/** Running totals for a milestone escrow. @returns {{ released: bigint, remaining: bigint }} */
+export function milestoneTotals(tx) {
+  const released = releasedAmount(tx);
+  return { released, remaining: toBaseUnits(tx.amount) - released };
+}
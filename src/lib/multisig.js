@@ -0,0 +1,414 @@
+// src/lib/multisig.js
+import { secp256k1 } from "@noble/curves/secp256k1";
+import { sha256 } from "@noble/hashes/sha2";
+import { bytesToHex, hexToBytes } from "@noble/hashes/utils";
+import { bech32 } from "@scure/base";
+import { validateAddress } from "./addressValidation.js";
+import { formatAmount, toBaseUnits } from "./amounts.js";
+import { owedPayouts } from "./payouts.js";
+import {
+  combinePsbts,
+  createPsbt,
+  decodePsbt,
+  encodePsbt,
+  extractTransaction,
+  isValidPartialSig,
+  outputScript,
+  PsbtError,
+  scriptAddress,
+  txidOf,
+} from "./psbt.js";
+
+/**
+ * Non-custodial 2-of-3 multisig escrows (BTC only).
+ *
+ * Instead of an address derived from the platform's key, the deposit
+ * address is a P2WSH 2-of-3 CHECKMULTISIG over one key each of the seller,
+ * the buyer and the escrow service:
+ *   custody: "multisig",
+ *   multisig: { pubkeys: { seller, buyer, escrow }, witnessScript,
+ *               psbt, signedBy, finalTx, finalTxid }
+ * The creator's key and the service's (derived from the BTC escrow xpub at
+ * the escrow's index) are stored at creation; the invited party adds theirs
+ * when accepting, which fixes witnessScript and escrowWallet. Keys are
+ * sorted in the script (BIP-67), so the address depends only on the keys.
+ *
+ * Once the escrow is completed, refunded or split, anyone on it proposes
+ * the payout as a PSBT (lib/psbt.js) spending the recorded deposits. It is
+ * exported, signed in turn in two of the three wallets and imported back;
+ * with two signatures it is finalized into a transaction to broadcast. Any
+ * two keys move the funds: buyer and seller together, or either of them
+ * with the service after a ruling.
+ */
+
+export const MULTISIG_CURRENCIES = ["BTC"];
+export const MULTISIG_KEY_ROLES = ["seller", "buyer", "escrow"];
+export const REQUIRED_SIGNATURES = 2;
+
+// Outputs below this are rejected by nodes as dust
+const DUST_LIMIT = 546n;
+
+const OP_CHECKMULTISIG = 0xae;
+
+/* === Errors === */
+export class MultisigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "MultisigError";
+    this.code = "escrow/invalid-multisig";
+  }
+}
+
+export const isMultisig = (tx) => tx?.custody === "multisig";
+
+/* === Keys, script and address === */
+
+/** Checks a compressed secp256k1 public key (66 hex) and lower-cases it. */
+export function normalizePublicKey(hex) {
+  const key = (hex || "").trim().toLowerCase();
+  if (!/^0[23][0-9a-f]{64}$/.test(key)) {
+    throw new MultisigError(
+      "Enter a compressed public key: 66 hex characters starting with 02 or 03."
+    );
+  }
+  try {
+    secp256k1.ProjectivePoint.fromHex(key);
+  } catch {
+    throw new MultisigError("That public key is not a point on secp256k1.");
+  }
+  return key;
+}
+
+/** 2-of-3 witness script over the keys (hex), sorted per BIP-67. */
+export function multisigScript(pubkeys) {
+  const sorted = [...pubkeys].sort();
+  return Uint8Array.of(
+    0x50 + REQUIRED_SIGNATURES,
+    ...sorted.flatMap((key) => [0x21, ...hexToBytes(key)]),
+    0x50 + sorted.length,
+    OP_CHECKMULTISIG
+  );
+}
+
+/** The keys of an m-of-n witness script, in script order. */
+export function parseMultisigScript(script) {
+  const n = script[script.length - 2] - 0x50;
+  const m = script[0] - 0x50;
+  if (
+    script[script.length - 1] !== OP_CHECKMULTISIG ||
+    script.length !== 3 + n * 34 ||
+    m < 1 ||
+    m > n
+  ) {
+    throw new MultisigError("Not a multisig witness script.");
+  }
+  const pubkeys = Array.from({ length: n }, (_, i) =>
+    bytesToHex(script.subarray(1 + i * 34 + 1, 1 + (i + 1) * 34))
+  );
+  return { m, pubkeys };
+}
+
+/** Native SegWit P2WSH address of a witness script (bc1q…, 62 chars). */
+export function multisigAddress(witnessScript, hrp = "bc") {
+  const words = bech32.toWords(sha256(witnessScript));
+  return bech32.encode(hrp, [0, ...words]);
+}
+
+/**
+ * Script and address of an escrow once all three keys are in.
+ * @param {{ seller: string, buyer: string, escrow: string }} pubkeys
+ * @returns {{ witnessScript: string, address: string }}
+ */
+export function multisigEscrow(pubkeys) {
+  const keys = MULTISIG_KEY_ROLES.map((role) => {
+    if (!pubkeys?.[role]) {
+      throw new MultisigError(`The ${role} key is missing.`);
+    }
+    return normalizePublicKey(pubkeys[role]);
+  });
+  if (new Set(keys).size !== keys.length) {
+    throw new MultisigError("Each party must use a different key.");
+  }
+  const script = multisigScript(keys);
+  return {
+    witnessScript: bytesToHex(script),
+    address: multisigAddress(script),
+  };
+}
+
+/** Re-derives script and address from the stored keys; null until set. */
+export function verifyMultisigAddress(tx) {
+  if (!isMultisig(tx) || !tx.escrowWallet) return null;
+  try {
+    const { witnessScript, address } = multisigEscrow(tx.multisig.pubkeys);
+    return (
+      witnessScript === tx.multisig.witnessScript &&
+      address === tx.escrowWallet
+    );
+  } catch {
+    return false;
+  }
+}
+
+/** Which party ("seller", "buyer", "escrow") a public key belongs to. */
+export const keyRoleOf = (tx, pubkey) =>
+  MULTISIG_KEY_ROLES.find((role) => tx.multisig?.pubkeys?.[role] === pubkey) ??
+  null;
+
+/* === Payout === */
+
+export const canProposePayout = (tx) =>
+  isMultisig(tx) && !!tx.escrowWallet && !tx.multisig.finalTx;
+
+export const canSignPayout = (tx) =>
+  canProposePayout(tx) && !!tx.multisig.psbt;
+
+// Virtual size estimate: a 2-of-3 P2WSH input is ~105 vB, outputs ≤ 43 vB
+export const estimateVsize = (inputs, outputs) =>
+  11 + inputs * 105 + outputs * 43;
+
+/**
+ * Escrow outputs to spend, from the deposits recorded by the watcher.
+ * @returns {{ txid: string, vout: number, amount: bigint }[]}
+ */
+export function escrowOutputs(tx) {
+  const outputs = (tx.deposits || []).flatMap((d) =>
+    (d.outputs || []).map((o) => ({
+      txid: d.txid,
+      vout: o.vout,
+      amount: toBaseUnits(o.amount),
+    }))
+  );
+  if (!outputs.length) {
+    throw new MultisigError(
+      "No deposits recorded for this escrow yet; they show up once the payment is seen on chain."
+    );
+  }
+  return outputs;
+}
+
+/**
+ * What the payout transaction pays: what is owed to each side (lib/payouts),
+ * the network fee at `feeRate` sat/vB, and the rest (the platform's fee and
+ * any overpayment) to `feeAddress`. When that rest cannot cover the network
+ * fee, the largest payout pays the difference.
+ * @returns {{ inputs: object[], outputs: { label: string, address: string,
+ *            amount: bigint }[], networkFee: bigint }}
+ */
+export function planPayout(tx, { feeRate, feeAddress }) {
+  const rate = Number(feeRate);
+  if (!Number.isFinite(rate) || rate < 1) {
+    throw new MultisigError("The fee rate must be at least 1 sat/vB.");
+  }
+  const inputs = escrowOutputs(tx);
+  const total = inputs.reduce((sum, i) => sum + i.amount, 0n);
+
+  const outputs = owedPayouts(tx).map((o) => {
+    const check = validateAddress(tx.currency, o.address);
+    if (!check.valid) {
+      throw new MultisigError(`The ${o.recipient}'s wallet: ${check.error}`);
+    }
+    return {
+      label: o.recipient,
+      address: o.address,
+      amount: toBaseUnits(o.amount),
+    };
+  });
+  const rest = total - outputs.reduce((sum, o) => sum + o.amount, 0n);
+  if (rest < 0n) {
+    throw new MultisigError(
+      "The recorded deposits do not cover what is owed; wait for the full deposit."
+    );
+  }
+
+  let networkFee = BigInt(
+    Math.ceil(estimateVsize(inputs.length, outputs.length + 1) * rate)
+  );
+  if (rest - networkFee >= DUST_LIMIT) {
+    const check = validateAddress(tx.currency, feeAddress);
+    if (!check.valid) {
+      throw new MultisigError(`Platform fee address: ${check.error}`);
+    }
+    outputs.push({
+      label: "fee",
+      address: feeAddress.trim(),
+      amount: rest - networkFee,
+    });
+  } else if (rest >= networkFee) {
+    networkFee = rest; // too little left for an output of its own
+  } else {
+    const largest = outputs.reduce((a, b) => (b.amount > a.amount ? b : a));
+    largest.amount -= networkFee - rest;
+    if (largest.amount < DUST_LIMIT) {
+      throw new MultisigError(
+        "The payout is too small to cover the network fee."
+      );
+    }
+  }
+  return { inputs, outputs, networkFee };
+}
+
+/** Base64 PSBT of the payout planned by planPayout(). */
+export function buildPayoutPsbt(tx, opts) {
+  const plan = planPayout(tx, opts);
+  const witnessScript = hexToBytes(tx.multisig.witnessScript);
+  const psbt = createPsbt(
+    plan.inputs.map((i) => ({ ...i, witnessScript })),
+    plan.outputs.map((o) => ({
+      script: outputScript(o.address),
+      amount: o.amount,
+    }))
+  );
+  return encodePsbt(psbt);
+}
+
+// Keys (in script order) that signed every input, either as partial
+// signatures or inside a final witness. Rejects signatures that do not
+// verify or belong to keys outside the escrow.
+function signersOf(tx, psbt) {
+  const witnessScript = hexToBytes(tx.multisig.witnessScript);
+  const { pubkeys } = parseMultisigScript(witnessScript);
+  // Wallets may drop the witness script once an input is final
+  const check = {
+    ...psbt,
+    inputs: psbt.inputs.map((input) => ({ ...input, witnessScript })),
+  };
+  const perInput = psbt.inputs.map((input, index) => {
+    if (
+      input.witnessScript &&
+      bytesToHex(input.witnessScript) !== tx.multisig.witnessScript
+    ) {
+      throw new PsbtError(`Input ${index} does not spend this escrow.`);
+    }
+    for (const [key, sig] of Object.entries(input.partialSigs)) {
+      if (!keyRoleOf(tx, key)) {
+        throw new PsbtError(
+          "The PSBT is signed by a key that is not on this escrow."
+        );
+      }
+      if (!isValidPartialSig(check, index, key, sig)) {
+        throw new PsbtError(`Invalid signature on input ${index}.`);
+      }
+    }
+    if (!input.finalWitness) return new Set(Object.keys(input.partialSigs));
+    const sigs = input.finalWitness.slice(1, -1).map(bytesToHex);
+    return new Set(
+      pubkeys.filter((key) =>
+        sigs.some((sig) => isValidPartialSig(check, index, key, sig))
+      )
+    );
+  });
+  return pubkeys.filter((key) => perInput.every((keys) => keys.has(key)));
+}
+
+function finalize(tx, psbt, signers) {
+  const witnessScript = hexToBytes(tx.multisig.witnessScript);
+  const inputs = psbt.inputs.map((input) => {
+    if (input.finalWitness) return input;
+    // CHECKMULTISIG wants the signatures in script order, after a dummy item
+    const sigs = signers
+      .slice(0, REQUIRED_SIGNATURES)
+      .map((key) => hexToBytes(input.partialSigs[key]));
+    return {
+      ...input,
+      partialSigs: {},
+      witnessScript: null,
+      finalWitness: [new Uint8Array(0), ...sigs, witnessScript],
+    };
+  });
+  return { ...psbt, inputs };
+}
+
+/**
+ * Like importSignedPsbt, but takes only the signatures of the `role`'s key
+ * from the imported PSBT, so no one can add signatures on another party's
+ * behalf (the payout callable, functions/multisigPayouts.js). Signatures
+ * inside a final witness count too, for wallets that finalize inputs.
+ * @param {"seller"|"buyer"|"escrow"} role
+ */
+export function importOwnSignatures(tx, text, role) {
+  if (!tx.multisig?.psbt) {
+    throw new MultisigError("No payout has been proposed yet.");
+  }
+  const key = tx.multisig.pubkeys?.[role];
+  if (!key) throw new MultisigError(`This escrow has no ${role} key.`);
+  const base = decodePsbt(tx.multisig.psbt);
+  const signed = decodePsbt(text);
+  if (txidOf(base.tx) !== txidOf(signed.tx)) {
+    throw new PsbtError(
+      "This PSBT pays out a different transaction than the one on the escrow."
+    );
+  }
+  const witnessScript = hexToBytes(tx.multisig.witnessScript);
+  const check = {
+    ...base,
+    inputs: base.inputs.map((input) => ({ ...input, witnessScript })),
+  };
+  let found = false;
+  const inputs = signed.inputs.map((input, index) => {
+    const candidates = [
+      input.partialSigs[key],
+      ...(input.finalWitness?.slice(1, -1).map(bytesToHex) ?? []),
+    ].filter(Boolean);
+    const sig = candidates.find((c) => isValidPartialSig(check, index, key, c));
+    if (sig) found = true;
+    return {
+      ...input,
+      partialSigs: sig ? { [key]: sig } : {},
+      finalWitness: null,
+    };
+  });
+  if (!found) {
+    throw new MultisigError(`The PSBT carries no signature of the ${role} key.`);
+  }
+  return importSignedPsbt(tx, encodePsbt({ ...signed, inputs }));
+}
+
+/**
+ * Readable summary of a payout PSBT for the signers to check.
+ * @returns {{ txid: string, outputs: { address: string, amount: string }[],
+ *            networkFee: string, signedBy: string[] }}
+ */
+export function describePayoutPsbt(tx, text) {
+  const psbt = decodePsbt(text);
+  const inputTotal = psbt.inputs.reduce(
+    (sum, i) => sum + (i.witnessUtxo?.amount ?? 0n),
+    0n
+  );
+  const outputTotal = psbt.tx.outputs.reduce((sum, o) => sum + o.amount, 0n);
+  return {
+    txid: txidOf(psbt.tx),
+    outputs: psbt.tx.outputs.map((o) => ({
+      address: scriptAddress(o.script) || bytesToHex(o.script),
+      amount: formatAmount(o.amount, tx.currency),
+    })),
+    networkFee: formatAmount(inputTotal - outputTotal, tx.currency),
+    signedBy: signersOf(tx, psbt).map((key) => keyRoleOf(tx, key)),
+  };
+}
+
+/**
+ * Merges a PSBT signed in a wallet into the escrow's, checking every
+ * signature against the escrow's keys. With two signers it is finalized.
+ * @returns {{ psbt: string, signedBy: string[], finalTx: string|null,
+ *            finalTxid: string|null }}
+ */
+export function importSignedPsbt(tx, text) {
+  if (!tx.multisig?.psbt) {
+    throw new MultisigError("No payout has been proposed yet.");
+  }
+  const combined = combinePsbts(decodePsbt(tx.multisig.psbt), decodePsbt(text));
+  const signers = signersOf(tx, combined);
+  const signedBy = signers.map((key) => keyRoleOf(tx, key));
+  if (signers.length < REQUIRED_SIGNATURES) {
+    return {
+      psbt: encodePsbt(combined),
+      signedBy,
+      finalTx: null,
+      finalTxid: null,
+    };
+  }
+  const final = finalize(tx, combined, signers);
+  const { hex, txid } = extractTransaction(final);
+  return { psbt: encodePsbt(final), signedBy, finalTx: hex, finalTxid: txid };
+}
@@ -0,0 +1,119 @@
+// src/lib/notifications.js
+
+/**
+ * Notification events and per-user preferences.
+ *
+ * Every notification written to users/{uid}/notifications carries the event
+ * it reports as `type`. The dispatchNotifications function
+ * (functions/notificationDispatch.js) then applies the recipient's
+ * preferences, kept on their user document as
+ *   notificationPrefs: { [group]: { inApp, email, delivery } }
+ * where `delivery` is "immediate" or "digest" (batched by the daily digest
+ * job). Events outside the groups below, and groups a user never set, use
+ * DEFAULT_PREFERENCE.
+ */
+
+export const NOTIFICATION_EVENTS = {
+  invited: "Invited to an escrow",
+  invite_claimed: "Invitation claimed",
+  accepted: "Invitation accepted",
+  rejected: "Invitation rejected",
+  withdrawn: "Invitation withdrawn",
+  cancel_requested: "Cancellation requested",
+  cancel_answered: "Cancellation answered",
+  payment_sent: "Payment marked as sent",
+  payment_review: "Payment awaiting verification",
+  payment_confirmed: "Payment confirmed",
+  goods_released: "Goods released",
+  funds_released: "Funds released",
+  milestone_delivered: "Milestone delivered",
+  milestone_approved: "Milestone approved",
+  dispute_opened: "Dispute opened",
+  dispute_response: "Dispute response",
+  dispute_resolved: "Dispute resolved",
+  settled: "Settled by admin",
+  under_review: "Under review",
+  refunded: "Refunded",
+  payout_sent: "Payout sent",
+  payout_confirmed: "Payout confirmed",
+  payout_signature: "Payout awaiting your signature",
+  deadline_reminder: "Deadline approaching",
+  deadline_passed: "Deadline passed",
+  message: "New message",
+};
+
+// Preference groups on the profile page => the events they cover
+export const NOTIFICATION_GROUPS = {
+  invite: {
+    label: "Invitations",
+    events: ["invited", "invite_claimed", "withdrawn"],
+  },
+  accepted: { label: "Accepted or rejected", events: ["accepted", "rejected"] },
+  payment_sent: {
+    label: "Payment sent",
+    events: ["payment_sent", "payment_review"],
+  },
+  payment_confirmed: {
+    label: "Payment confirmed",
+    events: ["payment_confirmed"],
+  },
+  goods_released: {
+    label: "Goods and funds released",
+    events: [
+      "goods_released",
+      "funds_released",
+      "milestone_delivered",
+      "milestone_approved",
+    ],
+  },
+  dispute: {
+    label: "Disputes",
+    events: [
+      "dispute_opened",
+      "dispute_response",
+      "dispute_resolved",
+      "settled",
+      "under_review",
+    ],
+  },
+  refund: { label: "Refunds", events: ["refunded"] },
+  payout: {
+    label: "Payouts",
+    events: ["payout_sent", "payout_confirmed", "payout_signature"],
+  },
+};
+
+export const DELIVERY_MODES = {
+  immediate: "Immediately",
+  digest: "Daily digest",
+};
+
+export const DEFAULT_PREFERENCE = {
+  inApp: true,
+  email: true,
+  delivery: "immediate",
+};
+
+export const groupOf = (type) =>
+  Object.keys(NOTIFICATION_GROUPS).find((group) =>
+    NOTIFICATION_GROUPS[group].events.includes(type)
+  ) ?? null;
+
+/** Every group's preference, filling in defaults. */
+export const normalizePreferences = (prefs) =>
+  Object.fromEntries(
+    Object.keys(NOTIFICATION_GROUPS).map((group) => [
+      group,
+      { ...DEFAULT_PREFERENCE, ...(prefs?.[group] || {}) },
+    ])
+  );
+
+/** The recipient's preference for one notification type. */
+export function preferenceFor(prefs, type) {
+  const group = groupOf(type);
+  return { ...DEFAULT_PREFERENCE, ...((group && prefs?.[group]) || {}) };
+}
+
+/** Link that opens a transaction in the app, e.g. https://…/?tx=TX123. */
+export const transactionLink = (appUrl, txId) =>
+  `${appUrl.replace(/\/+$/, "")}/?tx=${encodeURIComponent(txId)}`;
@@ -0,0 +1,69 @@
+// src/lib/paymentUri.js
+import { formatAmount } from "./amounts.js";
+import { currencyInfo } from "./currencies.js";
+import { confirmationsRequired, summarizeDeposits } from "./deposits.js";
+import { amountDue } from "./fees.js";
+import { tokenContract } from "./tokens.js";
+
+/**
+ * Payment URIs for an escrow's deposit address, shown as QR codes so the
+ * buyer's wallet fills in the address and the exact amount still due:
+ *   BTC  bitcoin:bc1q…?amount=1.005&label=…            (BIP-21)
+ *   BCH  bitcoincash:q…?amount=1.005&label=…           (BIP-21 with CashAddr)
+ *   ETH  ethereum:0x…?value=1005000000000000000        (EIP-681, in wei)
+ *   USDT ethereum:0xdAC1…/transfer?address=0x…&uint256=1005000
+ *        (EIP-681 token transfer of the currency's token, in base units)
+ * The scheme is the currency's `uriScheme` in the registry (lib/currencies).
+ */
+
+/** EIP-681 request for an ERC-20 transfer() of `amount` base units. */
+export function tokenTransferUri(contract, to, amount) {
+  const params = new URLSearchParams({ address: to });
+  if (amount) params.set("uint256", amount.toString());
+  return `ethereum:${contract}/transfer?${params}`;
+}
+
+/**
+ * Amount still to be deposited: the amount due less deposits already seen
+ * (confirmed or not). Null for legacy float amounts.
+ * @returns {bigint|null}
+ */
+export function amountOutstanding(tx) {
+  if (typeof tx?.amount !== "string") return null;
+  const { seen } = summarizeDeposits(
+    tx.deposits,
+    confirmationsRequired(tx.currency)
+  );
+  const rest = amountDue(tx) - seen;
+  return rest > 0n ? rest : 0n;
+}
+
+/**
+ * @param {object} tx transaction with escrowWallet and currency
+ * @param {{ label?: string, contracts?: Record<string, string> }} [opts]
+ *   `contracts` overrides the registry's token contracts (lib/tokens)
+ * @returns {string|null} null when the currency has no URI scheme or there
+ *   is no deposit address yet
+ */
+export function paymentUri(tx, { label, contracts } = {}) {
+  const contract = tokenContract(tx?.currency, contracts);
+  if (contract && tx.escrowWallet) {
+    return tokenTransferUri(contract, tx.escrowWallet, amountOutstanding(tx));
+  }
+  const scheme = currencyInfo(tx?.currency)?.uriScheme;
+  if (!scheme || !tx.escrowWallet) return null;
+
+  const address = tx.escrowWallet.replace(/^[a-z]+:/i, "");
+  const outstanding = amountOutstanding(tx);
+  const params = new URLSearchParams();
+  if (scheme === "ethereum") {
+    if (outstanding) params.set("value", outstanding.toString());
+  } else {
+    if (outstanding) {
+      params.set("amount", formatAmount(outstanding, tx.currency));
+    }
+    if (label) params.set("label", label);
+  }
+  const query = params.toString().replace(/\+/g, "%20");
+  return `${scheme}:${address}${query ? `?${query}` : ""}`;
+}
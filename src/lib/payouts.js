@@ -0,0 +1,192 @@
+// src/lib/payouts.js
+import { AmountError, parseAmount, toBaseUnits } from "./amounts.js";
+import { validateAddress } from "./addressValidation.js";
+import { isValidTxid, normalizeTxid } from "./explorers.js";
+import { feeOf, sellerNet } from "./fees.js";
+import { releasedAmount } from "./milestones.js";
+import { heldAmount } from "./settlements.js";
+import { chainOf } from "./tokens.js";
+
+/**
+ * Payout records.
+ *
+ * Once an escrow is completed, refunded or split, an admin sends the funds
+ * out of the escrow wallet and records each outgoing payment on the
+ * transaction, keyed by id ("p1", "p2", …) like milestones:
+ *   payouts: { p1: { index, recipient, address, amount, networkFee, txid,
+ *                    status, recordedBy, recordedAt, broadcastAt,
+ *                    confirmedAt } }
+ *
+ * `recipient` is the side paid ("seller" or "buyer"); `amount` is what the
+ * recipient receives and `networkFee` the miner / gas fee paid on top, both
+ * in base units; for a token escrow the fee is gas, in wei. A payout moves pending => broadcast (txid known) =>
+ * confirmed, never back. Timestamps are passed in so callers can use
+ * serverTimestamp().
+ */
+
+// Statuses payouts can be recorded in (the escrow has been decided)
+export const PAYABLE_STATUSES = ["completed", "refunded", "settled_split"];
+
+export const PAYOUT_STATUSES = {
+  pending: "Pending",
+  broadcast: "Broadcast",
+  confirmed: "Confirmed",
+};
+
+export const PAYOUT_RECIPIENTS = ["seller", "buyer"];
+
+const STAMPS = { broadcast: "broadcastAt", confirmed: "confirmedAt" };
+
+/* === Errors === */
+export class PayoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PayoutError";
+    this.code = "escrow/invalid-payout";
+  }
+}
+
+export const isPayable = (tx) => PAYABLE_STATUSES.includes(tx?.status);
+
+/** Payouts in the order they were recorded, each with its id. */
+export function payoutList(tx) {
+  return Object.entries(tx?.payouts || {})
+    .map(([id, p]) => ({ id, ...p }))
+    .sort((a, b) => a.index - b.index);
+}
+
+// Released through approved milestones, less the seller's fee share on it
+// (pro rata, as lib/settlements counts it)
+function releasedNet(tx) {
+  const released = releasedAmount(tx);
+  if (released === 0n) return 0n;
+  const sellerFee = toBaseUnits(feeOf(tx).seller);
+  return released - (sellerFee * released) / toBaseUnits(tx.amount);
+}
+
+/**
+ * What is owed to each side: everything to the seller (net of their fee
+ * share) on completion; otherwise the settlement allocation when there is
+ * one, or what is still held back to the buyer on a refund, plus approved
+ * milestones to the seller, which neither of those covers. Prefills the
+ * admin's payout form and plans multisig payouts.
+ * @returns {{ recipient: string, address: string, amount: string }[]}
+ */
+export function owedPayouts(tx) {
+  if (!isPayable(tx) || typeof tx.amount !== "string") return [];
+  let owed;
+  if (tx.allocation) {
+    owed = {
+      seller: toBaseUnits(tx.allocation.seller) + releasedNet(tx),
+      buyer: toBaseUnits(tx.allocation.buyer),
+    };
+  } else if (tx.status === "refunded") {
+    owed = { seller: releasedNet(tx), buyer: heldAmount(tx) };
+  } else {
+    owed = { seller: sellerNet(tx), buyer: 0n };
+  }
+  return PAYOUT_RECIPIENTS.filter((side) => owed[side] > 0n).map((side) => ({
+    recipient: side,
+    address: tx[`${side}Wallet`] || "",
+    amount: owed[side].toString(),
+  }));
+}
+
+/**
+ * Validates the admin's payout form
+ * ({ recipient, address, amount, networkFee, txid }) against the escrow.
+ * A txid makes the payout "broadcast" straight away.
+ * @returns {{ id: string, payout: object }}
+ */
+export function buildPayout(form, tx, recordedBy, at) {
+  if (!isPayable(tx)) {
+    throw new PayoutError(
+      "Payouts can only be recorded once the escrow is completed, refunded or split."
+    );
+  }
+  if (!PAYOUT_RECIPIENTS.includes(form.recipient)) {
+    throw new PayoutError("Choose who the payout went to.");
+  }
+  const address = (form.address || "").trim();
+  const check = validateAddress(tx.currency, address);
+  if (!check.valid) throw new PayoutError(check.error);
+
+  let amount;
+  let networkFee = "0";
+  try {
+    amount = parseAmount(form.amount, tx.currency);
+    // Blank or zero means the fee was not paid from the escrow wallet
+    if (!/^0*\.?0*$/.test(String(form.networkFee ?? "").trim())) {
+      networkFee = parseAmount(form.networkFee, chainOf(tx.currency));
+    }
+  } catch (err) {
+    if (err instanceof AmountError) throw new PayoutError(err.message);
+    throw err;
+  }
+
+  const txid = normalizeTxid(form.txid);
+  if (txid && !isValidTxid(tx.currency, txid)) {
+    throw new PayoutError(`That is not a valid ${tx.currency} transaction hash.`);
+  }
+
+  const payouts = payoutList(tx);
+  if (txid && payouts.some((p) => p.txid === txid)) {
+    throw new PayoutError(
+      "A payout with this transaction hash is recorded already."
+    );
+  }
+  const index = payouts.length;
+  return {
+    id: `p${index + 1}`,
+    payout: {
+      index,
+      recipient: form.recipient,
+      address,
+      amount,
+      networkFee,
+      txid: txid || null,
+      status: txid ? "broadcast" : "pending",
+      recordedBy,
+      recordedAt: at,
+      broadcastAt: txid ? at : null,
+      confirmedAt: null,
+    },
+  };
+}
+
+/**
+ * Moves one payout forward to "broadcast" (needs its txid, if it has none
+ * yet) or "confirmed".
+ * @returns {object} the updated payouts map
+ */
+export function advancePayout(tx, id, status, { txid, at } = {}) {
+  const p = tx.payouts?.[id];
+  if (!p) throw new PayoutError("Unknown payout.");
+  const order = Object.keys(PAYOUT_STATUSES);
+  if (!STAMPS[status] || order.indexOf(status) <= order.indexOf(p.status)) {
+    throw new PayoutError(`Payout ${id} is ${p.status} already.`);
+  }
+  const hash = p.txid || normalizeTxid(txid);
+  if (!hash) {
+    throw new PayoutError("Enter the transaction hash of the payout first.");
+  }
+  if (!isValidTxid(tx.currency, hash)) {
+    throw new PayoutError(`That is not a valid ${tx.currency} transaction hash.`);
+  }
+  return {
+    ...tx.payouts,
+    [id]: {
+      ...p,
+      txid: hash,
+      status,
+      broadcastAt: p.broadcastAt ?? at,
+      [STAMPS[status]]: at,
+    },
+  };
+}
+
+/** Total paid out to one side. @returns {bigint} */
+export const paidTo = (tx, recipient) =>
+  payoutList(tx)
+    .filter((p) => p.recipient === recipient)
+    .reduce((sum, p) => sum + toBaseUnits(p.amount), 0n);
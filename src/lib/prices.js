@@ -0,0 +1,138 @@
+// src/lib/prices.js
+import { formatAmount, toBaseUnits } from "./amounts.js";
+import { CURRENCIES, currencyInfo } from "./currencies.js";
+
+/**
+ * Fiat valuation of escrows.
+ *
+ * A price provider is any object with
+ *   { source: string, getRates(): Promise<RateTable> }
+ * where a RateTable is { source, at (millis), rates: { BTC: { USD: 65000,
+ * EUR: … }, … } } — the fiat price of one whole coin.
+ *
+ * Two providers ship here: a static one over a fixed table (public/prices.json
+ * for offline use and tests) and one for the CoinGecko simple-price API.
+ * Transactions keep the rate of their own currency at three moments:
+ *   fiatRates: { created, funded, completed }   each { source, at, rates }
+ */
+
+export const FIAT_CURRENCIES = {
+  USD: "US Dollar",
+  EUR: "Euro",
+  GBP: "British Pound",
+  CAD: "Canadian Dollar",
+  AUD: "Australian Dollar",
+  CHF: "Swiss Franc",
+  JPY: "Japanese Yen",
+};
+
+export const DEFAULT_FIAT = "USD";
+
+// Status reached => fiatRates key recorded by the transition into it
+export const RATE_SNAPSHOT_STAGES = {
+  payment_received: "funded",
+  completed: "completed",
+  settled_split: "completed",
+  refunded: "completed",
+};
+
+export const COINGECKO_URL = "https://api.coingecko.com/api/v3/simple/price";
+
+// Registry currencies with a CoinGecko id (lib/currencies)
+const COINGECKO_IDS = Object.fromEntries(
+  Object.values(CURRENCIES)
+    .filter((c) => c.priceId)
+    .map((c) => [c.symbol, c.priceId])
+);
+
+/* === Errors === */
+export class PriceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PriceError";
+    this.code = "escrow/price-unavailable";
+  }
+}
+
+/* === Providers === */
+
+/**
+ * Provider over a fixed table, e.g. the contents of public/prices.json:
+ *   { asOf: "2026-01-01T00:00:00Z", rates: { BTC: { USD: 65000 }, … } }
+ */
+export function createStaticPriceProvider(table, source = "static") {
+  if (!table?.rates) throw new PriceError("Price table has no rates.");
+  const at = table.asOf ? Date.parse(table.asOf) : Date.now();
+  return {
+    source,
+    async getRates() {
+      return { source, at, rates: table.rates };
+    },
+  };
+}
+
+/** Provider for the CoinGecko simple-price API (or a compatible proxy). */
+export function createCoinGeckoProvider({
+  url = COINGECKO_URL,
+  fetch = globalThis.fetch,
+} = {}) {
+  const source = "coingecko";
+  return {
+    source,
+    async getRates() {
+      const ids = Object.values(COINGECKO_IDS).join(",");
+      const fiats = Object.keys(FIAT_CURRENCIES).join(",").toLowerCase();
+      const res = await fetch(`${url}?ids=${ids}&vs_currencies=${fiats}`);
+      if (!res.ok) throw new PriceError(`Price API returned ${res.status}.`);
+      const body = await res.json();
+      const rates = {};
+      for (const [currency, id] of Object.entries(COINGECKO_IDS)) {
+        if (!body[id]) continue;
+        rates[currency] = Object.fromEntries(
+          Object.keys(FIAT_CURRENCIES)
+            .filter((fiat) => typeof body[id][fiat.toLowerCase()] === "number")
+            .map((fiat) => [fiat, body[id][fiat.toLowerCase()]])
+        );
+      }
+      return { source, at: Date.now(), rates };
+    },
+  };
+}
+
+/* === Valuation === */
+
+/** Fiat value of a base-unit amount at `rate` (fiat per whole coin), or null. */
+export function fiatValue(amount, currency, rate) {
+  if (typeof rate !== "number" || !currencyInfo(currency)) return null;
+  try {
+    return Number(formatAmount(toBaseUnits(amount), currency)) * rate;
+  } catch {
+    return null;
+  }
+}
+
+/** e.g. (1234.5, "USD") => "$1,234.50". */
+export function formatFiat(value, fiat) {
+  return new Intl.NumberFormat(undefined, {
+    style: "currency",
+    currency: fiat,
+  }).format(value);
+}
+
+/** Snapshot of one currency's rates for fiatRates.{stage}, or null. */
+export function rateSnapshot(table, currency) {
+  const rates = table?.rates?.[currency];
+  if (!rates || !Object.keys(rates).length) return null;
+  return { source: table.source, at: new Date(table.at), rates };
+}
+
+/**
+ * fiatRates update for a transition into `to`, keeping earlier snapshots.
+ * @returns {object} {} when the status records no snapshot or rates are missing
+ */
+export function rateSnapshotUpdate(tx, to, table) {
+  const stage = RATE_SNAPSHOT_STAGES[to];
+  const snapshot = stage && rateSnapshot(table, tx.currency);
+  if (!snapshot || tx.fiatRates?.[stage]) return {};
+  return { fiatRates: { ...(tx.fiatRates || {}), [stage]: snapshot } };
+}
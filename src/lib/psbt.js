@@ -0,0 +1,495 @@
+// src/lib/psbt.js
+import { secp256k1 } from "@noble/curves/secp256k1";
+import { sha256 } from "@noble/hashes/sha2";
+import { bytesToHex, concatBytes, hexToBytes } from "@noble/hashes/utils";
+import { base58check, base64, bech32, bech32m } from "@scure/base";
+
+/**
+ * Bitcoin transactions and PSBTs (BIP-174), for multisig payouts.
+ *
+ * Only what a payout needs: segwit v0 inputs with a witness script, any
+ * standard output, SIGHASH_ALL signatures (BIP-143), combining the partial
+ * signatures wallets return, and extracting the final transaction. Entries
+ * this module does not use (BIP32 derivations, proprietary keys, …) are
+ * kept as they are, so a PSBT survives the round trip through a wallet.
+ *
+ * In memory a PSBT is
+ *   { tx: { version, inputs: [{ txid, vout, sequence }],
+ *           outputs: [{ amount, script }], locktime },
+ *     inputs: [{ witnessUtxo, witnessScript, partialSigs, finalWitness,
+ *                unknown }],
+ *     outputs: [{ unknown }], unknown }
+ * with txids in the usual (reversed) hex, amounts as BigInt and scripts as
+ * Uint8Array; partialSigs maps a public key (hex) to its DER signature plus
+ * sighash byte (hex).
+ */
+
+export const SIGHASH_ALL = 0x01;
+
+// Opts into replace-by-fee, so a payout stuck in the mempool can be bumped
+const SEQUENCE = 0xfffffffd;
+
+const MAGIC = hexToBytes("70736274ff");
+const GLOBAL_UNSIGNED_TX = 0x00;
+const IN_WITNESS_UTXO = 0x01;
+const IN_PARTIAL_SIG = 0x02;
+const IN_WITNESS_SCRIPT = 0x05;
+const IN_FINAL_SCRIPTWITNESS = 0x08;
+
+const BECH32_HRPS = ["bc", "tb", "bcrt"];
+
+/* === Errors === */
+export class PsbtError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PsbtError";
+    this.code = "escrow/invalid-psbt";
+  }
+}
+
+/* === Byte helpers === */
+
+const dsha256 = (bytes) => sha256(sha256(bytes));
+
+const reverseHex = (hex) => bytesToHex(hexToBytes(hex).reverse());
+
+function u32le(n) {
+  const out = new Uint8Array(4);
+  new DataView(out.buffer).setUint32(0, n, true);
+  return out;
+}
+
+function u64le(n) {
+  const out = new Uint8Array(8);
+  new DataView(out.buffer).setBigUint64(0, BigInt(n), true);
+  return out;
+}
+
+function varint(n) {
+  if (n < 0xfd) return Uint8Array.of(n);
+  if (n <= 0xffff) return Uint8Array.of(0xfd, n & 0xff, n >> 8);
+  return concatBytes(Uint8Array.of(0xfe), u32le(n));
+}
+
+const varBytes = (bytes) => concatBytes(varint(bytes.length), bytes);
+
+function reader(bytes) {
+  let pos = 0;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const take = (n) => {
+    if (pos + n > bytes.length) throw new PsbtError("Unexpected end of data.");
+    const out = bytes.subarray(pos, pos + n);
+    pos += n;
+    return out;
+  };
+  const r = {
+    take,
+    u8: () => take(1)[0],
+    u32: () => view.getUint32(take(4).byteOffset - bytes.byteOffset, true),
+    u64: () => view.getBigUint64(take(8).byteOffset - bytes.byteOffset, true),
+    varint() {
+      const first = r.u8();
+      if (first < 0xfd) return first;
+      if (first === 0xfd) return r.u8() | (r.u8() << 8);
+      if (first === 0xfe) return r.u32();
+      return Number(r.u64());
+    },
+    varBytes: () => take(r.varint()),
+    done: () => pos === bytes.length,
+  };
+  return r;
+}
+
+/* === Transactions === */
+
+/**
+ * Serializes a transaction; with `witnesses` (one stack per input, each a
+ * list of byte arrays) in the segwit format.
+ */
+export function serializeTx(tx, witnesses = null) {
+  const parts = [u32le(tx.version)];
+  if (witnesses) parts.push(Uint8Array.of(0x00, 0x01));
+  parts.push(varint(tx.inputs.length));
+  for (const input of tx.inputs) {
+    parts.push(
+      hexToBytes(reverseHex(input.txid)),
+      u32le(input.vout),
+      varint(0), // empty scriptSig
+      u32le(input.sequence)
+    );
+  }
+  parts.push(varint(tx.outputs.length));
+  for (const output of tx.outputs) {
+    parts.push(u64le(output.amount), varBytes(output.script));
+  }
+  if (witnesses) {
+    for (const stack of witnesses) {
+      parts.push(varint(stack.length), ...stack.map(varBytes));
+    }
+  }
+  parts.push(u32le(tx.locktime));
+  return concatBytes(...parts);
+}
+
+function parseUnsignedTx(bytes) {
+  const r = reader(bytes);
+  const version = r.u32();
+  const inputs = [];
+  const inputCount = r.varint();
+  if (inputCount === 0) {
+    throw new PsbtError("The unsigned transaction must not carry witnesses.");
+  }
+  for (let i = 0; i < inputCount; i++) {
+    const txid = bytesToHex(Uint8Array.from(r.take(32)).reverse());
+    const vout = r.u32();
+    if (r.varBytes().length) {
+      throw new PsbtError(
+        "The unsigned transaction must have empty scriptSigs."
+      );
+    }
+    inputs.push({ txid, vout, sequence: r.u32() });
+  }
+  const outputs = [];
+  const outputCount = r.varint();
+  for (let i = 0; i < outputCount; i++) {
+    outputs.push({ amount: r.u64(), script: Uint8Array.from(r.varBytes()) });
+  }
+  const locktime = r.u32();
+  if (!r.done()) throw new PsbtError("Trailing data after the transaction.");
+  return { version, inputs, outputs, locktime };
+}
+
+/** Transaction id (hex, as explorers show it) of the unsigned transaction. */
+export const txidOf = (tx) => bytesToHex(dsha256(serializeTx(tx)).reverse());
+
+/* === Addresses === */
+
+/** Output script (scriptPubKey) paying a BTC address, any network. */
+export function outputScript(address) {
+  const a = (address || "").trim();
+  const hrp = a.slice(0, a.lastIndexOf("1")).toLowerCase();
+  if (BECH32_HRPS.includes(hrp)) {
+    let decoded;
+    try {
+      decoded = bech32.decode(a);
+    } catch {
+      decoded = bech32m.decode(a);
+    }
+    const [version, ...words] = decoded.words;
+    const program = bech32.fromWords(words);
+    return Uint8Array.of(
+      version === 0 ? 0x00 : 0x50 + version,
+      program.length,
+      ...program
+    );
+  }
+  const payload = base58check(sha256).decode(a);
+  const hash = payload.subarray(1);
+  if (payload[0] === 0x00 || payload[0] === 0x6f) {
+    return concatBytes(
+      Uint8Array.of(0x76, 0xa9, 0x14),
+      hash,
+      Uint8Array.of(0x88, 0xac)
+    );
+  }
+  if (payload[0] === 0x05 || payload[0] === 0xc4) {
+    return concatBytes(Uint8Array.of(0xa9, 0x14), hash, Uint8Array.of(0x87));
+  }
+  throw new PsbtError(`Unsupported address: ${a}`);
+}
+
+/** Address of a standard output script, or null (mainnet unless hrp given). */
+export function scriptAddress(script, hrp = "bc") {
+  const s = script;
+  const base58 = base58check(sha256);
+  if (s.length >= 4 && s.length <= 42 && s[1] === s.length - 2) {
+    const version =
+      s[0] === 0x00 ? 0 : s[0] >= 0x51 && s[0] <= 0x60 ? s[0] - 0x50 : null;
+    if (version !== null) {
+      const words = [version, ...bech32.toWords(s.subarray(2))];
+      return version === 0
+        ? bech32.encode(hrp, words)
+        : bech32m.encode(hrp, words);
+    }
+  }
+  if (s.length === 25 && s[0] === 0x76 && s[1] === 0xa9 && s[24] === 0xac) {
+    return base58.encode(concatBytes(Uint8Array.of(0x00), s.subarray(3, 23)));
+  }
+  if (s.length === 23 && s[0] === 0xa9 && s[22] === 0x87) {
+    return base58.encode(concatBytes(Uint8Array.of(0x05), s.subarray(2, 22)));
+  }
+  return null;
+}
+
+/* === Signature hashes (BIP-143) === */
+
+/**
+ * Hash a segwit v0 input signs with SIGHASH_ALL.
+ * @param {Uint8Array} scriptCode the witness script for P2WSH
+ * @param {bigint} amount value of the output being spent
+ */
+export function witnessSighash(tx, index, scriptCode, amount) {
+  const input = tx.inputs[index];
+  const prevouts = concatBytes(
+    ...tx.inputs.map((i) =>
+      concatBytes(hexToBytes(reverseHex(i.txid)), u32le(i.vout))
+    )
+  );
+  const sequences = concatBytes(...tx.inputs.map((i) => u32le(i.sequence)));
+  const outputs = concatBytes(
+    ...tx.outputs.map((o) => concatBytes(u64le(o.amount), varBytes(o.script)))
+  );
+  return dsha256(
+    concatBytes(
+      u32le(tx.version),
+      dsha256(prevouts),
+      dsha256(sequences),
+      hexToBytes(reverseHex(input.txid)),
+      u32le(input.vout),
+      varBytes(scriptCode),
+      u64le(amount),
+      u32le(input.sequence),
+      dsha256(outputs),
+      u32le(tx.locktime),
+      u32le(SIGHASH_ALL)
+    )
+  );
+}
+
+/* === PSBT === */
+
+/**
+ * New PSBT spending segwit v0 script outputs.
+ * @param {{ txid: string, vout: number, amount: bigint,
+ *           witnessScript: Uint8Array }[]} inputs
+ * @param {{ script: Uint8Array, amount: bigint }[]} outputs
+ */
+export function createPsbt(inputs, outputs) {
+  return {
+    tx: {
+      version: 2,
+      inputs: inputs.map(({ txid, vout }) => ({
+        txid,
+        vout,
+        sequence: SEQUENCE,
+      })),
+      outputs: outputs.map(({ script, amount }) => ({ script, amount })),
+      locktime: 0,
+    },
+    inputs: inputs.map(({ amount, witnessScript }) => ({
+      witnessUtxo: {
+        amount,
+        script: concatBytes(Uint8Array.of(0x00, 0x20), sha256(witnessScript)),
+      },
+      witnessScript,
+      partialSigs: {},
+      finalWitness: null,
+      unknown: [],
+    })),
+    outputs: outputs.map(() => ({ unknown: [] })),
+    unknown: [],
+  };
+}
+
+function readMap(r) {
+  const entries = [];
+  for (;;) {
+    const key = r.varBytes();
+    if (key.length === 0) return entries;
+    entries.push([Uint8Array.from(key), Uint8Array.from(r.varBytes())]);
+  }
+}
+
+/** Parses a base64 (or hex) PSBT. */
+export function decodePsbt(text) {
+  const trimmed = (text || "").trim();
+  let bytes;
+  try {
+    bytes = /^[0-9a-f]+$/i.test(trimmed)
+      ? hexToBytes(trimmed)
+      : base64.decode(trimmed);
+  } catch {
+    throw new PsbtError("Not a PSBT: paste it as base64 or hex.");
+  }
+  if (bytes.length < 5 || bytesToHex(bytes.subarray(0, 5)) !== "70736274ff") {
+    throw new PsbtError("Not a PSBT: the magic bytes are missing.");
+  }
+  const r = reader(bytes.subarray(5));
+
+  const psbt = { tx: null, inputs: [], outputs: [], unknown: [] };
+  for (const [key, value] of readMap(r)) {
+    if (key[0] === GLOBAL_UNSIGNED_TX && key.length === 1) {
+      psbt.tx = parseUnsignedTx(value);
+    } else {
+      psbt.unknown.push([key, value]);
+    }
+  }
+  if (!psbt.tx) throw new PsbtError("The PSBT has no unsigned transaction.");
+
+  for (let i = 0; i < psbt.tx.inputs.length; i++) {
+    const input = {
+      witnessUtxo: null,
+      witnessScript: null,
+      partialSigs: {},
+      finalWitness: null,
+      unknown: [],
+    };
+    for (const [key, value] of readMap(r)) {
+      if (key[0] === IN_WITNESS_UTXO && key.length === 1) {
+        const v = reader(value);
+        input.witnessUtxo = {
+          amount: v.u64(),
+          script: Uint8Array.from(v.varBytes()),
+        };
+      } else if (key[0] === IN_PARTIAL_SIG && key.length === 34) {
+        input.partialSigs[bytesToHex(key.subarray(1))] = bytesToHex(value);
+      } else if (key[0] === IN_WITNESS_SCRIPT && key.length === 1) {
+        input.witnessScript = value;
+      } else if (key[0] === IN_FINAL_SCRIPTWITNESS && key.length === 1) {
+        const v = reader(value);
+        const count = v.varint();
+        input.finalWitness = Array.from({ length: count }, () =>
+          Uint8Array.from(v.varBytes())
+        );
+      } else {
+        input.unknown.push([key, value]);
+      }
+    }
+    psbt.inputs.push(input);
+  }
+  for (let i = 0; i < psbt.tx.outputs.length; i++) {
+    psbt.outputs.push({ unknown: readMap(r) });
+  }
+  return psbt;
+}
+
+const SEPARATOR = Uint8Array.of(0x00);
+
+const entry = (key, value) => concatBytes(varBytes(key), varBytes(value));
+
+/** Serializes a PSBT to base64. */
+export function encodePsbt(psbt) {
+  const parts = [
+    MAGIC,
+    entry(Uint8Array.of(GLOBAL_UNSIGNED_TX), serializeTx(psbt.tx)),
+    ...psbt.unknown.map(([k, v]) => entry(k, v)),
+    SEPARATOR,
+  ];
+  for (const input of psbt.inputs) {
+    if (input.witnessUtxo) {
+      parts.push(
+        entry(
+          Uint8Array.of(IN_WITNESS_UTXO),
+          concatBytes(
+            u64le(input.witnessUtxo.amount),
+            varBytes(input.witnessUtxo.script)
+          )
+        )
+      );
+    }
+    for (const [pubkey, sig] of Object.entries(input.partialSigs)) {
+      parts.push(
+        entry(
+          concatBytes(Uint8Array.of(IN_PARTIAL_SIG), hexToBytes(pubkey)),
+          hexToBytes(sig)
+        )
+      );
+    }
+    if (input.witnessScript) {
+      parts.push(entry(Uint8Array.of(IN_WITNESS_SCRIPT), input.witnessScript));
+    }
+    if (input.finalWitness) {
+      parts.push(
+        entry(
+          Uint8Array.of(IN_FINAL_SCRIPTWITNESS),
+          concatBytes(
+            varint(input.finalWitness.length),
+            ...input.finalWitness.map(varBytes)
+          )
+        )
+      );
+    }
+    parts.push(...input.unknown.map(([k, v]) => entry(k, v)), SEPARATOR);
+  }
+  for (const output of psbt.outputs) {
+    parts.push(...output.unknown.map(([k, v]) => entry(k, v)), SEPARATOR);
+  }
+  return base64.encode(concatBytes(...parts));
+}
+
+/** Sighash of an input, from the data carried in the PSBT. */
+export function inputSighash(psbt, index) {
+  const input = psbt.inputs[index];
+  if (!input.witnessUtxo || !input.witnessScript) {
+    throw new PsbtError(`Input ${index} lacks its witness UTXO or script.`);
+  }
+  return witnessSighash(
+    psbt.tx,
+    index,
+    input.witnessScript,
+    input.witnessUtxo.amount
+  );
+}
+
+/** Whether a partial signature is a valid SIGHASH_ALL signature by `pubkey`. */
+export function isValidPartialSig(psbt, index, pubkey, sig) {
+  const bytes = hexToBytes(sig);
+  if (bytes[bytes.length - 1] !== SIGHASH_ALL) return false;
+  try {
+    const signature = secp256k1.Signature.fromDER(bytes.subarray(0, -1));
+    return secp256k1.verify(signature, inputSighash(psbt, index), pubkey);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Signs one input with a private key (hex or bytes). Wallets do this for
+ * real users; here it serves scripts and tests that hold throwaway keys.
+ */
+export function signPsbtInput(psbt, index, privateKey) {
+  const pubkey = bytesToHex(secp256k1.getPublicKey(privateKey, true));
+  const sig = secp256k1.sign(inputSighash(psbt, index), privateKey);
+  const inputs = psbt.inputs.map((input, i) =>
+    i === index
+      ? {
+          ...input,
+          partialSigs: {
+            ...input.partialSigs,
+            [pubkey]: bytesToHex(sig.toDERRawBytes()) + "01",
+          },
+        }
+      : input
+  );
+  return { ...psbt, inputs };
+}
+
+/**
+ * Merges the signatures of `other` into `base`. Both must spend the same
+ * unsigned transaction.
+ */
+export function combinePsbts(base, other) {
+  if (txidOf(base.tx) !== txidOf(other.tx)) {
+    throw new PsbtError(
+      "This PSBT pays out a different transaction than the one on the escrow."
+    );
+  }
+  const inputs = base.inputs.map((input, i) => ({
+    ...input,
+    partialSigs: { ...input.partialSigs, ...other.inputs[i].partialSigs },
+    finalWitness: input.finalWitness || other.inputs[i].finalWitness,
+  }));
+  return { ...base, inputs };
+}
+
+/** The signed transaction (hex) and its txid, once every input is final. */
+export function extractTransaction(psbt) {
+  if (psbt.inputs.some((input) => !input.finalWitness)) {
+    throw new PsbtError("Not every input of the PSBT is signed yet.");
+  }
+  const witnesses = psbt.inputs.map((input) => input.finalWitness);
+  return {
+    hex: bytesToHex(serializeTx(psbt.tx, witnesses)),
+    txid: txidOf(psbt.tx),
+  };
+}
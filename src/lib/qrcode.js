@@ -0,0 +1,368 @@
+// src/lib/qrcode.js
+
+/**
+ * QR code encoder (ISO/IEC 18004), enough for payment URIs and links.
+ *
+ * Byte mode, error correction level M, versions 1–10 (up to 213 bytes of
+ * UTF-8). encodeQr() returns the module matrix; rendering is up to the
+ * caller (the app draws it as SVG). Follows the structure of Project
+ * Nayuki's reference encoder: function patterns first, then the zigzag
+ * codeword placement, then the mask with the lowest penalty.
+ */
+
+/* === Errors === */
+export class QrError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "QrError";
+    this.code = "escrow/qr-too-long";
+  }
+}
+
+// version => [ec codewords per block, [blocks, data codewords per block]...]
+const LEVEL_M_BLOCKS = {
+  1: [10, [1, 16]],
+  2: [16, [1, 28]],
+  3: [26, [1, 44]],
+  4: [18, [2, 32]],
+  5: [24, [2, 43]],
+  6: [16, [4, 27]],
+  7: [18, [4, 31]],
+  8: [22, [2, 38], [2, 39]],
+  9: [22, [3, 36], [2, 37]],
+  10: [26, [4, 43], [1, 44]],
+};
+
+const ALIGNMENT_POSITIONS = {
+  1: [],
+  2: [6, 18],
+  3: [6, 22],
+  4: [6, 26],
+  5: [6, 30],
+  6: [6, 34],
+  7: [6, 22, 38],
+  8: [6, 24, 42],
+  9: [6, 26, 46],
+  10: [6, 28, 50],
+};
+
+// Format bits of level M (00) are 0; only the mask number varies
+const LEVEL_M_FORMAT = 0;
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+const bit = (value, i) => ((value >>> i) & 1) !== 0;
+
+const dataCapacity = (version) =>
+  LEVEL_M_BLOCKS[version]
+    .slice(1)
+    .reduce((sum, [blocks, size]) => sum + blocks * size, 0);
+
+/**
+ * @param {string} text
+ * @returns {{ version: number, mask: number, size: number,
+ *             modules: boolean[][] }}  modules[y][x], true = dark
+ */
+export function encodeQr(text) {
+  const bytes = new TextEncoder().encode(text);
+  const version = Object.keys(LEVEL_M_BLOCKS)
+    .map(Number)
+    .find(
+      (v) => 4 + (v < 10 ? 8 : 16) + bytes.length * 8 <= dataCapacity(v) * 8
+    );
+  if (!version) {
+    throw new QrError(`Text too long for a QR code (${bytes.length} bytes).`);
+  }
+
+  const codewords = addErrorCorrection(encodeData(bytes, version), version);
+  const qr = createMatrix(version);
+  drawFunctionPatterns(qr);
+  drawCodewords(qr, codewords);
+
+  let best = null;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    applyMask(qr, mask);
+    drawFormatBits(qr, mask);
+    const score = penalty(qr.modules);
+    if (!best || score < best.score) best = { mask, score };
+    applyMask(qr, mask); // XOR again to undo
+  }
+  applyMask(qr, best.mask);
+  drawFormatBits(qr, best.mask);
+
+  return { version, mask: best.mask, size: qr.size, modules: qr.modules };
+}
+
+/* === Data and error correction === */
+
+function encodeData(bytes, version) {
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push(bit(value, i) ? 1 : 0);
+  };
+  push(0b0100, 4); // byte mode
+  push(bytes.length, version < 10 ? 8 : 16);
+  for (const b of bytes) push(b, 8);
+
+  const capacityBits = dataCapacity(version) * 8;
+  push(0, Math.min(4, capacityBits - bits.length)); // terminator
+  push(0, (8 - (bits.length % 8)) % 8);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(bits.slice(i, i + 8).reduce((acc, b) => (acc << 1) | b, 0));
+  }
+  for (let pad = 0xec; data.length < capacityBits / 8; pad ^= 0xec ^ 0x11) {
+    data.push(pad);
+  }
+  return data;
+}
+
+function addErrorCorrection(data, version) {
+  const [ecLength, ...groups] = LEVEL_M_BLOCKS[version];
+  const divisor = rsDivisor(ecLength);
+  const blocks = [];
+  let offset = 0;
+  for (const [count, size] of groups) {
+    for (let i = 0; i < count; i++) {
+      const block = data.slice(offset, offset + size);
+      offset += size;
+      blocks.push({ data: block, ec: rsRemainder(block, divisor) });
+    }
+  }
+
+  // Interleave: the i-th data codeword of every block, then the EC codewords
+  const result = [];
+  const longest = Math.max(...blocks.map((b) => b.data.length));
+  for (let i = 0; i < longest; i++) {
+    for (const b of blocks) if (i < b.data.length) result.push(b.data[i]);
+  }
+  for (let i = 0; i < ecLength; i++) {
+    for (const b of blocks) result.push(b.ec[i]);
+  }
+  return result;
+}
+
+// Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= gfMultiply(coef, factor);
+    });
+  }
+  return result;
+}
+
+/* === Matrix === */
+
+function createMatrix(version) {
+  const size = version * 4 + 17;
+  const grid = () =>
+    Array.from({ length: size }, () => new Array(size).fill(false));
+  return { version, size, modules: grid(), isFunction: grid() };
+}
+
+function setFunction(qr, x, y, dark) {
+  qr.modules[y][x] = dark;
+  qr.isFunction[y][x] = true;
+}
+
+function drawFunctionPatterns(qr) {
+  const { size, version } = qr;
+  for (let i = 0; i < size; i++) {
+    setFunction(qr, 6, i, i % 2 === 0);
+    setFunction(qr, i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their separators
+  for (const [cx, cy] of [
+    [3, 3],
+    [size - 4, 3],
+    [3, size - 4],
+  ]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || x >= size || y < 0 || y >= size) continue;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        setFunction(qr, x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+
+  const positions = ALIGNMENT_POSITIONS[version];
+  const last = positions.length - 1;
+  positions.forEach((cx, i) =>
+    positions.forEach((cy, j) => {
+      // Skip the three corners taken by finder patterns
+      if (
+        (i === 0 && j === 0) ||
+        (i === 0 && j === last) ||
+        (i === last && j === 0)
+      ) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          setFunction(qr, cx + dx, cy + dy, dist !== 1);
+        }
+      }
+    })
+  );
+
+  drawFormatBits(qr, 0); // reserves the area; redrawn once the mask is chosen
+
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(qr, a, b, bit(bits, i));
+      setFunction(qr, b, a, bit(bits, i));
+    }
+  }
+}
+
+function drawFormatBits(qr, mask) {
+  const { size } = qr;
+  const data = (LEVEL_M_FORMAT << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+
+  for (let i = 0; i <= 5; i++) setFunction(qr, 8, i, bit(bits, i));
+  setFunction(qr, 8, 7, bit(bits, 6));
+  setFunction(qr, 8, 8, bit(bits, 7));
+  setFunction(qr, 7, 8, bit(bits, 8));
+  for (let i = 9; i < 15; i++) setFunction(qr, 14 - i, 8, bit(bits, i));
+
+  for (let i = 0; i < 8; i++) setFunction(qr, size - 1 - i, 8, bit(bits, i));
+  for (let i = 8; i < 15; i++) setFunction(qr, 8, size - 15 + i, bit(bits, i));
+  setFunction(qr, 8, size - 8, true); // dark module
+}
+
+function drawCodewords(qr, codewords) {
+  const { size } = qr;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // skip the vertical timing pattern
+    const upward = ((right + 1) & 2) === 0;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const y = upward ? size - 1 - vert : vert;
+        if (!qr.isFunction[y][x] && i < codewords.length * 8) {
+          qr.modules[y][x] = bit(codewords[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+}
+
+function applyMask(qr, mask) {
+  const test = MASKS[mask];
+  for (let y = 0; y < qr.size; y++) {
+    for (let x = 0; x < qr.size; x++) {
+      if (!qr.isFunction[y][x] && test(x, y)) {
+        qr.modules[y][x] = !qr.modules[y][x];
+      }
+    }
+  }
+}
+
+/* === Mask penalty (ISO/IEC 18004 section 7.8.3) === */
+
+const FINDER_LIKE = [
+  [true, false, true, true, true, false, true, false, false, false, false],
+  [false, false, false, false, true, false, true, true, true, false, true],
+];
+
+function penalty(modules) {
+  const size = modules.length;
+  const lines = [
+    ...modules,
+    ...modules.map((_, x) => modules.map((row) => row[x])),
+  ];
+  let score = 0;
+
+  for (const line of lines) {
+    // Runs of five or more modules of one colour
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) score += run - 2;
+        run = 1;
+      }
+    }
+    // Finder-like 1:1:3:1:1 patterns next to four light modules
+    for (let i = 0; i + 11 <= size; i++) {
+      if (FINDER_LIKE.some((p) => p.every((v, k) => line[i + k] === v))) {
+        score += 40;
+      }
+    }
+  }
+
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      // 2x2 blocks of one colour
+      if (
+        x + 1 < size &&
+        y + 1 < size &&
+        modules[y][x] === modules[y][x + 1] &&
+        modules[y][x] === modules[y + 1][x] &&
+        modules[y][x] === modules[y + 1][x + 1]
+      ) {
+        score += 3;
+      }
+    }
+  }
+
+  // Balance of dark and light modules
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
+}
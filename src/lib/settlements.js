@@ -0,0 +1,118 @@
+// src/lib/settlements.js
+import { formatAmount, parseAmount, toBaseUnits } from "./amounts.js";
+import { confirmationsRequired, summarizeDeposits } from "./deposits.js";
+import { amountDue, feeOf } from "./fees.js";
+import { releasedAmount } from "./milestones.js";
+
+/**
+ * Settlement allocations.
+ *
+ * When an escrow is settled other than by a plain release or refund, the
+ * transaction stores how the funded amount is divided:
+ *   allocation: { seller, buyer, fee, total }   (base-unit strings)
+ * The three shares always add up to `total`: the amount actually funded,
+ * less anything already released through approved milestones. `fee` is the
+ * platform's share (see fees.js).
+ */
+
+export const ALLOCATION_SHARES = ["seller", "buyer", "fee"];
+
+/* === Errors === */
+export class AllocationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AllocationError";
+    this.code = "escrow/invalid-allocation";
+  }
+}
+
+/**
+ * Amount held for the escrow: confirmed on-chain deposits when the deposit
+ * watcher has recorded any, otherwise the amount due (amount + buyer's fee).
+ * @returns {bigint}
+ */
+export function fundedAmount(tx) {
+  if (typeof tx.amount !== "string") {
+    throw new AllocationError(
+      "This escrow predates exact amounts and cannot be split."
+    );
+  }
+  if (tx.deposits?.length) {
+    const { confirmed } = summarizeDeposits(
+      tx.deposits,
+      confirmationsRequired(tx.currency)
+    );
+    if (confirmed > 0n) return confirmed;
+  }
+  return amountDue(tx);
+}
+
+/** Funded amount still held in escrow. @returns {bigint} */
+export const heldAmount = (tx) => fundedAmount(tx) - releasedAmount(tx);
+
+/**
+ * Builds an allocation from decimal inputs ({ seller, buyer, fee }; blank
+ * means zero) and checks it adds up to the amount held.
+ */
+export function allocate(tx, shares) {
+  const total = heldAmount(tx);
+  const units = {};
+  for (const key of ALLOCATION_SHARES) {
+    const input = String(shares[key] ?? "").trim();
+    // parseAmount rejects zero, which is a perfectly good share here
+    units[key] = /^0*\.?0*$/.test(input)
+      ? 0n
+      : BigInt(parseAmount(input, tx.currency));
+  }
+  const diff = units.seller + units.buyer + units.fee - total;
+  if (diff !== 0n) {
+    throw new AllocationError(
+      `Allocation must add up to the ${formatAmount(
+        total,
+        tx.currency
+      )} ${tx.currency} held (${diff > 0n ? "over" : "short"} by ${formatAmount(
+        diff > 0n ? diff : -diff,
+        tx.currency
+      )}).`
+    );
+  }
+  return {
+    seller: units.seller.toString(),
+    buyer: units.buyer.toString(),
+    fee: units.fee.toString(),
+    total: total.toString(),
+  };
+}
+
+/**
+ * Fee still to be collected from the amount held; milestones already
+ * released have paid their share pro rata. @returns {bigint}
+ */
+export function outstandingFee(tx) {
+  const fee = toBaseUnits(feeOf(tx).total);
+  if (fee === 0n) return 0n;
+  return fee - (fee * releasedAmount(tx)) / toBaseUnits(tx.amount);
+}
+
+/**
+ * Everything to one side ("seller" or "buyer"). A release pays the seller
+ * net of the fee; a refund returns everything, fee included.
+ */
+export function allocateAll(tx, side) {
+  const total = heldAmount(tx);
+  const fee = side === "seller" ? outstandingFee(tx) : 0n;
+  const kept = fee < total ? fee : total;
+  return {
+    seller: side === "seller" ? (total - kept).toString() : "0",
+    buyer: side === "buyer" ? total.toString() : "0",
+    fee: kept.toString(),
+    total: total.toString(),
+  };
+}
+
+/** One-line summary, e.g. "seller 0.5 BTC, buyer 0.49 BTC, fee 0.01 BTC". */
+export function describeAllocation(allocation, currency) {
+  return ALLOCATION_SHARES.filter((key) => allocation[key] !== "0")
+    .map((key) => `${key} ${formatAmount(allocation[key], currency)} ${currency}`)
+    .join(", ");
+}
@@ -0,0 +1,61 @@
+// src/lib/tokens.js
+import { CURRENCIES, networkOf } from "./currencies.js";
+
+/**
+ * ERC-20 stablecoin escrows (USDT, USDC on Ethereum).
+ *
+ * A token escrow uses the token's symbol as its currency and records the
+ * token contract it is paid in, with its decimals, when it is created:
+ *   currency: "USDT", decimals: 6, token: { contract, decimals }
+ * Everything else happens on Ethereum. The deposit address is an ETH
+ * address derived from the ETH key, sharing the ETH index counter so no
+ * address ever serves two escrows; deposits are Transfer events of the
+ * token to it; payouts are transfer() calls sent from it, their gas paid in
+ * ETH, so the escrow wallet needs a little ETH besides the tokens.
+ *
+ * Tokens are the registry entries with a `token` (lib/currencies).
+ */
+
+export const TOKENS = Object.fromEntries(
+  Object.values(CURRENCIES)
+    .filter((c) => c.token)
+    .map((c) => [
+      c.symbol,
+      {
+        name: c.name,
+        chain: c.network,
+        contract: c.token.contract,
+        decimals: c.decimals,
+      },
+    ])
+);
+
+export const TOKEN_CURRENCIES = Object.keys(TOKENS);
+
+export const isToken = (currency) => Object.hasOwn(TOKENS, currency ?? "");
+
+/** The chain a currency lives on: a token's chain, else the coin itself. */
+export const chainOf = networkOf;
+
+// keccak256("Transfer(address,address,uint256)")
+export const TRANSFER_TOPIC =
+  "0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef";
+
+/**
+ * The contract a token is paid in: the registry's mainnet contract unless
+ * `overrides` (by symbol, from config) names another; null for coins. The
+ * contract recorded on an escrow is its creator's word, so deposits,
+ * payment links and payouts go by this one instead.
+ */
+export function tokenContract(currency, overrides = {}) {
+  if (!isToken(currency)) return null;
+  return overrides[currency] || TOKENS[currency].contract;
+}
+
+/**
+ * The `token` field of a new escrow. `contract` replaces the mainnet
+ * contract, e.g. with a test token on a dev chain.
+ */
+export function tokenRecord(currency, contract = TOKENS[currency].contract) {
+  return { contract, decimals: TOKENS[currency].decimals };
+}
@@ -0,0 +1,121 @@
+// src/services/escrow.js
+import { db, functions } from "../firebase";
+import {
+  collection,
+  doc,
+  runTransaction,
+  serverTimestamp,
+} from "firebase/firestore";
+import { httpsCallable } from "firebase/functions";
+import {
+  assertTransition,
+  TransitionError,
+} from "../lib/escrowStateMachine";
+import { rateSnapshotUpdate } from "../lib/prices";
+import { currentRates } from "./prices";
+
+/**
+ * Applies an escrow state-machine transition atomically.
+ *
+ * The current status is re-read inside a Firestore transaction, so a stale
+ * tab cannot act on an escrow that has moved on in the meantime. The status
+ * change and its audit entry are committed together. Transitions into a
+ * funded or final status also record the latest fiat rates (lib/prices).
+ *
+ * @param {string} txId
+ * @param {string} action key of TRANSITIONS
+ * @param {{ uid: string, isAdmin: boolean, isArbiter: boolean }} actor
+ * @param {object} [opts]
+ * @param {object|function} [opts.updates] extra fields, or (tx) => fields
+ * @param {object} [opts.meta] extra audit metadata
+ * @returns {Promise<object>} the transaction data after the update
+ */
+export async function applyTransition(txId, action, actor, opts = {}) {
+  const { updates = {}, meta = {} } = opts;
+  const txRef = doc(db, "transactions", txId);
+
+  return runTransaction(db, async (t) => {
+    const snap = await t.get(txRef);
+    if (!snap.exists()) {
+      throw new TransitionError(
+        `Transition not allowed: transaction ${txId} does not exist.`,
+        { action }
+      );
+    }
+    const tx = snap.data();
+    const def = assertTransition(tx, action, actor);
+    const to = def.to ?? tx.status;
+
+    const patch = {
+      ...def.set,
+      ...(typeof updates === "function" ? updates(tx) : updates),
+      ...rateSnapshotUpdate(tx, to, currentRates()),
+      status: to,
+    };
+    // Stage deadlines run from statusUpdatedAt; in-place actions keep it
+    if (def.to) patch.statusUpdatedAt = serverTimestamp();
+    t.update(txRef, patch);
+    t.set(doc(collection(db, "transactions", txId, "audit")), {
+      actor: actor.uid,
+      action: def.audit,
+      meta: { from: tx.status, to, ...meta },
+      createdAt: serverTimestamp(),
+    });
+
+    return { ...tx, ...patch };
+  });
+}
+
+/**
+ * Permanently deletes a transaction with its audit trail and messages
+ * (admins only, enforced by the deleteTransaction function, which keeps a
+ * copy in adminAudit).
+ */
+export async function deleteTransaction(txId, reason) {
+  const call = httpsCallable(functions, "deleteTransaction");
+  const { data } = await call({ txId, reason });
+  return data;
+}
+
+/**
+ * Issues a fresh invite link for an escrow awaiting an unregistered invitee
+ * (creator only) and emails it when the server has a mail transport.
+ * @returns {Promise<{ link: string, emailed: boolean }>}
+ */
+export async function sendInvite(txId) {
+  const call = httpsCallable(functions, "sendInvite");
+  const { data } = await call({ txId });
+  return data;
+}
+
+/**
+ * Proposes the payout of a multisig escrow; the server builds the PSBT
+ * (functions/multisigPayouts.js).
+ * @returns {Promise<{ psbt: string, txid: string }>}
+ */
+export async function proposeMultisigPayout(txId, feeRate) {
+  const call = httpsCallable(functions, "proposeMultisigPayout");
+  const { data } = await call({ txId, feeRate });
+  return data;
+}
+
+/**
+ * Adds the caller's signatures from a PSBT signed in their wallet.
+ * @returns {Promise<{ signedBy: string[], finalTx: string|null,
+ *                     finalTxid: string|null }>}
+ */
+export async function signMultisigPayout(txId, psbt) {
+  const call = httpsCallable(functions, "signMultisigPayout");
+  const { data } = await call({ txId, psbt });
+  return data;
+}
+
+/**
+ * Binds the invite behind `token` to the signed-in user.
+ * @returns {Promise<{ txId: string }>}
+ */
+export async function claimInvite(token) {
+  const call = httpsCallable(functions, "claimInvite");
+  const { data } = await call({ token });
+  return data;
+}
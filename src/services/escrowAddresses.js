@@ -0,0 +1,62 @@
+// src/services/escrowAddresses.js
+import { db } from "../firebase";
+import { doc } from "firebase/firestore";
+import { verifyEscrowAddress as verifyWithKeys } from "../lib/custody";
+import { deriveEscrowAddress } from "../lib/escrowAddresses";
+import { NETWORKS } from "../lib/currencies";
+import { TOKENS, chainOf } from "../lib/tokens";
+
+/**
+ * Escrow account keys, one extended public key per network of the currency
+ * registry (VITE_ESCROW_XPUB_<network>); token escrows use their chain's
+ * key. Configure them in .env (see .env.example).
+ */
+export const ESCROW_XPUBS = Object.fromEntries(
+  NETWORKS.map((network) => [
+    network,
+    import.meta.env[`VITE_ESCROW_XPUB_${network}`],
+  ])
+);
+
+/**
+ * Token contracts token escrows are paid in: the registry's mainnet
+ * contracts unless overridden (VITE_TOKEN_CONTRACT_<symbol>), e.g. with
+ * test tokens on a dev chain. Deposit instructions and payouts use these,
+ * not the contract an escrow records (lib/tokens).
+ */
+export const TOKEN_CONTRACTS = Object.fromEntries(
+  Object.entries(TOKENS).map(([symbol, { contract }]) => [
+    symbol,
+    import.meta.env[`VITE_TOKEN_CONTRACT_${symbol}`] || contract,
+  ])
+);
+
+/**
+ * Reserves the next derivation index for a currency and derives its address.
+ * Must run inside a Firestore transaction (`t`) together with the write that
+ * stores the address, so two escrows can never share an index.
+ *
+ * Counters live in escrowAddressIndex/{chain} as { next }; ETH and the
+ * tokens on it share one.
+ */
+export async function allocateEscrowAddress(t, currency) {
+  const chain = chainOf(currency);
+  const counterRef = doc(db, "escrowAddressIndex", chain);
+  const snap = await t.get(counterRef);
+  const index = snap.exists() ? snap.data().next : 0;
+  const { address, path, publicKey } = deriveEscrowAddress(
+    chain,
+    ESCROW_XPUBS[chain],
+    index
+  );
+  t.set(counterRef, { next: index + 1 });
+  return { address, index, path, publicKey };
+}
+
+/**
+ * Re-derives an escrow's address from the configured keys to check the
+ * stored one was not tampered with (lib/custody); null when it cannot be
+ * checked here. The deposit watcher makes the same check with the server's
+ * keys and flags a mismatch as escrowAddressMismatch.
+ */
+export const verifyEscrowAddress = (tx) => verifyWithKeys(tx, ESCROW_XPUBS);
@@ -0,0 +1,131 @@
+// src/services/ethContract.js
+import {
+  CONTRACT_VIEWS,
+  ContractError,
+  createEscrowCall,
+  decodeView,
+  encodeCall,
+  escrowFromReceipt,
+} from "../lib/ethContract";
+
+/**
+ * Talks to escrow contracts (lib/ethContract) from the browser. Calls are
+ * signed in the user's own wallet (EIP-1193, window.ethereum); reads go to
+ * VITE_ETH_RPC_URL when set, otherwise through the wallet as well.
+ */
+
+/** Factory deploying the platform's escrow contracts (see .env.example). */
+export const ETH_ESCROW_FACTORY = import.meta.env.VITE_ETH_ESCROW_FACTORY;
+const ETH_RPC_URL = import.meta.env.VITE_ETH_RPC_URL;
+
+const RECEIPT_POLL_MS = 2000;
+const RECEIPT_ATTEMPTS = 90;
+
+async function read(method, params) {
+  if (ETH_RPC_URL) {
+    const res = await fetch(ETH_RPC_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 1, method, params }),
+    });
+    const body = await res.json();
+    if (body.error) throw new ContractError(body.error.message);
+    return body.result;
+  }
+  if (window.ethereum) return window.ethereum.request({ method, params });
+  throw new ContractError(
+    "Connect an Ethereum wallet to read the escrow contract."
+  );
+}
+
+const call = (to, signature, args) =>
+  read("eth_call", [{ to, data: encodeCall(signature, args) }, "latest"]);
+
+/** Asks the wallet for its active account. */
+export async function connectWallet() {
+  if (!window.ethereum) {
+    throw new ContractError(
+      "An Ethereum wallet (e.g. a browser extension) is needed to sign contract calls."
+    );
+  }
+  const [account] = await window.ethereum.request({
+    method: "eth_requestAccounts",
+  });
+  return account;
+}
+
+async function waitForReceipt(hash) {
+  for (let i = 0; i < RECEIPT_ATTEMPTS; i++) {
+    const receipt = await read("eth_getTransactionReceipt", [hash]);
+    if (receipt) {
+      if (receipt.status !== "0x1") {
+        throw new ContractError(`Contract call ${hash} reverted.`);
+      }
+      return receipt;
+    }
+    await new Promise((resolve) => setTimeout(resolve, RECEIPT_POLL_MS));
+  }
+  throw new ContractError(
+    `Contract call ${hash} is not mined yet; check it in your wallet.`
+  );
+}
+
+/**
+ * Sends a call from the user's wallet and waits until it is mined.
+ * @param {{ to: string, data: string, from?: string }} call  `from` is the
+ *   address that has to sign (the buyer's for release())
+ * @returns {Promise<object>} the receipt
+ */
+export async function sendContractCall({ to, data, from }) {
+  const account = await connectWallet();
+  if (from && account.toLowerCase() !== from.toLowerCase()) {
+    throw new ContractError(`Switch your wallet to ${from} to sign this.`);
+  }
+  const hash = await window.ethereum.request({
+    method: "eth_sendTransaction",
+    params: [{ from: account, to, data }],
+  });
+  return waitForReceipt(hash);
+}
+
+/**
+ * Terms, state and balance of an escrow contract, plus whether the
+ * platform's factory created it.
+ */
+export async function readEscrowContract(address) {
+  const code = await read("eth_getCode", [address, "latest"]);
+  if (!code || code === "0x") {
+    throw new ContractError(`There is no contract at ${address}.`);
+  }
+  const onchain = {};
+  for (const name of Object.keys(CONTRACT_VIEWS)) {
+    onchain[name] = decodeView(name, await call(address, `${name}()`));
+  }
+  onchain.balance = BigInt(await read("eth_getBalance", [address, "latest"]));
+  onchain.genuine =
+    !!ETH_ESCROW_FACTORY &&
+    onchain.factory.toLowerCase() === ETH_ESCROW_FACTORY.toLowerCase() &&
+    BigInt(await call(ETH_ESCROW_FACTORY, "isEscrow(address)", [address])) ===
+      1n;
+  return onchain;
+}
+
+/**
+ * Deploys an instance for the escrow through the factory, from the
+ * creator's wallet. @returns {Promise<{ address, deployTx }>}
+ */
+export async function deployEscrowContract(terms, txId) {
+  if (!ETH_ESCROW_FACTORY) {
+    throw new ContractError(
+      "No escrow contract factory is configured (VITE_ETH_ESCROW_FACTORY)."
+    );
+  }
+  const receipt = await sendContractCall({
+    to: ETH_ESCROW_FACTORY,
+    data: createEscrowCall(terms, txId),
+  });
+  return {
+    address: escrowFromReceipt(receipt, ETH_ESCROW_FACTORY),
+    deployTx: receipt.transactionHash,
+  };
+}
@@ -0,0 +1,68 @@
+// src/services/messages.js
+import { db } from "../firebase";
+import {
+  addDoc,
+  collection,
+  getCountFromServer,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+} from "firebase/firestore";
+
+/**
+ * Per-transaction message thread: transactions/{txId}/messages.
+ *
+ * Messages are append-only (see firestore.rules) so the thread doubles as
+ * the evidence record when an escrow goes under review. Participants and
+ * staff can read and post.
+ */
+
+export const MAX_MESSAGE_LENGTH = 2000;
+
+// Notification type used for "new message" alerts, so opening a thread can
+// clear just those
+export const MESSAGE_NOTIFICATION = "message";
+
+/** Subscribes to a thread in chronological order. Returns the unsubscribe. */
+export function subscribeToMessages(txId, onChange, onError) {
+  const q = query(
+    collection(db, "transactions", txId, "messages"),
+    orderBy("createdAt", "asc")
+  );
+  return onSnapshot(
+    q,
+    (snapshot) =>
+      onChange(snapshot.docs.map((d) => ({ id: d.id, ...d.data() }))),
+    onError
+  );
+}
+
+/**
+ * Posts a message.
+ * @param {string} txId
+ * @param {{ uid: string, role: string }} sender role shown next to the
+ *   message: "buyer", "seller", "admin" or "arbiter"
+ * @param {string} text
+ */
+export async function sendMessage(txId, sender, text) {
+  const body = (text || "").trim();
+  if (!body) throw new Error("Message is empty.");
+  if (body.length > MAX_MESSAGE_LENGTH) {
+    throw new Error(`Messages are limited to ${MAX_MESSAGE_LENGTH} characters.`);
+  }
+  await addDoc(collection(db, "transactions", txId, "messages"), {
+    sender: sender.uid,
+    senderRole: sender.role,
+    text: body,
+    createdAt: serverTimestamp(),
+  });
+}
+
+/** Number of messages in a thread (recorded when an escrow is reviewed). */
+export async function countMessages(txId) {
+  const snap = await getCountFromServer(
+    collection(db, "transactions", txId, "messages")
+  );
+  return snap.data().count;
+}
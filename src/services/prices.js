@@ -0,0 +1,44 @@
+// src/services/prices.js
+import {
+  createCoinGeckoProvider,
+  createStaticPriceProvider,
+} from "../lib/prices";
+
+/**
+ * Price source for the client, chosen with VITE_PRICE_SOURCE:
+ * - "static" (default): public/prices.json, no network calls to third parties
+ * - "coingecko": live rates (VITE_PRICE_API_URL overrides the endpoint)
+ *
+ * The latest rates are cached here so applyTransition can snapshot them.
+ */
+
+let latest = null;
+
+function createProvider() {
+  if (import.meta.env.VITE_PRICE_SOURCE === "coingecko") {
+    return createCoinGeckoProvider({
+      ...(import.meta.env.VITE_PRICE_API_URL && {
+        url: import.meta.env.VITE_PRICE_API_URL,
+      }),
+    });
+  }
+  return {
+    source: "static",
+    async getRates() {
+      const res = await fetch(`${import.meta.env.BASE_URL}prices.json`);
+      if (!res.ok) throw new Error(`prices.json returned ${res.status}`);
+      return createStaticPriceProvider(await res.json()).getRates();
+    },
+  };
+}
+
+const provider = createProvider();
+
+/** Fetches fresh rates and caches them. @returns {Promise<object>} RateTable */
+export async function refreshRates() {
+  latest = await provider.getRates();
+  return latest;
+}
+
+/** Last rates fetched, or null before the first successful refresh. */
+export const currentRates = () => latest;
@@ -0,0 +1,24 @@
+// src/services/roles.js
+import { functions } from "../firebase";
+import { httpsCallable } from "firebase/functions";
+
+/**
+ * Staff roles (admin, arbiter) come from Firebase Auth custom claims set by
+ * the setUserRole Cloud Function — never from the users document.
+ */
+
+export const NO_ROLES = { admin: false, arbiter: false };
+
+/** Reads the role claims from the user's ID token. */
+export async function loadRoleClaims(user, forceRefresh = false) {
+  if (!user) return NO_ROLES;
+  const { claims } = await user.getIdTokenResult(forceRefresh);
+  return { admin: claims.admin === true, arbiter: claims.arbiter === true };
+}
+
+/** Grants or revokes a role (admins only, enforced server-side). */
+export async function setUserRole(uid, role, grant) {
+  const call = httpsCallable(functions, "setUserRole");
+  const { data } = await call({ uid, role, grant });
+  return data;
+}
@@ -0,0 +1,44 @@
+// src/services/users.js
+import { db } from "../firebase";
+import { doc, getDoc, setDoc } from "firebase/firestore";
+
+/**
+ * Public user directory.
+ *
+ * users/{uid} is private to its owner and admins (see firestore.rules), so
+ * other users resolve people through two public collections:
+ * - profiles/{uid}: { username } for display; isAdmin / isArbiter flags are
+ *   mirrored there by the setUserRole function for staff fan-out
+ * - emails/{email}: { uid } for invite lookups (single gets, never listed)
+ */
+
+export const emailKey = (email) => (email || "").trim().toLowerCase();
+
+export async function saveProfileEntry(uid, { username }) {
+  await setDoc(doc(db, "profiles", uid), { username }, { merge: true });
+}
+
+/**
+ * Creates the profile and email index entries for a user if missing
+ * (accounts created before the directory existed get them on next login).
+ */
+export async function ensureDirectoryEntries(uid, { email, username }) {
+  const profileSnap = await getDoc(doc(db, "profiles", uid));
+  if (!profileSnap.exists()) {
+    await saveProfileEntry(uid, { username });
+  }
+  const key = emailKey(email);
+  if (!key) return;
+  const emailSnap = await getDoc(doc(db, "emails", key));
+  if (!emailSnap.exists()) {
+    await setDoc(doc(db, "emails", key), { uid });
+  }
+}
+
+/** Resolves a registered email address to a uid, or null. */
+export async function findUidByEmail(email) {
+  const key = emailKey(email);
+  if (!key) return null;
+  const snap = await getDoc(doc(db, "emails", key));
+  return snap.exists() ? snap.data().uid : null;
+}
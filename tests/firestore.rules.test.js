@@ -0,0 +1,1355 @@
+// tests/firestore.rules.test.js
+//
+// Security rules tests. Run against the local emulator with:
+//   npm run test:rules
+// (wraps `firebase emulators:exec --only firestore "node --test tests/firestore.rules.test.js"`);
+// the unit tests in tests/unit run without it: npm test
+
+import { readFileSync } from "node:fs";
+import { after, before, beforeEach, describe, test } from "node:test";
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment,
+} from "@firebase/rules-unit-testing";
+import {
+  addDoc,
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  serverTimestamp,
+  setDoc,
+  Timestamp,
+  updateDoc,
+  writeBatch,
+} from "firebase/firestore";
+
+const TX_ID = "TX1";
+
+let testEnv;
+
+const baseTx = {
+  creator: "alice",
+  creatorRole: "seller",
+  invited: "bob",
+  invitedRole: "buyer",
+  participants: ["alice", "bob"],
+  amount: "100000000",
+  decimals: 8,
+  currency: "BTC",
+  terms: "One widget",
+  status: "awaiting_confirmation",
+  escrowWallet: "bc1qescrow",
+  escrowIndex: 0,
+  sellerWallet: "bc1qalice",
+  buyerWallet: "bc1qbob",
+  paymentSent: true,
+  paymentReceived: false,
+  goodsReleased: false,
+  buyerApproved: false,
+  completed: false,
+  fee: {
+    payer: "split",
+    percentBps: 100,
+    total: "1000000",
+    buyer: "500000",
+    seller: "500000",
+  },
+};
+
+// Seed data with rules disabled
+const seed = async (fn) =>
+  testEnv.withSecurityRulesDisabled((ctx) => fn(ctx.firestore()));
+
+// Staff roles are custom claims on the auth token
+const CLAIMS = {
+  admin: { admin: true },
+  arbiter: { arbiter: true },
+};
+
+const as = (uid) =>
+  testEnv.authenticatedContext(uid, CLAIMS[uid] || {}).firestore();
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: "crypto-escrow-rules-test",
+    firestore: { rules: readFileSync("firestore.rules", "utf8") },
+  });
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seed(async (db) => {
+    await setDoc(doc(db, "users", "alice"), {
+      email: "alice@example.com",
+      username: "alice",
+      isAdmin: false,
+    });
+    await setDoc(doc(db, "users", "bob"), {
+      email: "bob@example.com",
+      username: "bob",
+      isAdmin: false,
+    });
+    await setDoc(doc(db, "users", "admin"), {
+      email: "admin@example.com",
+      username: "admin",
+      roles: { admin: true, arbiter: false },
+    });
+    // Legacy admin flag from before roles moved to custom claims
+    await setDoc(doc(db, "users", "legacy"), {
+      email: "legacy@example.com",
+      username: "legacy",
+      isAdmin: true,
+    });
+    await setDoc(doc(db, "transactions", TX_ID), baseTx);
+    await setDoc(doc(db, "transactions", TX_ID, "audit", "a1"), {
+      actor: "alice",
+      action: "created_transaction",
+      meta: {},
+    });
+  });
+});
+
+describe("users", () => {
+  test("a user cannot grant themselves admin", async () => {
+    await assertFails(
+      updateDoc(doc(as("alice"), "users", "alice"), { isAdmin: true })
+    );
+  });
+
+  test("a user cannot sign up as admin", async () => {
+    await assertFails(
+      setDoc(doc(as("carol"), "users", "carol"), {
+        email: "carol@example.com",
+        username: "carol",
+        roles: { admin: true },
+      })
+    );
+  });
+
+  test("a user cannot mark themselves as admin in their public profile", async () => {
+    await assertFails(
+      setDoc(doc(as("alice"), "profiles", "alice"), {
+        username: "alice",
+        isAdmin: true,
+      })
+    );
+  });
+
+  test("a legacy isAdmin flag in the users document grants nothing", async () => {
+    await assertFails(getDocs(collection(as("legacy"), "users")));
+    await assertFails(getDoc(doc(as("legacy"), "transactions", TX_ID)));
+  });
+
+  test("a user can edit their own username and wallet", async () => {
+    await assertSucceeds(
+      updateDoc(doc(as("alice"), "users", "alice"), {
+        username: "alice2",
+        wallet: "bc1qnew",
+      })
+    );
+  });
+
+  test("a user can choose their notification settings", async () => {
+    await assertSucceeds(
+      updateDoc(doc(as("alice"), "users", "alice"), {
+        notificationPrefs: {
+          invite: { inApp: true, email: false, delivery: "immediate" },
+          refund: { inApp: false, email: true, delivery: "digest" },
+        },
+      })
+    );
+    await assertFails(
+      updateDoc(doc(as("alice"), "users", "alice"), {
+        notificationPrefs: { everything: { inApp: false } },
+      })
+    );
+    await assertFails(
+      updateDoc(doc(as("alice"), "users", "bob"), {
+        notificationPrefs: { invite: { inApp: false } },
+      })
+    );
+  });
+
+  test("users cannot read each other's private documents", async () => {
+    await assertFails(getDoc(doc(as("alice"), "users", "bob")));
+    await assertFails(getDocs(collection(as("alice"), "users")));
+  });
+
+  test("admins can read every user", async () => {
+    await assertSucceeds(getDocs(collection(as("admin"), "users")));
+  });
+
+  test("the email index cannot be listed", async () => {
+    await assertFails(getDocs(collection(as("alice"), "emails")));
+  });
+});
+
+describe("transactions", () => {
+  test("a stranger cannot read a transaction", async () => {
+    await assertFails(getDoc(doc(as("mallory"), "transactions", TX_ID)));
+  });
+
+  test("participants and admins can read a transaction", async () => {
+    await assertSucceeds(getDoc(doc(as("alice"), "transactions", TX_ID)));
+    await assertSucceeds(getDoc(doc(as("bob"), "transactions", TX_ID)));
+    await assertSucceeds(getDoc(doc(as("admin"), "transactions", TX_ID)));
+  });
+
+  test("a participant cannot confirm payment", async () => {
+    for (const uid of ["alice", "bob"]) {
+      await assertFails(
+        updateDoc(doc(as(uid), "transactions", TX_ID), {
+          paymentReceived: true,
+          status: "payment_received",
+        })
+      );
+    }
+  });
+
+  test("an admin can confirm payment", async () => {
+    await assertSucceeds(
+      updateDoc(doc(as("admin"), "transactions", TX_ID), {
+        paymentReceived: true,
+        status: "payment_received",
+      })
+    );
+  });
+
+  test("an arbiter can put a transaction under review but not confirm payment", async () => {
+    await assertFails(
+      updateDoc(doc(as("arbiter"), "transactions", TX_ID), {
+        paymentReceived: true,
+        status: "payment_received",
+      })
+    );
+    await assertSucceeds(
+      updateDoc(doc(as("arbiter"), "transactions", TX_ID), {
+        status: "under_review",
+      })
+    );
+  });
+
+  test("a participant cannot rewrite the amount", async () => {
+    await assertFails(
+      updateDoc(doc(as("alice"), "transactions", TX_ID), {
+        amount: "10000000000",
+      })
+    );
+  });
+
+  test("only the seller can mark payment sent", async () => {
+    await seed((db) =>
+      updateDoc(doc(db, "transactions", TX_ID), {
+        status: "waiting_payment",
+        paymentSent: false,
+      })
+    );
+    const patch = (by) => ({
+      status: "awaiting_confirmation",
+      paymentSent: true,
+      paymentProof: { txid: "ab".repeat(32), by, at: serverTimestamp() },
+    });
+    await assertFails(
+      updateDoc(doc(as("bob"), "transactions", TX_ID), patch("bob"))
+    );
+    await assertSucceeds(
+      updateDoc(doc(as("alice"), "transactions", TX_ID), patch("alice"))
+    );
+  });
+
+  test("marking payment sent requires a txid in the escrow's format", async () => {
+    await seed((db) =>
+      updateDoc(doc(db, "transactions", TX_ID), {
+        status: "waiting_payment",
+        paymentSent: false,
+      })
+    );
+    const alice = doc(as("alice"), "transactions", TX_ID);
+    const sent = { status: "awaiting_confirmation", paymentSent: true };
+    const proof = { by: "alice", at: serverTimestamp() };
+    await assertFails(updateDoc(alice, sent));
+    await assertFails(
+      updateDoc(alice, {
+        ...sent,
+        paymentProof: { ...proof, txid: "not-a-txid" },
+      })
+    );
+    await assertFails(
+      updateDoc(alice, {
+        ...sent,
+        paymentProof: { ...proof, txid: `0x${"ab".repeat(32)}` },
+      })
+    );
+    await assertSucceeds(
+      updateDoc(alice, {
+        ...sent,
+        paymentProof: {
+          ...proof,
+          txid: "ab".repeat(32),
+          fromAddress: "bc1qalice",
+        },
+      })
+    );
+  });
+
+  test("only the invited party can accept", async () => {
+    await seed((db) =>
+      updateDoc(doc(db, "transactions", TX_ID), {
+        status: "pending_acceptance",
+        paymentSent: false,
+      })
+    );
+    const patch = { status: "waiting_payment", buyerWallet: "bc1qbob2" };
+    await assertFails(
+      updateDoc(doc(as("alice"), "transactions", TX_ID), patch)
+    );
+    await assertSucceeds(
+      updateDoc(doc(as("bob"), "transactions", TX_ID), patch)
+    );
+  });
+
+  test("accepting cannot change the creator's wallet", async () => {
+    await seed((db) =>
+      updateDoc(doc(db, "transactions", TX_ID), {
+        status: "pending_acceptance",
+        paymentSent: false,
+      })
+    );
+    const ref = doc(as("bob"), "transactions", TX_ID);
+    await assertFails(
+      updateDoc(ref, { status: "waiting_payment", sellerWallet: "bc1qbob" })
+    );
+    await assertFails(
+      updateDoc(ref, {
+        status: "waiting_payment",
+        buyerWallet: "bc1qbob2",
+        sellerWallet: "bc1qbob",
+      })
+    );
+    await assertSucceeds(
+      updateDoc(ref, { status: "waiting_payment", buyerWallet: "bc1qbob2" })
+    );
+  });
+
+  test("deadlines cannot be extended by a participant", async () => {
+    await seed((db) =>
+      updateDoc(doc(db, "transactions", TX_ID), {
+        status: "goods_released",
+        goodsReleased: true,
+        deadlines: { acceptanceHours: 72, fundingHours: 72, inspectionHours: 24 },
+      })
+    );
+    await assertFails(
+      updateDoc(doc(as("bob"), "transactions", TX_ID), {
+        "deadlines.inspectionHours": 2000,
+      })
+    );
+  });
+
+  test("the status clock cannot be backdated", async () => {
+    await seed((db) =>
+      updateDoc(doc(db, "transactions", TX_ID), {
+        status: "payment_received",
+        paymentReceived: true,
+      })
+    );
+    const ref = doc(as("alice"), "transactions", TX_ID);
+    const release = { status: "goods_released", goodsReleased: true };
+    await assertFails(
+      updateDoc(ref, {
+        ...release,
+        statusUpdatedAt: Timestamp.fromMillis(Date.now() - 30 * 86400000),
+      })
+    );
+    await assertSucceeds(
+      updateDoc(ref, { ...release, statusUpdatedAt: serverTimestamp() })
+    );
+  });
+
+  test("a transaction cannot be created on behalf of someone else", async () => {
+    await assertFails(
+      setDoc(doc(as("mallory"), "transactions", "TX2"), {
+        ...baseTx,
+        status: "pending_acceptance",
+        paymentSent: false,
+      })
+    );
+  });
+});
+
+describe("disputes", () => {
+  const dispute = (uid, role) => ({
+    category: "not_received",
+    statement: "Nothing arrived",
+    openedBy: uid,
+    openedByRole: role,
+    openedAt: serverTimestamp(),
+    response: null,
+    ruling: null,
+  });
+
+  const seedDispute = (status) =>
+    seed((db) =>
+      updateDoc(doc(db, "transactions", TX_ID), {
+        status,
+        dispute: { ...dispute("bob", "buyer"), openedAt: new Date() },
+      })
+    );
+
+  test("a participant can open a dispute under their own name", async () => {
+    await seed((db) =>
+      updateDoc(doc(db, "transactions", TX_ID), { status: "payment_received" })
+    );
+    await assertFails(
+      updateDoc(doc(as("mallory"), "transactions", TX_ID), {
+        status: "dispute_open",
+        dispute: dispute("mallory", "buyer"),
+      })
+    );
+    await assertFails(
+      updateDoc(doc(as("bob"), "transactions", TX_ID), {
+        status: "dispute_open",
+        dispute: dispute("alice", "seller"),
+      })
+    );
+    await assertSucceeds(
+      updateDoc(doc(as("bob"), "transactions", TX_ID), {
+        status: "dispute_open",
+        dispute: dispute("bob", "buyer"),
+      })
+    );
+  });
+
+  test("only the other party can respond", async () => {
+    await seedDispute("dispute_open");
+    const respond = (uid) =>
+      updateDoc(doc(as(uid), "transactions", TX_ID), {
+        status: "dispute_responded",
+        "dispute.response": {
+          by: uid,
+          statement: "Tracking shows delivered",
+          at: serverTimestamp(),
+        },
+      });
+    await assertFails(respond("bob"));
+    await assertSucceeds(respond("alice"));
+  });
+
+  test("only staff can record a ruling", async () => {
+    await seedDispute("dispute_responded");
+    const rule = (uid) =>
+      updateDoc(doc(as(uid), "transactions", TX_ID), {
+        status: "settled_split",
+        completed: true,
+        "dispute.ruling": {
+          outcome: "split",
+          notes: "",
+          ruledBy: uid,
+          ruledAt: serverTimestamp(),
+        },
+        allocation: {
+          seller: "40000000",
+          buyer: "59000000",
+          fee: "1000000",
+          total: "100000000",
+        },
+      });
+    await assertFails(rule("alice"));
+    await assertSucceeds(rule("arbiter"));
+  });
+});
+
+describe("milestones", () => {
+  const milestone = (index, status) => ({
+    index,
+    description: `Phase ${index + 1}`,
+    amount: "50000000",
+    dueDate: "2030-01-01",
+    status,
+    deliveredAt: null,
+    approvedAt: null,
+  });
+
+  beforeEach(async () => {
+    await seed((db) =>
+      updateDoc(doc(db, "transactions", TX_ID), {
+        status: "payment_received",
+        paymentReceived: true,
+        milestones: { m1: milestone(0, "pending"), m2: milestone(1, "pending") },
+      })
+    );
+  });
+
+  const step = (uid, id, status, stamp, extra = {}) =>
+    updateDoc(doc(as(uid), "transactions", TX_ID), {
+      [`milestones.${id}.status`]: status,
+      [`milestones.${id}.${stamp}`]: serverTimestamp(),
+      lastMilestoneId: id,
+      ...extra,
+    });
+
+  test("the seller delivers and the buyer approves one milestone", async () => {
+    await assertFails(step("bob", "m1", "delivered", "deliveredAt"));
+    await assertSucceeds(step("alice", "m1", "delivered", "deliveredAt"));
+    await assertFails(step("alice", "m1", "approved", "approvedAt"));
+    await assertSucceeds(step("bob", "m1", "approved", "approvedAt"));
+  });
+
+  test("a milestone cannot be approved before delivery", async () => {
+    await assertFails(step("bob", "m2", "approved", "approvedAt"));
+  });
+
+  test("milestone amounts cannot be rewritten along the way", async () => {
+    await assertFails(
+      step("alice", "m1", "delivered", "deliveredAt", {
+        "milestones.m1.amount": "90000000",
+      })
+    );
+  });
+
+  test("milestone escrows cannot be released in one go", async () => {
+    await assertFails(
+      updateDoc(doc(as("alice"), "transactions", TX_ID), {
+        status: "goods_released",
+        goodsReleased: true,
+      })
+    );
+  });
+});
+
+describe("cancellations", () => {
+  const request = (uid, role, extra = {}) =>
+    updateDoc(doc(as(uid), "transactions", TX_ID), {
+      cancellation: {
+        requestedBy: uid,
+        requestedByRole: role,
+        reason: "Changed my mind",
+        atStatus: "awaiting_confirmation",
+        requestedAt: serverTimestamp(),
+        response: null,
+        ...extra,
+      },
+    });
+
+  const answer = (uid, accepted, status) =>
+    updateDoc(doc(as(uid), "transactions", TX_ID), {
+      "cancellation.response": { accepted, by: uid, at: serverTimestamp() },
+      ...(status ? { status } : {}),
+    });
+
+  test("one party requests and the other accepts", async () => {
+    await assertFails(request("mallory", "buyer"));
+    await assertSucceeds(request("bob", "buyer"));
+    await assertFails(answer("bob", true, "cancelled"));
+    await assertSucceeds(answer("alice", true, "cancelled"));
+  });
+
+  test("declining keeps the escrow going", async () => {
+    await assertSucceeds(request("bob", "buyer"));
+    await assertFails(answer("alice", false, "cancelled"));
+    await assertSucceeds(answer("alice", false));
+  });
+
+  test("a request cannot cancel the escrow by itself", async () => {
+    await assertFails(
+      updateDoc(doc(as("bob"), "transactions", TX_ID), {
+        status: "cancelled",
+      })
+    );
+  });
+
+  test("funded escrows cannot be cancelled", async () => {
+    await seed((db) =>
+      updateDoc(doc(db, "transactions", TX_ID), {
+        deposits: [{ txid: "abc", amount: "100000000", confirmations: 1 }],
+      })
+    );
+    await assertFails(request("bob", "buyer"));
+  });
+
+  test("the creator can withdraw an unanswered invitation", async () => {
+    await seed((db) =>
+      updateDoc(doc(db, "transactions", TX_ID), {
+        status: "pending_acceptance",
+        paymentSent: false,
+      })
+    );
+    const patch = { status: "cancelled", withdrawn: true };
+    await assertFails(updateDoc(doc(as("bob"), "transactions", TX_ID), patch));
+    await assertSucceeds(
+      updateDoc(doc(as("alice"), "transactions", TX_ID), patch)
+    );
+  });
+
+  test("nobody deletes a transaction from the client", async () => {
+    await seed((db) =>
+      updateDoc(doc(db, "transactions", TX_ID), { status: "cancelled" })
+    );
+    for (const uid of ["alice", "admin"]) {
+      await assertFails(deleteDoc(doc(as(uid), "transactions", TX_ID)));
+    }
+  });
+});
+
+describe("escrow deposit addresses", () => {
+  const newTx = (escrowIndex) => ({
+    ...baseTx,
+    status: "pending_acceptance",
+    paymentSent: false,
+    escrowIndex,
+  });
+
+  beforeEach(async () => {
+    await seed((db) => setDoc(doc(db, "escrowAddressIndex", "BTC"), { next: 5 }));
+  });
+
+  test("a transaction must reserve a fresh deposit index", async () => {
+    await assertFails(
+      setDoc(doc(as("alice"), "transactions", "TX2"), newTx(2))
+    );
+  });
+
+  test("reserving the next index and creating the escrow together succeeds", async () => {
+    const db = as("alice");
+    const batch = writeBatch(db);
+    batch.set(doc(db, "escrowAddressIndex", "BTC"), { next: 6 });
+    batch.set(doc(db, "transactions", "TX2"), newTx(5));
+    await assertSucceeds(batch.commit());
+  });
+
+  test("amounts must be integer base units", async () => {
+    const db = as("alice");
+    const batch = writeBatch(db);
+    batch.set(doc(db, "escrowAddressIndex", "BTC"), { next: 6 });
+    batch.set(doc(db, "transactions", "TX2"), { ...newTx(5), amount: 1.5 });
+    await assertFails(batch.commit());
+  });
+
+  test("the index counter can only advance by one", async () => {
+    await assertFails(
+      setDoc(doc(as("alice"), "escrowAddressIndex", "BTC"), { next: 4 })
+    );
+  });
+
+  test("the deposit address cannot be changed after creation", async () => {
+    await assertFails(
+      updateDoc(doc(as("alice"), "transactions", TX_ID), {
+        escrowWallet: "bc1qattacker",
+      })
+    );
+  });
+
+  test("the deposit watcher's address mismatch flag cannot be cleared", async () => {
+    await seed((db) =>
+      updateDoc(doc(db, "transactions", TX_ID), { escrowAddressMismatch: true })
+    );
+    await assertFails(
+      updateDoc(doc(as("alice"), "transactions", TX_ID), {
+        escrowAddressMismatch: false,
+      })
+    );
+  });
+});
+
+describe("token escrows", () => {
+  const USDT = "0xdAC17F958D2ee523a2206206994597C13D831ec7";
+  const newTokenTx = (token) => ({
+    ...baseTx,
+    status: "pending_acceptance",
+    paymentSent: false,
+    currency: "USDT",
+    decimals: 6,
+    amount: "250000000",
+    escrowWallet: "0x" + "ab".repeat(20),
+    escrowIndex: 3,
+    sellerWallet: "0x" + "a1".repeat(20),
+    buyerWallet: "0x" + "b0".repeat(20),
+    ...(token && { token }),
+  });
+  const createWith = (counter, tx) => {
+    const db = as("alice");
+    const batch = writeBatch(db);
+    batch.set(doc(db, "escrowAddressIndex", counter), { next: 4 });
+    batch.set(doc(db, "transactions", "TX2"), tx);
+    return batch.commit();
+  };
+
+  beforeEach(async () => {
+    await seed((db) => setDoc(doc(db, "escrowAddressIndex", "ETH"), { next: 3 }));
+  });
+
+  test("a token escrow takes an ETH deposit index and records its token", async () => {
+    await assertSucceeds(
+      createWith("ETH", newTokenTx({ contract: USDT, decimals: 6 }))
+    );
+  });
+
+  test("a token escrow must name its token contract", async () => {
+    await assertFails(createWith("ETH", newTokenTx(null)));
+    await assertFails(
+      createWith("ETH", newTokenTx({ contract: "tether", decimals: 6 }))
+    );
+  });
+
+  test("a token escrow must record its currency's contract", async () => {
+    // Any other contract, even USDC's for a USDT escrow
+    await assertFails(
+      createWith(
+        "ETH",
+        newTokenTx({ contract: "0x" + "cd".repeat(20), decimals: 6 })
+      )
+    );
+    await assertFails(
+      createWith(
+        "ETH",
+        newTokenTx({
+          contract: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48",
+          decimals: 6,
+        })
+      )
+    );
+    // Its case does not matter
+    await assertSucceeds(
+      createWith(
+        "ETH",
+        newTokenTx({ contract: USDT.toLowerCase(), decimals: 6 })
+      )
+    );
+  });
+
+  test("the token's decimals must match the escrow's", async () => {
+    await assertFails(
+      createWith("ETH", newTokenTx({ contract: USDT, decimals: 18 }))
+    );
+  });
+
+  test("coin escrows have no token", async () => {
+    const db = as("alice");
+    const batch = writeBatch(db);
+    batch.set(doc(db, "escrowAddressIndex", "BTC"), { next: 1 });
+    batch.set(doc(db, "transactions", "TX2"), {
+      ...baseTx,
+      status: "pending_acceptance",
+      paymentSent: false,
+      escrowIndex: 0,
+      token: { contract: USDT, decimals: 8 },
+    });
+    await assertFails(batch.commit());
+  });
+
+  test("the token cannot be changed after creation", async () => {
+    await seed((db) =>
+      setDoc(doc(db, "transactions", "TX3"), {
+        ...newTokenTx({ contract: USDT, decimals: 6 }),
+        status: "waiting_payment",
+      })
+    );
+    await assertFails(
+      updateDoc(doc(as("alice"), "transactions", "TX3"), {
+        "token.contract": "0x" + "cd".repeat(20),
+      })
+    );
+  });
+});
+
+describe("email invites", () => {
+  const { invited, ...rest } = baseTx;
+  const inviteTx = {
+    ...rest,
+    invited: null,
+    participants: ["alice"],
+    status: "pending_invite",
+    paymentSent: false,
+    escrowIndex: 5,
+    invite: { email: "carol@example.com" },
+  };
+
+  const create = (data) => {
+    const db = as("alice");
+    const batch = writeBatch(db);
+    batch.set(doc(db, "escrowAddressIndex", "BTC"), { next: 6 });
+    batch.set(doc(db, "transactions", "TX2"), data);
+    return batch.commit();
+  };
+
+  beforeEach(async () => {
+    await seed((db) => setDoc(doc(db, "escrowAddressIndex", "BTC"), { next: 5 }));
+  });
+
+  test("an escrow can invite an address without an account", async () => {
+    await assertSucceeds(create(inviteTx));
+  });
+
+  test("the creator cannot issue the token or add a participant", async () => {
+    await assertFails(
+      create({
+        ...inviteTx,
+        invite: { email: "carol@example.com", tokenHash: "ab" },
+      })
+    );
+    await assertFails(create({ ...inviteTx, participants: ["alice", "bob"] }));
+    await assertFails(create({ ...inviteTx, status: "pending_acceptance" }));
+  });
+
+  test("the invited address cannot carry extra mail headers", async () => {
+    await assertFails(
+      create({
+        ...inviteTx,
+        invite: { email: "carol@example.com\r\nBcc: mallory@example.com" },
+      })
+    );
+    await assertFails(create({ ...inviteTx, invite: { email: "carol" } }));
+  });
+
+  test("only the server binds the invitee", async () => {
+    await seed((db) => setDoc(doc(db, "transactions", "TX2"), inviteTx));
+    await assertFails(
+      updateDoc(doc(as("alice"), "transactions", "TX2"), {
+        status: "pending_acceptance",
+        invited: "bob",
+        participants: ["alice", "bob"],
+      })
+    );
+    await assertFails(
+      updateDoc(doc(as("alice"), "transactions", "TX2"), {
+        invite: { email: "mallory@example.com" },
+      })
+    );
+  });
+
+  test("the creator can withdraw a pending invite", async () => {
+    await seed((db) => setDoc(doc(db, "transactions", "TX2"), inviteTx));
+    await assertSucceeds(
+      updateDoc(doc(as("alice"), "transactions", "TX2"), {
+        status: "cancelled",
+        withdrawn: true,
+      })
+    );
+  });
+});
+
+describe("fees", () => {
+  const { fee, ...withoutFee } = baseTx;
+
+  const create = (data) => {
+    const db = as("alice");
+    const batch = writeBatch(db);
+    batch.set(doc(db, "escrowAddressIndex", "BTC"), { next: 1 });
+    batch.set(doc(db, "transactions", "TX2"), {
+      ...withoutFee,
+      status: "pending_acceptance",
+      paymentSent: false,
+      ...data,
+    });
+    return batch.commit();
+  };
+
+  test("a transaction must record its fee", async () => {
+    await assertFails(create({}));
+    await assertFails(create({ fee: { ...fee, payer: "platform" } }));
+    await assertSucceeds(create({ fee }));
+  });
+
+  const split = (buyer, seller, total) => ({
+    fee: { ...fee, payer: "split", buyer, seller, total },
+  });
+
+  test("the fee's shares must add up to its total", async () => {
+    await assertFails(create(split("500000", "400000", "1000000")));
+    await assertFails(create(split("500000", "500000", "100000")));
+    // Carrying into the digits past the ninth, as wei amounts do
+    await assertSucceeds(create(split("500000000", "500000000", "1000000000")));
+    await assertFails(create(split("500000000", "500000000", "2000000000")));
+    await assertSucceeds(
+      create({
+        amount: "100000000000000000000",
+        ...split(
+          "750000000000000000",
+          "750000000000000001",
+          "1500000000000000001"
+        ),
+      })
+    );
+  });
+
+  test("the fee must reach the minimum and stay below the amount", async () => {
+    // The BTC minimum is 10000 satoshis
+    await assertFails(create(split("4999", "5000", "9999")));
+    await assertSucceeds(create(split("5000", "5000", "10000")));
+    await assertFails(
+      create({ amount: "1000000", ...split("500000", "500000", "1000000") })
+    );
+  });
+
+  test("the payer carries the fee", async () => {
+    const paidBy = (payer, buyer, seller) =>
+      create({ fee: { ...fee, payer, buyer, seller, total: "1000000" } });
+    await assertSucceeds(paidBy("buyer", "1000000", "0"));
+    await assertFails(paidBy("buyer", "500000", "500000"));
+    await assertSucceeds(paidBy("seller", "0", "1000000"));
+    await assertFails(paidBy("seller", "1", "999999"));
+    await assertFails(paidBy("split", "400000", "600000"));
+    // Split: the odd base unit is the seller's
+    await assertSucceeds(create(split("500000", "500001", "1000001")));
+    await assertFails(create(split("500001", "500000", "1000001")));
+  });
+
+  test("the fee cannot be changed after creation", async () => {
+    for (const uid of ["alice", "bob"]) {
+      await assertFails(
+        updateDoc(doc(as(uid), "transactions", TX_ID), {
+          "fee.seller": "0",
+          "fee.total": "500000",
+        })
+      );
+    }
+  });
+});
+
+describe("fiat rates", () => {
+  const snapshot = (USD) => ({ source: "static", at: new Date(), rates: { USD } });
+
+  beforeEach(async () => {
+    await seed((db) =>
+      updateDoc(doc(db, "transactions", TX_ID), {
+        status: "goods_released",
+        paymentReceived: true,
+        goodsReleased: true,
+        fiatRates: { created: snapshot(60000), funded: snapshot(61000) },
+      })
+    );
+  });
+
+  test("completing an escrow records the closing rate", async () => {
+    await assertSucceeds(
+      updateDoc(doc(as("bob"), "transactions", TX_ID), {
+        status: "completed",
+        buyerApproved: true,
+        completed: true,
+        "fiatRates.completed": snapshot(62000),
+      })
+    );
+  });
+
+  test("earlier snapshots cannot be rewritten", async () => {
+    await assertFails(
+      updateDoc(doc(as("bob"), "transactions", TX_ID), {
+        status: "completed",
+        buyerApproved: true,
+        completed: true,
+        "fiatRates.created": snapshot(1),
+      })
+    );
+  });
+});
+
+describe("payouts", () => {
+  const payout = {
+    index: 0,
+    recipient: "seller",
+    address: "bc1qalice",
+    amount: "99500000",
+    networkFee: "2000",
+    txid: "ab".repeat(32),
+    status: "broadcast",
+  };
+
+  beforeEach(async () => {
+    await seed((db) =>
+      updateDoc(doc(db, "transactions", TX_ID), {
+        status: "completed",
+        paymentReceived: true,
+        goodsReleased: true,
+        buyerApproved: true,
+        completed: true,
+      })
+    );
+  });
+
+  test("an admin records a payout", async () => {
+    await assertSucceeds(
+      updateDoc(doc(as("admin"), "transactions", TX_ID), {
+        payouts: { p1: payout },
+      })
+    );
+  });
+
+  test("participants cannot record or rewrite payouts", async () => {
+    await assertFails(
+      updateDoc(doc(as("alice"), "transactions", TX_ID), {
+        payouts: { p1: payout },
+      })
+    );
+    await seed((db) =>
+      updateDoc(doc(db, "transactions", TX_ID), { payouts: { p1: payout } })
+    );
+    await assertFails(
+      updateDoc(doc(as("bob"), "transactions", TX_ID), {
+        "payouts.p1.address": "bc1qbob",
+      })
+    );
+  });
+});
+
+describe("multisig escrows", () => {
+  const key = (byte) => `02${byte.repeat(32)}`;
+  const pubkeys = { seller: key("aa"), buyer: key("bb"), escrow: key("cc") };
+  const witnessScript = `5221${key("aa")}21${key("bb")}21${key("cc")}53ae`;
+  const address = `bc1q${"q".repeat(58)}`;
+
+  const newTx = (overrides = {}) => ({
+    ...baseTx,
+    status: "pending_acceptance",
+    paymentSent: false,
+    escrowIndex: 5,
+    escrowWallet: "",
+    custody: "multisig",
+    multisig: { pubkeys: { seller: pubkeys.seller, escrow: pubkeys.escrow } },
+    ...overrides,
+  });
+
+  const create = (tx) => {
+    const db = as("alice");
+    const batch = writeBatch(db);
+    batch.set(doc(db, "escrowAddressIndex", "BTC"), { next: 6 });
+    batch.set(doc(db, "transactions", "TX2"), tx);
+    return batch.commit();
+  };
+
+  beforeEach(async () => {
+    await seed((db) => setDoc(doc(db, "escrowAddressIndex", "BTC"), { next: 5 }));
+  });
+
+  test("the creator registers their key and the service's", async () => {
+    await assertSucceeds(create(newTx()));
+  });
+
+  test("a multisig escrow has no address or other party's key yet", async () => {
+    await assertFails(create(newTx({ escrowWallet: address })));
+    await assertFails(create(newTx({ multisig: { pubkeys } })));
+  });
+
+  test("the invited party adds their key and the address on acceptance", async () => {
+    await seed((db) => setDoc(doc(db, "transactions", "TX2"), newTx()));
+    const ref = doc(as("bob"), "transactions", "TX2");
+    await assertFails(
+      updateDoc(ref, {
+        status: "waiting_payment",
+        "multisig.pubkeys.buyer": key("bb"),
+        "multisig.witnessScript": witnessScript.replace(key("bb"), key("dd")),
+        escrowWallet: address,
+      })
+    );
+    await assertSucceeds(
+      updateDoc(ref, {
+        status: "waiting_payment",
+        buyerWallet: "bc1qbob2",
+        "multisig.pubkeys.buyer": key("bb"),
+        "multisig.witnessScript": witnessScript,
+        escrowWallet: address,
+      })
+    );
+    await assertFails(
+      updateDoc(doc(as("admin"), "transactions", "TX2"), {
+        "multisig.pubkeys.seller": key("dd"),
+      })
+    );
+    await assertFails(
+      updateDoc(doc(as("admin"), "transactions", "TX2"), {
+        escrowWallet: `bc1q${"p".repeat(58)}`,
+      })
+    );
+  });
+
+  test("only the payout functions write the PSBT and signatures", async () => {
+    await seed((db) =>
+      setDoc(doc(db, "transactions", "TX2"), {
+        ...newTx(),
+        status: "completed",
+        escrowWallet: address,
+        multisig: { pubkeys, witnessScript },
+      })
+    );
+    await assertFails(
+      updateDoc(doc(as("alice"), "transactions", "TX2"), {
+        "multisig.psbt": "cHNidP8B",
+        "multisig.signedBy": ["seller"],
+      })
+    );
+    await assertFails(
+      updateDoc(doc(as("bob"), "transactions", "TX2"), {
+        "multisig.signedBy": ["seller", "buyer"],
+        "multisig.finalTx": "0200",
+        "multisig.finalTxid": "ab".repeat(32),
+      })
+    );
+    await assertFails(
+      updateDoc(doc(as("admin"), "transactions", "TX2"), {
+        "multisig.finalTxid": "ab".repeat(32),
+      })
+    );
+  });
+});
+
+describe("contract escrows", () => {
+  const contractAddress = `0x${"C0".repeat(20)}`;
+  const hash = `0x${"ab".repeat(32)}`;
+
+  const newTx = (overrides = {}) => ({
+    ...baseTx,
+    currency: "ETH",
+    decimals: 18,
+    // 1 ETH, with a 1% fee split
+    amount: "1000000000000000000",
+    fee: {
+      ...baseTx.fee,
+      total: "10000000000000000",
+      buyer: "5000000000000000",
+      seller: "5000000000000000",
+    },
+    status: "pending_acceptance",
+    paymentSent: false,
+    escrowIndex: 5,
+    escrowWallet: contractAddress,
+    sellerWallet: `0x${"a1".repeat(20)}`,
+    buyerWallet: `0x${"b2".repeat(20)}`,
+    custody: "contract",
+    contract: {
+      address: contractAddress,
+      factory: `0x${"fa".repeat(20)}`,
+      deadline: 1900000000,
+      deployTx: hash,
+    },
+    ...overrides,
+  });
+
+  const create = (tx) => {
+    const db = as("alice");
+    const batch = writeBatch(db);
+    batch.set(doc(db, "escrowAddressIndex", "ETH"), { next: 6 });
+    batch.set(doc(db, "transactions", "TX3"), tx);
+    return batch.commit();
+  };
+
+  beforeEach(async () => {
+    await seed((db) => setDoc(doc(db, "escrowAddressIndex", "ETH"), { next: 5 }));
+  });
+
+  test("the creator records the contract with both wallets", async () => {
+    await assertSucceeds(create(newTx()));
+  });
+
+  test("the deposit address must be the contract, on ETH only", async () => {
+    await assertFails(create(newTx({ escrowWallet: `0x${"d4".repeat(20)}` })));
+    await assertFails(create(newTx({ buyerWallet: "" })));
+    await assertFails(create(newTx({ currency: "BTC" })));
+    await assertFails(
+      create({ ...newTx(), custody: "custodial", escrowWallet: "0xescrow" })
+    );
+  });
+
+  test("accepting cannot change the wallets in the contract", async () => {
+    await seed((db) => setDoc(doc(db, "transactions", "TX3"), newTx()));
+    const ref = doc(as("bob"), "transactions", "TX3");
+    await assertFails(
+      updateDoc(ref, {
+        status: "waiting_payment",
+        buyerWallet: `0x${"d4".repeat(20)}`,
+      })
+    );
+    await assertSucceeds(updateDoc(ref, { status: "waiting_payment" }));
+  });
+
+  test("the buyer records the release call once", async () => {
+    await seed((db) =>
+      setDoc(
+        doc(db, "transactions", "TX3"),
+        newTx({ status: "goods_released", goodsReleased: true })
+      )
+    );
+    const ref = doc(as("bob"), "transactions", "TX3");
+    await assertFails(
+      updateDoc(ref, {
+        status: "completed",
+        buyerApproved: true,
+        completed: true,
+        contractCalls: { refund: hash },
+      })
+    );
+    await assertSucceeds(
+      updateDoc(ref, {
+        status: "completed",
+        buyerApproved: true,
+        completed: true,
+        contractCalls: { release: hash },
+      })
+    );
+    await assertFails(
+      updateDoc(doc(as("admin"), "transactions", "TX3"), {
+        "contract.address": `0x${"d4".repeat(20)}`,
+      })
+    );
+  });
+
+  test("the arbiter records the refund call", async () => {
+    await seed((db) =>
+      setDoc(doc(db, "transactions", "TX3"), newTx({ status: "under_review" }))
+    );
+    const ref = doc(as("arbiter"), "transactions", "TX3");
+    await assertFails(
+      updateDoc(ref, { status: "refunded", contractCalls: { refund: "0x12" } })
+    );
+    await assertSucceeds(
+      updateDoc(ref, { status: "refunded", contractCalls: { refund: hash } })
+    );
+  });
+});
+
+describe("audit", () => {
+  test("participants can append audit entries as themselves", async () => {
+    await assertSucceeds(
+      addDoc(collection(as("alice"), "transactions", TX_ID, "audit"), {
+        actor: "alice",
+        action: "marked_payment_sent",
+        meta: {},
+      })
+    );
+  });
+
+  test("audit entries cannot be forged for another actor", async () => {
+    await assertFails(
+      addDoc(collection(as("alice"), "transactions", TX_ID, "audit"), {
+        actor: "bob",
+        action: "buyer_approved_release",
+        meta: {},
+      })
+    );
+  });
+
+  test("audit entries are append-only", async () => {
+    for (const uid of ["alice", "admin"]) {
+      const ref = doc(as(uid), "transactions", TX_ID, "audit", "a1");
+      await assertFails(updateDoc(ref, { action: "tampered" }));
+      await assertFails(deleteDoc(ref));
+    }
+  });
+
+  test("only staff can read the audit trail", async () => {
+    await assertFails(
+      getDocs(collection(as("alice"), "transactions", TX_ID, "audit"))
+    );
+    await assertSucceeds(
+      getDocs(collection(as("admin"), "transactions", TX_ID, "audit"))
+    );
+    await assertSucceeds(
+      getDocs(collection(as("arbiter"), "transactions", TX_ID, "audit"))
+    );
+  });
+});
+
+describe("notifications", () => {
+  test("others can notify a user but not read their notifications", async () => {
+    await assertSucceeds(
+      addDoc(collection(as("alice"), "users", "bob", "notifications"), {
+        message: "hello",
+        txId: TX_ID,
+        read: false,
+      })
+    );
+    await assertFails(
+      getDocs(collection(as("alice"), "users", "bob", "notifications"))
+    );
+  });
+
+  test("only the dispatcher can hide a notification or hold it for a digest", async () => {
+    await assertFails(
+      addDoc(collection(as("alice"), "users", "bob", "notifications"), {
+        message: "hello",
+        txId: TX_ID,
+        read: false,
+        hidden: true,
+      })
+    );
+    await seed((db) =>
+      setDoc(doc(db, "users", "bob", "notifications", "N1"), {
+        message: "hello",
+        txId: TX_ID,
+        read: false,
+        hidden: true,
+        digest: "pending",
+      })
+    );
+    await assertFails(
+      updateDoc(doc(as("bob"), "users", "bob", "notifications", "N1"), {
+        hidden: false,
+      })
+    );
+    await assertSucceeds(
+      updateDoc(doc(as("bob"), "users", "bob", "notifications", "N1"), {
+        read: true,
+      })
+    );
+  });
+});
+
+describe("messages", () => {
+  const post = (uid, senderRole, text = "Shipped today") =>
+    addDoc(collection(as(uid), "transactions", TX_ID, "messages"), {
+      sender: uid,
+      senderRole,
+      text,
+      createdAt: serverTimestamp(),
+    });
+
+  test("participants and staff can post under their own role", async () => {
+    await assertSucceeds(post("alice", "seller"));
+    await assertSucceeds(post("bob", "buyer"));
+    await assertSucceeds(post("arbiter", "arbiter"));
+    await assertFails(post("bob", "seller"));
+    await assertFails(post("bob", "admin"));
+  });
+
+  test("outsiders can neither post nor read", async () => {
+    await assertFails(post("mallory", "buyer"));
+    await assertFails(
+      getDocs(collection(as("mallory"), "transactions", TX_ID, "messages"))
+    );
+    await assertSucceeds(
+      getDocs(collection(as("bob"), "transactions", TX_ID, "messages"))
+    );
+  });
+
+  test("messages cannot be empty or forged for another sender", async () => {
+    await assertFails(post("alice", "seller", ""));
+    await assertFails(
+      addDoc(collection(as("alice"), "transactions", TX_ID, "messages"), {
+        sender: "bob",
+        senderRole: "buyer",
+        text: "I release everything",
+        createdAt: serverTimestamp(),
+      })
+    );
+  });
+
+  test("messages are append-only", async () => {
+    await seed((db) =>
+      setDoc(doc(db, "transactions", TX_ID, "messages", "m1"), {
+        sender: "alice",
+        senderRole: "seller",
+        text: "original",
+      })
+    );
+    for (const uid of ["alice", "admin"]) {
+      const ref = doc(as(uid), "transactions", TX_ID, "messages", "m1");
+      await assertFails(updateDoc(ref, { text: "edited" }));
+      await assertFails(deleteDoc(ref));
+    }
+  });
+});
@@ -0,0 +1,106 @@
+// tests/unit/addressValidation.test.js
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  detectAddressCurrencies,
+  validateAddress,
+  validateAnyAddress,
+} from "../../src/lib/addressValidation.js";
+
+const BTC_SEGWIT = "bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4";
+const BTC_TAPROOT =
+  "bc1p5d7rjq7g6rdk2yhzks9smlaqtedr4dekq08ge8ztwac72sfr9rusxg3297";
+const P2PKH = "1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa";
+const P2SH = "3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy";
+const CASHADDR = "bitcoincash:qpm2qsznhks23z7629mms6s4cwef74vcwvy22gdx6a";
+const ETH = "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed";
+
+const isValid = (currency, address) =>
+  validateAddress(currency, address).valid;
+// The same address with its last character replaced
+const typo = (address, last) => address.slice(0, -1) + last;
+
+describe("validateAddress", () => {
+  test("accepts each currency's formats", () => {
+    for (const [currency, address] of [
+      ["BTC", BTC_SEGWIT],
+      ["BTC", BTC_TAPROOT],
+      ["BTC", BTC_SEGWIT.toUpperCase()],
+      ["BTC", P2PKH],
+      ["BTC", P2SH],
+      ["BCH", CASHADDR],
+      ["BCH", CASHADDR.slice("bitcoincash:".length)],
+      ["BCH", P2PKH],
+      ["ETH", ETH],
+      ["ETH", ETH.toLowerCase()],
+      ["USDT", ETH],
+      ["USDC", ETH],
+    ]) {
+      assert.deepEqual(
+        validateAddress(currency, address),
+        { valid: true, error: null },
+        `${currency} ${address}`
+      );
+    }
+  });
+
+  test("ignores surrounding whitespace", () => {
+    assert.equal(isValid("BTC", `  ${BTC_SEGWIT}\n`), true);
+  });
+
+  test("rejects bad checksums", () => {
+    assert.equal(isValid("BTC", typo(BTC_SEGWIT, "5")), false);
+    assert.equal(isValid("BTC", typo(P2PKH, "b")), false);
+    assert.equal(isValid("BCH", typo(CASHADDR, "q")), false);
+    // Mixed case must be the EIP-55 checksum
+    assert.equal(isValid("ETH", ETH.replace("aA", "aa")), false);
+  });
+
+  test("rejects mixed-case bech32 and non-mainnet addresses", () => {
+    assert.equal(isValid("BTC", `BC1Q${BTC_SEGWIT.slice(4)}`), false);
+    const testnet = "tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx";
+    assert.equal(isValid("BTC", testnet), false);
+  });
+
+  test("names the currency an address belongs to", () => {
+    const { valid, error } = validateAddress("BTC", ETH);
+    assert.equal(valid, false);
+    assert.equal(
+      error,
+      "This is a ETH/USDT/USDC address, but the escrow currency is BTC."
+    );
+  });
+
+  test("explains empty, unknown and invalid input", () => {
+    assert.equal(
+      validateAddress("BTC", "  ").error,
+      "Wallet address is required."
+    );
+    assert.equal(
+      validateAddress("DOGE", P2PKH).error,
+      "Unsupported currency: DOGE"
+    );
+    assert.equal(
+      validateAddress("BTC", "not an address").error,
+      "Invalid BTC address. Check it for typos."
+    );
+  });
+});
+
+describe("detectAddressCurrencies", () => {
+  test("legacy base58 is shared by BTC and BCH", () => {
+    assert.deepEqual(detectAddressCurrencies(P2PKH), ["BTC", "BCH"]);
+    assert.deepEqual(detectAddressCurrencies(BTC_SEGWIT), ["BTC"]);
+    assert.deepEqual(detectAddressCurrencies(CASHADDR), ["BCH"]);
+    assert.deepEqual(detectAddressCurrencies(""), []);
+  });
+});
+
+describe("validateAnyAddress", () => {
+  test("accepts any supported network's address", () => {
+    assert.equal(validateAnyAddress(ETH).valid, true);
+    assert.equal(validateAnyAddress(CASHADDR).valid, true);
+    assert.match(validateAnyAddress("0x123").error, /^Invalid wallet address/);
+  });
+});
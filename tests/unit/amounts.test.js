@@ -0,0 +1,108 @@
+// tests/unit/amounts.test.js
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  AmountError,
+  amountStep,
+  decimalsFor,
+  formatAmount,
+  formatTxAmount,
+  parseAmount,
+  toBaseUnits,
+} from "../../src/lib/amounts.js";
+
+describe("parseAmount", () => {
+  test("converts decimals to exact base units", () => {
+    assert.equal(parseAmount("1.5", "BTC"), "150000000");
+    assert.equal(parseAmount("0.00000001", "BTC"), "1");
+    assert.equal(parseAmount(".5", "BCH"), "50000000");
+    assert.equal(parseAmount("2.", "USDT"), "2000000");
+    assert.equal(parseAmount(" 12.340000 ", "USDC"), "12340000");
+    // Beyond float precision
+    assert.equal(parseAmount("0.1", "ETH"), "100000000000000000");
+    assert.equal(
+      parseAmount("123456789.123456789123456789", "ETH"),
+      "123456789123456789123456789"
+    );
+  });
+
+  test("rejects more decimals than the currency has", () => {
+    assert.throws(
+      () => parseAmount("0.000000001", "BTC"),
+      /BTC supports at most 8 decimal places/
+    );
+    assert.throws(() => parseAmount("1.0000001", "USDT"), AmountError);
+    // Trailing zeros do not count
+    assert.equal(parseAmount("1.0000000000", "BTC"), "100000000");
+  });
+
+  test("rejects zero, negative and non-numeric input", () => {
+    const invalid = ["", " ", ".", "0", "0.000", "-1", "1e3", "1,5", "abc"];
+    for (const input of invalid) {
+      assert.throws(() => parseAmount(input, "BTC"), AmountError, input);
+    }
+    assert.throws(() => parseAmount(null, "BTC"), AmountError);
+  });
+
+  test("rejects unknown currencies", () => {
+    assert.throws(() => parseAmount("1", "DOGE"), /Unsupported currency/);
+  });
+});
+
+describe("formatAmount", () => {
+  test("drops trailing zeros", () => {
+    assert.equal(formatAmount("150000000", "BTC"), "1.5");
+    assert.equal(formatAmount("100000000", "BTC"), "1");
+    assert.equal(formatAmount("1", "BTC"), "0.00000001");
+    assert.equal(formatAmount(0n, "USDC"), "0");
+    assert.equal(formatAmount(-2500000n, "USDT"), "-2.5");
+    assert.equal(
+      formatAmount("1000000000000000001", "ETH"),
+      "1.000000000000000001"
+    );
+  });
+
+  test("round-trips parseAmount", () => {
+    for (const [input, currency] of [
+      ["0.00012345", "BTC"],
+      ["21000000", "BTC"],
+      ["3.14159", "ETH"],
+      ["999999.999999", "USDC"],
+    ]) {
+      assert.equal(formatAmount(parseAmount(input, currency), currency), input);
+    }
+  });
+});
+
+describe("toBaseUnits", () => {
+  test("takes integer strings and bigints only", () => {
+    assert.equal(toBaseUnits("42"), 42n);
+    assert.equal(toBaseUnits("-7"), -7n);
+    assert.equal(toBaseUnits(5n), 5n);
+    assert.throws(() => toBaseUnits(1.5), AmountError);
+    assert.throws(() => toBaseUnits("1.5"), AmountError);
+    assert.throws(() => toBaseUnits(42), AmountError);
+  });
+});
+
+describe("formatTxAmount", () => {
+  test("formats base units and keeps legacy floats", () => {
+    assert.equal(
+      formatTxAmount({ amount: "150000000", currency: "BTC" }),
+      "1.5 BTC"
+    );
+    assert.equal(formatTxAmount({ amount: 0.5, currency: "ETH" }), "0.5 ETH");
+    assert.equal(formatTxAmount({ currency: "BTC" }), "");
+  });
+});
+
+describe("decimals", () => {
+  test("come from the registry", () => {
+    assert.equal(decimalsFor("BTC"), 8);
+    assert.equal(decimalsFor("ETH"), 18);
+    assert.equal(decimalsFor("USDT"), 6);
+    assert.equal(amountStep("BTC"), "0.00000001");
+    assert.equal(amountStep("USDC"), "0.000001");
+  });
+});
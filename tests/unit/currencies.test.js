@@ -0,0 +1,110 @@
+// tests/unit/currencies.test.js
+
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { describe, test } from "node:test";
+import {
+  CURRENCIES,
+  currencyInfo,
+  currencyLabel,
+  ENABLED_CURRENCIES,
+  NETWORKS,
+  networkOf,
+  RULES_CURRENCY_LISTS,
+  RULES_FEE_MINIMUMS,
+  RULES_TOKEN_CONTRACTS,
+  SUPPORTED_CURRENCIES,
+} from "../../src/lib/currencies.js";
+import { FEE_SCHEDULES } from "../../src/lib/fees.js";
+
+const rules = readFileSync(
+  new URL("../../firestore.rules", import.meta.url),
+  "utf8"
+);
+
+// The `{ 'KEY': 'value', … }[currency]` map a rules function returns from
+function rulesMap(fn) {
+  const body = rules.slice(rules.indexOf(`function ${fn}(`));
+  const map = /\{([^}]*)\}\[currency\]/.exec(body);
+  assert.ok(map, `no map in ${fn}`);
+  return Object.fromEntries(
+    [...map[1].matchAll(/'(\w+)': '(\w+)'/g)].map((m) => [m[1], m[2]])
+  );
+}
+
+// The first `currency in [...]` list inside a rules function
+function rulesList(fn) {
+  const body = rules.slice(rules.indexOf(`function ${fn}(`));
+  const match = /currency in \[([^\]]*)\]/.exec(body);
+  assert.ok(match, `no currency list in ${fn}`);
+  return match[1].split(",").map((item) => item.trim().replace(/'/g, ""));
+}
+
+describe("currency registry", () => {
+  test("every entry is keyed by its symbol and lives on a network", () => {
+    for (const currency of SUPPORTED_CURRENCIES) {
+      const info = CURRENCIES[currency];
+      assert.equal(info.symbol, currency);
+      assert.ok(NETWORKS.includes(info.network), currency);
+      assert.ok(Number.isInteger(info.decimals), currency);
+      assert.ok(info.confirmations > 0, currency);
+      // A token lives on its chain's coin, a coin is its own network
+      assert.equal(!!info.token, info.network !== currency, currency);
+    }
+    assert.deepEqual(NETWORKS, ["BTC", "BCH", "ETH"]);
+  });
+
+  test("looks currencies up, unknown ones included", () => {
+    assert.equal(currencyInfo("USDC").decimals, 6);
+    assert.equal(currencyInfo("DOGE"), null);
+    assert.equal(currencyInfo("toString"), null);
+    assert.equal(currencyInfo(undefined), null);
+    assert.equal(networkOf("USDT"), "ETH");
+    assert.equal(networkOf("BTC"), "BTC");
+    assert.equal(networkOf("DOGE"), "DOGE");
+  });
+
+  test("labels tokens with their standard", () => {
+    assert.equal(currencyLabel("BTC"), "BTC");
+    assert.equal(currencyLabel("USDT"), "USDT (ERC-20)");
+    assert.equal(currencyLabel("DOGE"), "DOGE");
+  });
+
+  test("only enabled currencies are offered", () => {
+    assert.deepEqual(
+      ENABLED_CURRENCIES,
+      SUPPORTED_CURRENCIES.filter((c) => CURRENCIES[c].enabled)
+    );
+    assert.ok(ENABLED_CURRENCIES.length > 0);
+  });
+
+  test("firestore.rules lists the registry's currencies", () => {
+    for (const [fn, expected] of Object.entries(RULES_CURRENCY_LISTS)) {
+      assert.deepEqual(rulesList(fn).sort(), [...expected].sort(), fn);
+    }
+  });
+
+  test("firestore.rules pins the registry's token contracts", () => {
+    const pinned = rulesMap("tokenContract");
+    assert.deepEqual(pinned, RULES_TOKEN_CONTRACTS);
+    assert.deepEqual(Object.keys(pinned), RULES_CURRENCY_LISTS.isTokenCurrency);
+  });
+
+  test("firestore.rules enforces the registry's minimum fees", () => {
+    assert.deepEqual(rulesMap("feeMinimum"), RULES_FEE_MINIMUMS);
+    assert.deepEqual(Object.keys(RULES_FEE_MINIMUMS), SUPPORTED_CURRENCIES);
+  });
+
+  test("every currency has a fee schedule", () => {
+    assert.deepEqual(Object.keys(FEE_SCHEDULES), SUPPORTED_CURRENCIES);
+    for (const currency of SUPPORTED_CURRENCIES) {
+      const { percentBps, minimum, tiers = [] } = CURRENCIES[currency].fees;
+      assert.ok(Number.isInteger(percentBps) && percentBps > 0, currency);
+      assert.match(minimum, /^[1-9][0-9]*$/, currency);
+      for (const tier of tiers) {
+        assert.match(tier.above, /^[1-9][0-9]*$/, currency);
+        assert.ok(tier.percentBps < percentBps, currency);
+      }
+    }
+  });
+});
@@ -0,0 +1,106 @@
+// tests/unit/custody.test.js
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { HDKey } from "@scure/bip32";
+import { custodyModesFor, verifyEscrowAddress } from "../../src/lib/custody.js";
+import { deriveEscrowAddress } from "../../src/lib/escrowAddresses.js";
+import { multisigEscrow } from "../../src/lib/multisig.js";
+
+// A throwaway account key for each network
+const master = HDKey.fromMasterSeed(new Uint8Array(32).fill(7));
+const account = (path) => master.derive(path).publicExtendedKey;
+const XPUBS = {
+  BTC: account("m/84'/0'/0'"),
+  ETH: account("m/44'/60'/0'"),
+};
+
+const derived = (network, index) =>
+  deriveEscrowAddress(network, XPUBS[network], index);
+
+describe("custodyModesFor", () => {
+  test("offers multisig for BTC and contracts for ETH", () => {
+    assert.deepEqual(custodyModesFor("BTC"), ["custodial", "multisig"]);
+    assert.deepEqual(custodyModesFor("ETH"), ["custodial", "contract"]);
+    assert.deepEqual(custodyModesFor("USDT"), ["custodial"]);
+  });
+});
+
+describe("verifyEscrowAddress", () => {
+  const btc = {
+    currency: "BTC",
+    escrowIndex: 3,
+    escrowWallet: derived("BTC", 3).address,
+  };
+
+  test("matches the address derived at the escrow's index", () => {
+    assert.equal(verifyEscrowAddress(btc, XPUBS), true);
+    const usdt = {
+      currency: "USDT",
+      escrowIndex: 5,
+      escrowWallet: derived("ETH", 5).address,
+    };
+    // Tokens use their chain's key
+    assert.equal(verifyEscrowAddress(usdt, XPUBS), true);
+  });
+
+  test("catches an address from another index or key", () => {
+    const moved = { ...btc, escrowIndex: 4 };
+    assert.equal(verifyEscrowAddress(moved, XPUBS), false);
+    const foreign = {
+      ...btc,
+      escrowWallet: "bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4",
+    };
+    assert.equal(verifyEscrowAddress(foreign, XPUBS), false);
+  });
+
+  test("cannot tell without an index, a key or for a contract", () => {
+    const unindexed = { ...btc, escrowIndex: null };
+    assert.equal(verifyEscrowAddress(unindexed, XPUBS), null);
+    assert.equal(verifyEscrowAddress(btc, {}), null);
+    assert.equal(verifyEscrowAddress(btc, undefined), null);
+    const contract = { ...btc, currency: "ETH", custody: "contract" };
+    assert.equal(verifyEscrowAddress(contract, XPUBS), null);
+  });
+
+  test("a multisig escrow must carry the service's derived key", () => {
+    const service = derived("BTC", 3).publicKey;
+    const parties = {
+      // The generator point and its double
+      seller:
+        "0279be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798",
+      buyer:
+        "02c6047f9441ed7d6d3045406e95c07cd85c778e4b8cef3ca7abac09b95c709ee5",
+    };
+    const pubkeys = { ...parties, escrow: service };
+    const { witnessScript, address } = multisigEscrow(pubkeys);
+    const multisig = {
+      currency: "BTC",
+      custody: "multisig",
+      escrowIndex: 3,
+      escrowWallet: address,
+      multisig: { pubkeys, witnessScript },
+    };
+    assert.equal(verifyEscrowAddress(multisig, XPUBS), true);
+    // Before the last key is in, only the service's key can be checked
+    const pending = {
+      ...multisig,
+      escrowWallet: null,
+      multisig: { pubkeys: { seller: parties.seller, escrow: service } },
+    };
+    assert.equal(verifyEscrowAddress(pending, XPUBS), true);
+    const swapped = { ...pubkeys, escrow: parties.buyer, buyer: service };
+    const other = multisigEscrow(swapped);
+    assert.equal(
+      verifyEscrowAddress(
+        {
+          ...multisig,
+          escrowWallet: other.address,
+          multisig: { pubkeys: swapped, witnessScript: other.witnessScript },
+        },
+        XPUBS
+      ),
+      false
+    );
+  });
+});
@@ -0,0 +1,125 @@
+// tests/unit/deadlines.test.js
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  activeDeadlines,
+  buildDeadlines,
+  DeadlineError,
+  DEFAULT_DEADLINES,
+  toMillis,
+} from "../../src/lib/deadlines.js";
+
+const HOUR = 60 * 60 * 1000;
+const created = Date.UTC(2024, 0, 1);
+const entered = created + 5 * HOUR;
+const timestamp = (ms) => ({ toMillis: () => ms });
+
+const tx = (overrides = {}) => ({
+  deadlines: { acceptanceHours: 48, fundingHours: 24, inspectionHours: 168 },
+  createdAt: timestamp(created),
+  statusUpdatedAt: timestamp(entered),
+  ...overrides,
+});
+
+describe("buildDeadlines", () => {
+  test("fills blanks with the defaults", () => {
+    assert.deepEqual(buildDeadlines(), DEFAULT_DEADLINES);
+    assert.deepEqual(
+      buildDeadlines({ acceptanceHours: "12", fundingHours: "" }),
+      { ...DEFAULT_DEADLINES, acceptanceHours: 12 }
+    );
+  });
+
+  test("takes whole hours up to 90 days only", () => {
+    for (const hours of ["0", "-1", "1.5", "abc", 90 * 24 + 1]) {
+      assert.throws(
+        () => buildDeadlines({ fundingHours: hours }),
+        DeadlineError,
+        String(hours)
+      );
+    }
+    assert.equal(buildDeadlines({ fundingHours: 90 * 24 }).fundingHours, 2160);
+  });
+});
+
+describe("toMillis", () => {
+  test("reads Timestamps, Dates and millis", () => {
+    assert.equal(toMillis(timestamp(42)), 42);
+    assert.equal(toMillis(new Date(42)), 42);
+    assert.equal(toMillis(42), 42);
+    assert.equal(toMillis(null), null);
+    assert.equal(toMillis("2024-01-01"), null);
+  });
+});
+
+describe("activeDeadlines", () => {
+  test("acceptance runs from creation", () => {
+    for (const status of ["pending_invite", "pending_acceptance"]) {
+      const [deadline] = activeDeadlines(tx({ status }));
+      assert.equal(deadline.action, "expire");
+      assert.equal(deadline.dueAt, created + 48 * HOUR);
+      assert.equal(deadline.remindAt, created + 24 * HOUR);
+    }
+  });
+
+  test("funding runs from entering waiting_payment", () => {
+    const [deadline] = activeDeadlines(tx({ status: "waiting_payment" }));
+    assert.equal(deadline.action, "cancelUnfunded");
+    assert.equal(deadline.dueAt, entered + 24 * HOUR);
+    // Reminders come at most half the window early
+    assert.equal(deadline.remindAt, entered + 12 * HOUR);
+  });
+
+  test("inspection auto-releases a week after goods are released", () => {
+    const [deadline] = activeDeadlines(tx({ status: "goods_released" }));
+    assert.equal(deadline.action, "autoRelease");
+    assert.equal(deadline.dueAt, entered + 168 * HOUR);
+    assert.equal(deadline.remindAt, entered + 144 * HOUR);
+    // Only the buyer can release a contract escrow
+    const contract = tx({ status: "goods_released", custody: "contract" });
+    assert.deepEqual(activeDeadlines(contract), []);
+  });
+
+  test("delivered milestones auto-approve", () => {
+    const delivered = created + 30 * HOUR;
+    const deadlines = activeDeadlines(
+      tx({
+        status: "payment_received",
+        milestones: {
+          a: { index: 0, status: "approved", description: "Design" },
+          b: {
+            index: 1,
+            status: "delivered",
+            description: "Build",
+            deliveredAt: timestamp(delivered),
+          },
+          c: { index: 2, status: "pending", description: "Launch" },
+        },
+      })
+    );
+    assert.equal(deadlines.length, 1);
+    assert.equal(deadlines[0].key, "milestone_b");
+    assert.equal(deadlines[0].milestoneId, "b");
+    assert.equal(deadlines[0].action, "approveMilestone");
+    assert.equal(deadlines[0].dueAt, delivered + 168 * HOUR);
+  });
+
+  test("nothing runs without deadlines, a start or a stage", () => {
+    assert.deepEqual(activeDeadlines(tx({ deadlines: undefined })), []);
+    assert.deepEqual(
+      activeDeadlines(tx({ status: "waiting_payment", statusUpdatedAt: null })),
+      []
+    );
+    assert.deepEqual(activeDeadlines(tx({ status: "completed" })), []);
+    assert.deepEqual(activeDeadlines(null), []);
+  });
+
+  test("a seen deposit stops the funding clock", () => {
+    const deposits = [{ txid: "ab", amount: "1", confirmations: 0 }];
+    assert.deepEqual(
+      activeDeadlines(tx({ status: "waiting_payment", deposits })),
+      []
+    );
+  });
+});
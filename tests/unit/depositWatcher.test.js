@@ -0,0 +1,220 @@
+// tests/unit/depositWatcher.test.js
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { HDKey } from "@scure/bip32";
+import { createMockAdapter } from "../../functions/chain/mock.js";
+import {
+  escrowKeysFromEnv,
+  runDepositWatcher,
+  tokenContractsFromEnv,
+} from "../../functions/depositWatcher.js";
+import { deriveEscrowAddress } from "../../src/lib/escrowAddresses.js";
+import { createFakeFirestore } from "./fakeFirestore.js";
+
+const quiet = { error: () => {}, warn: () => {} };
+
+const btcTx = {
+  creator: "alice",
+  invited: "bob",
+  participants: ["alice", "bob"],
+  currency: "BTC",
+  amount: "100000000",
+  fee: {
+    payer: "split",
+    percentBps: 100,
+    total: "1000000",
+    buyer: "500000",
+    seller: "500000",
+  },
+  status: "waiting_payment",
+  escrowWallet: "bc1qescrow",
+};
+
+const auditActions = (db, txId) =>
+  db.list(`transactions/${txId}/audit`).map((p) => db.dump(p).action);
+
+function setup(tx = btcTx) {
+  const db = createFakeFirestore({ "transactions/TX1": tx });
+  const chain = createMockAdapter("BTC");
+  const run = () =>
+    runDepositWatcher({ db, adapters: { BTC: chain }, logger: quiet });
+  return { db, chain, run };
+}
+
+describe("runDepositWatcher", () => {
+  test("counts confirmations until the deposit is received", async () => {
+    const { db, chain, run } = setup();
+    // Amount due: the amount plus the buyer's half of the fee
+    const txid = chain.send("bc1qescrow", "100500000");
+
+    assert.deepEqual(await run(), { checked: 1, funded: [] });
+    let tx = db.dump("transactions/TX1");
+    assert.equal(tx.status, "waiting_payment");
+    assert.equal(tx.deposits.length, 1);
+    assert.equal(tx.deposits[0].txid, txid);
+    assert.equal(tx.deposits[0].confirmations, 0);
+    assert.deepEqual(auditActions(db, "TX1"), ["deposit_detected"]);
+
+    chain.mine(1);
+    await run();
+    tx = db.dump("transactions/TX1");
+    assert.equal(tx.deposits[0].confirmations, 1);
+    assert.equal(tx.status, "waiting_payment");
+
+    // BTC needs 2 confirmations (lib/currencies)
+    chain.mine(1);
+    assert.deepEqual(await run(), { checked: 1, funded: ["TX1"] });
+    tx = db.dump("transactions/TX1");
+    assert.equal(tx.status, "payment_received");
+    assert.equal(tx.paymentReceived, true);
+    assert.equal(tx.deposits[0].confirmations, 2);
+    assert.deepEqual(auditActions(db, "TX1"), [
+      "deposit_detected",
+      "deposit_confirmed_onchain",
+    ]);
+    for (const uid of ["alice", "bob"]) {
+      const [path] = db.list(`users/${uid}/notifications`);
+      assert.equal(db.dump(path).type, "payment_confirmed");
+    }
+  });
+
+  test("an underpayment is recorded but not received", async () => {
+    const { db, chain, run } = setup();
+    chain.send("bc1qescrow", "100000000");
+    chain.mine(6);
+    assert.deepEqual(await run(), { checked: 1, funded: [] });
+    const tx = db.dump("transactions/TX1");
+    assert.equal(tx.status, "waiting_payment");
+    assert.equal(tx.deposits[0].confirmations, 6);
+  });
+
+  test("deposits add up across transactions", async () => {
+    const { db, chain, run } = setup();
+    chain.send("bc1qescrow", "50000000");
+    chain.send("bc1qescrow", "50500000");
+    chain.mine(2);
+    assert.deepEqual(await run(), { checked: 1, funded: ["TX1"] });
+    assert.equal(db.dump("transactions/TX1").deposits.length, 2);
+  });
+
+  test("payments to other addresses are ignored", async () => {
+    const { db, chain, run } = setup();
+    chain.send("bc1qsomeoneelse", "100500000");
+    chain.mine(2);
+    await run();
+    assert.equal(db.dump("transactions/TX1").deposits, undefined);
+  });
+
+  test("token escrows only count transfers of their token", async () => {
+    const contract = "0xdac17f958d2ee523a2206206994597c13d831ec7";
+    const db = createFakeFirestore({
+      "transactions/TX1": {
+        ...btcTx,
+        currency: "USDT",
+        amount: "1000000000",
+        fee: { ...btcTx.fee, payer: "seller", buyer: "0", seller: "1000000" },
+        escrowWallet: `0x${"e5".repeat(20)}`,
+        token: { contract, decimals: 6 },
+      },
+    });
+    const eth = createMockAdapter("ETH");
+    const address = `0x${"e5".repeat(20)}`;
+    eth.send(address, "1000000000", { token: `0x${"cd".repeat(20)}` });
+    eth.send(address, "1000000000");
+    eth.mine(12);
+    const run = () =>
+      runDepositWatcher({ db, adapters: { ETH: eth }, logger: quiet });
+    assert.deepEqual(await run(), { checked: 1, funded: [] });
+
+    eth.send(address, "1000000000", { token: contract });
+    eth.mine(12);
+    assert.deepEqual(await run(), { checked: 1, funded: ["TX1"] });
+  });
+
+  test("the token contract an escrow records is not trusted", async () => {
+    const fake = `0x${"cd".repeat(20)}`;
+    const address = `0x${"e5".repeat(20)}`;
+    const db = createFakeFirestore({
+      "transactions/TX1": {
+        ...btcTx,
+        currency: "USDT",
+        amount: "1000000000",
+        fee: { ...btcTx.fee, payer: "seller", buyer: "0", seller: "1000000" },
+        escrowWallet: address,
+        token: { contract: fake, decimals: 6 },
+      },
+    });
+    const eth = createMockAdapter("ETH");
+    eth.send(address, "1000000000", { token: fake });
+    eth.mine(12);
+    const run = (tokenContracts) =>
+      runDepositWatcher({
+        db,
+        adapters: { ETH: eth },
+        tokenContracts,
+        logger: quiet,
+      });
+    assert.deepEqual(await run(), { checked: 1, funded: [] });
+    // Unless it is the contract configured for the token
+    const env = { TOKEN_CONTRACT_USDT: fake, TOKEN_CONTRACT_USDC: "" };
+    assert.deepEqual(tokenContractsFromEnv(env), { USDT: fake });
+    assert.deepEqual(await run(tokenContractsFromEnv(env)), {
+      checked: 1,
+      funded: ["TX1"],
+    });
+  });
+
+  test("a tampered escrow address is flagged, not watched", async () => {
+    const xpub = HDKey.fromMasterSeed(new Uint8Array(32).fill(7)).derive(
+      "m/84'/0'/0'"
+    ).publicExtendedKey;
+    const xpubs = escrowKeysFromEnv({ ESCROW_XPUB_BTC: xpub });
+    const { address } = deriveEscrowAddress("BTC", xpub, 0);
+    const db = createFakeFirestore({
+      "transactions/TX1": { ...btcTx, escrowIndex: 0, escrowWallet: address },
+      "transactions/TX2": { ...btcTx, escrowIndex: 1 },
+    });
+    const chain = createMockAdapter("BTC");
+    chain.send(address, "100500000");
+    chain.send("bc1qescrow", "100500000");
+    chain.mine(2);
+    const errors = [];
+    const run = () =>
+      runDepositWatcher({
+        db,
+        adapters: { BTC: chain },
+        xpubs,
+        logger: { ...quiet, error: (message) => errors.push(message) },
+      });
+
+    assert.deepEqual(await run(), { checked: 1, funded: ["TX1"] });
+    const tx = db.dump("transactions/TX2");
+    assert.equal(tx.escrowAddressMismatch, true);
+    assert.equal(tx.deposits, undefined);
+    assert.deepEqual(auditActions(db, "TX2"), ["escrow_address_mismatch"]);
+    assert.match(errors[0], /TX2 has an escrow address \(bc1qescrow\)/);
+
+    // Flagged once, then left alone
+    await run();
+    assert.equal(errors.length, 1);
+    assert.equal(auditActions(db, "TX2").length, 1);
+  });
+
+  test("a failing node skips its chain for this run", async () => {
+    const { db } = setup();
+    const down = {
+      getDeposits: async () => {
+        throw new Error("ECONNREFUSED");
+      },
+      getTipHeight: async () => 0,
+    };
+    const result = await runDepositWatcher({
+      db,
+      adapters: { BTC: down },
+      logger: quiet,
+    });
+    assert.deepEqual(result, { checked: 0, funded: [] });
+    assert.equal(db.dump("transactions/TX1").status, "waiting_payment");
+  });
+});
@@ -0,0 +1,70 @@
+// tests/unit/digestJob.test.js
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { runDigestJob } from "../../functions/digestJob.js";
+import { createCaptureTransport } from "../../functions/email/index.js";
+import { createFakeFirestore } from "./fakeFirestore.js";
+
+const APP_URL = "https://escrow.example.com";
+const at = (ms) => ({ toMillis: () => ms });
+const quiet = { error: () => {} };
+
+const held = (message, createdAt, delivery) => ({
+  type: "accepted",
+  message,
+  txId: "TX1",
+  createdAt: at(createdAt),
+  digest: "pending",
+  hidden: true,
+  delivery: { inApp: true, email: true, digest: true, ...delivery },
+});
+
+describe("runDigestJob", () => {
+  test("mails each flagged user one summary and releases it", async () => {
+    const db = createFakeFirestore({
+      "users/alice": { email: "alice@example.com", digestPending: true },
+      "users/alice/notifications/n2": held("Second", 2000),
+      "users/alice/notifications/n1": held("First", 1000),
+      "users/alice/notifications/n3": held("Bell only", 3000, { email: false }),
+      "users/bob": { email: "bob@example.com", digestPending: false },
+      "users/bob/notifications/n1": held("Not flagged", 1000),
+    });
+    const transport = createCaptureTransport({ from: "noreply@example.com" });
+
+    const result = await runDigestJob({
+      db,
+      transport,
+      appUrl: APP_URL,
+      logger: quiet,
+    });
+
+    assert.deepEqual(result, { mailed: ["alice"], released: 3 });
+    assert.equal(transport.sent.length, 1);
+    const [mail] = transport.sent;
+    assert.equal(mail.to, "alice@example.com");
+    assert.equal(mail.subject, "Your CryptoEscrow digest: 2 updates");
+    assert.ok(mail.text.indexOf("- First") < mail.text.indexOf("- Second"));
+    assert.ok(!mail.text.includes("Bell only"));
+
+    assert.equal(db.dump("users/alice").digestPending, false);
+    const n1 = db.dump("users/alice/notifications/n1");
+    assert.equal(n1.digest, "sent");
+    assert.equal(n1.hidden, false);
+    assert.equal(n1.email.status, "sent");
+    assert.equal(db.dump("users/alice/notifications/n3").email, undefined);
+    assert.equal(db.dump("users/bob/notifications/n1").digest, "pending");
+  });
+
+  test("without a transport the batch is still shown in the bell", async () => {
+    const db = createFakeFirestore({
+      "users/alice": { email: "alice@example.com", digestPending: true },
+      "users/alice/notifications/n1": held("First", 1000),
+    });
+    const result = await runDigestJob({ db, appUrl: APP_URL, logger: quiet });
+    assert.deepEqual(result, { mailed: [], released: 1 });
+    const n1 = db.dump("users/alice/notifications/n1");
+    assert.equal(n1.hidden, false);
+    assert.equal(n1.email.status, "skipped");
+  });
+});
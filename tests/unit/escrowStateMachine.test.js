@@ -0,0 +1,387 @@
+// tests/unit/escrowStateMachine.test.js
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  actorRoles,
+  assertTransition,
+  availableActions,
+  canTransition,
+  TRANSITIONS,
+} from "../../src/lib/escrowStateMachine.js";
+
+// The creator sells, the invited party buys
+const txIn = (status) => ({
+  status,
+  creator: "sam",
+  creatorRole: "seller",
+  invited: "bea",
+  invitedRole: "buyer",
+});
+
+// The same escrow paid out in milestones
+const stagedIn = (status) => ({
+  ...txIn(status),
+  milestones: { m1: { index: 0, amount: "100", status: "pending" } },
+});
+
+// A completed 2-of-3 multisig escrow, before and after the payout proposal
+const multisigIn = (status, psbt = null) => ({
+  ...txIn(status),
+  custody: "multisig",
+  escrowWallet: "bc1q-escrow",
+  multisig: { psbt, finalTx: null },
+});
+
+// An ETH escrow held by an EthEscrow contract
+const contractIn = (status) => ({ ...txIn(status), custody: "contract" });
+
+// Waiting for the buyer to answer the seller's cancellation request
+const cancelRequested = {
+  ...txIn("waiting_payment"),
+  cancellation: {
+    requestedBy: "sam",
+    atStatus: "waiting_payment",
+    response: null,
+  },
+};
+
+const SELLER = { uid: "sam", isAdmin: false };
+const BUYER = { uid: "bea", isAdmin: false };
+const ADMIN = { uid: "ada", isAdmin: true };
+const STRANGER = { uid: "eve", isAdmin: false };
+const ARBITER = { uid: "art", isArbiter: true };
+const SYSTEM = { uid: null, isSystem: true };
+
+describe("actorRoles", () => {
+  test("maps creator and invited to their trading side", () => {
+    assert.deepEqual(actorRoles(txIn("waiting_payment"), SELLER), [
+      "creator",
+      "seller",
+    ]);
+    assert.deepEqual(actorRoles(txIn("waiting_payment"), BUYER), [
+      "invited",
+      "buyer",
+    ]);
+  });
+
+  test("admin is a role of its own, not a participant", () => {
+    assert.deepEqual(actorRoles(txIn("waiting_payment"), ADMIN), ["admin"]);
+    const own = { ...txIn("waiting_payment"), creator: "ada" };
+    assert.deepEqual(actorRoles(own, ADMIN), ["admin", "creator", "seller"]);
+  });
+
+  test("only the other participant responds to a dispute", () => {
+    const tx = { ...txIn("dispute_open"), dispute: { openedBy: "bea" } };
+    assert.ok(actorRoles(tx, SELLER).includes("respondent"));
+    assert.ok(!actorRoles(tx, BUYER).includes("respondent"));
+    assert.ok(!actorRoles(tx, ADMIN).includes("respondent"));
+  });
+
+  test("only the other participant answers a cancellation", () => {
+    assert.ok(actorRoles(cancelRequested, BUYER).includes("counterparty"));
+    assert.ok(!actorRoles(cancelRequested, SELLER).includes("counterparty"));
+  });
+
+  test("server-side jobs act as the system", () => {
+    assert.deepEqual(actorRoles(txIn("waiting_payment"), SYSTEM), ["system"]);
+  });
+
+  test("strangers and missing input hold no roles", () => {
+    assert.deepEqual(actorRoles(txIn("waiting_payment"), STRANGER), []);
+    assert.deepEqual(actorRoles(null, SELLER), []);
+    assert.deepEqual(actorRoles(txIn("waiting_payment"), null), []);
+  });
+});
+
+describe("TRANSITIONS", () => {
+  // action => [transaction in a status it starts from, actors allowed,
+  // actors refused]
+  const cases = {
+    claimInvite: [
+      { ...txIn("pending_invite"), invited: null },
+      [SYSTEM],
+      [SELLER, ADMIN, STRANGER],
+    ],
+    accept: [txIn("pending_acceptance"), [BUYER], [SELLER, ADMIN, STRANGER]],
+    reject: [txIn("pending_acceptance"), [BUYER], [SELLER, ADMIN, STRANGER]],
+    withdraw: [
+      txIn("pending_acceptance"),
+      [SELLER],
+      [BUYER, ADMIN, STRANGER],
+    ],
+    markPaymentSent: [
+      txIn("waiting_payment"),
+      [SELLER, ADMIN],
+      [BUYER, ARBITER, STRANGER],
+    ],
+    confirmPayment: [
+      txIn("awaiting_confirmation"),
+      [ADMIN],
+      [SELLER, BUYER, ARBITER, STRANGER],
+    ],
+    detectPayment: [
+      txIn("waiting_payment"),
+      [SYSTEM],
+      [SELLER, BUYER, ADMIN, STRANGER],
+    ],
+    releaseGoods: [
+      txIn("payment_received"),
+      [SELLER],
+      [BUYER, ADMIN, STRANGER],
+    ],
+    approveFunds: [
+      txIn("goods_released"),
+      [BUYER],
+      [SELLER, ADMIN, STRANGER],
+    ],
+    deliverMilestone: [
+      stagedIn("payment_received"),
+      [SELLER],
+      [BUYER, ADMIN, STRANGER],
+    ],
+    approveMilestone: [
+      stagedIn("payment_received"),
+      [BUYER, SYSTEM],
+      [SELLER, ADMIN, STRANGER],
+    ],
+    completeMilestones: [
+      stagedIn("payment_received"),
+      [BUYER, SYSTEM],
+      [SELLER, ADMIN, STRANGER],
+    ],
+    expire: [
+      txIn("pending_acceptance"),
+      [SYSTEM],
+      [SELLER, BUYER, ADMIN, STRANGER],
+    ],
+    cancelUnfunded: [
+      txIn("waiting_payment"),
+      [SYSTEM],
+      [SELLER, BUYER, ADMIN, STRANGER],
+    ],
+    autoRelease: [
+      txIn("goods_released"),
+      [SYSTEM],
+      [SELLER, BUYER, ADMIN, STRANGER],
+    ],
+    requestCancel: [
+      txIn("waiting_payment"),
+      [SELLER, BUYER],
+      [ADMIN, STRANGER],
+    ],
+    acceptCancel: [cancelRequested, [BUYER], [SELLER, ADMIN, STRANGER]],
+    declineCancel: [cancelRequested, [BUYER], [SELLER, ADMIN, STRANGER]],
+    openDispute: [
+      txIn("payment_received"),
+      [SELLER, BUYER],
+      [ADMIN, ARBITER, STRANGER],
+    ],
+    respondDispute: [
+      { ...txIn("dispute_open"), dispute: { openedBy: "bea" } },
+      [SELLER],
+      [BUYER, ADMIN, ARBITER, STRANGER],
+    ],
+    markUnderReview: [
+      txIn("dispute_responded"),
+      [ADMIN, ARBITER],
+      [SELLER, BUYER, STRANGER],
+    ],
+    refund: [txIn("under_review"), [ADMIN, ARBITER], [SELLER, BUYER, STRANGER]],
+    settle: [
+      txIn("goods_released"),
+      [ADMIN],
+      [SELLER, BUYER, ARBITER, STRANGER],
+    ],
+    ruleRelease: [
+      txIn("dispute_responded"),
+      [ADMIN, ARBITER],
+      [SELLER, BUYER, STRANGER],
+    ],
+    ruleRefund: [
+      txIn("under_review"),
+      [ADMIN, ARBITER],
+      [SELLER, BUYER, STRANGER],
+    ],
+    ruleSplit: [
+      txIn("dispute_open"),
+      [ADMIN, ARBITER],
+      [SELLER, BUYER, STRANGER],
+    ],
+    recordPayout: [
+      txIn("completed"),
+      [ADMIN],
+      [SELLER, BUYER, ARBITER, STRANGER],
+    ],
+    updatePayout: [
+      txIn("refunded"),
+      [ADMIN],
+      [SELLER, BUYER, ARBITER, STRANGER],
+    ],
+    proposePayout: [
+      multisigIn("completed"),
+      [SELLER, BUYER, ADMIN],
+      [ARBITER, STRANGER],
+    ],
+    signPayout: [
+      multisigIn("settled_split", "cHNidP8B"),
+      [SELLER, BUYER, ADMIN],
+      [ARBITER, STRANGER],
+    ],
+    contractReleased: [
+      contractIn("goods_released"),
+      [SYSTEM],
+      [SELLER, BUYER, ADMIN, ARBITER],
+    ],
+    contractRefunded: [
+      contractIn("dispute_open"),
+      [SYSTEM],
+      [SELLER, BUYER, ADMIN, ARBITER],
+    ],
+  };
+
+  test("every action has a case", () => {
+    assert.deepEqual(
+      Object.keys(cases).sort(),
+      Object.keys(TRANSITIONS).sort()
+    );
+  });
+
+  for (const [action, [tx, allowed, refused]] of Object.entries(cases)) {
+    test(`${action} from ${tx.status}`, () => {
+      for (const actor of allowed) {
+        assert.equal(canTransition(tx, action, actor), true, actor.uid);
+        assert.equal(assertTransition(tx, action, actor), TRANSITIONS[action]);
+      }
+      for (const actor of refused) {
+        assert.equal(canTransition(tx, action, actor), false, actor.uid);
+        assert.throws(() => assertTransition(tx, action, actor), {
+          name: "TransitionError",
+          code: "escrow/transition-not-allowed",
+        });
+      }
+    });
+  }
+
+  test("end states allow nothing but payouts", () => {
+    const payouts = ["recordPayout", "updatePayout"];
+    for (const status of ["completed", "refunded", "settled_split"]) {
+      assert.deepEqual(availableActions(txIn(status), ADMIN), payouts);
+      assert.deepEqual(availableActions(txIn(status), SELLER), []);
+      assert.deepEqual(availableActions(txIn(status), BUYER), []);
+    }
+    // A multisig payout is signed by the parties themselves
+    assert.deepEqual(availableActions(multisigIn("refunded"), BUYER), [
+      "proposePayout",
+    ]);
+    const signed = multisigIn("refunded", "cHNidP8B");
+    signed.multisig.finalTx = "0200";
+    assert.deepEqual(availableActions(signed, SELLER), []);
+    // A contract pays out by itself
+    assert.deepEqual(availableActions(contractIn("completed"), ADMIN), []);
+    for (const status of ["rejected", "expired", "cancelled"]) {
+      assert.deepEqual(availableActions(txIn(status), ADMIN), []);
+      assert.deepEqual(availableActions(txIn(status), SELLER), []);
+      assert.deepEqual(availableActions(txIn(status), BUYER), []);
+    }
+  });
+});
+
+describe("assertTransition", () => {
+  test("refuses an unknown action", () => {
+    assert.throws(() => assertTransition(txIn("waiting_payment"), "x", ADMIN), {
+      message: 'Transition not allowed: unknown action "x".',
+    });
+  });
+
+  test("refuses the wrong status before checking roles", () => {
+    assert.throws(
+      () => assertTransition(txIn("completed"), "approveFunds", STRANGER),
+      {
+        name: "TransitionError",
+        message:
+          "Transition not allowed: cannot approve the release of funds " +
+          "while the escrow is completed.",
+        action: "approveFunds",
+        status: "completed",
+      }
+    );
+  });
+
+  test("keeps milestone and single-release steps apart", () => {
+    const staged = stagedIn("payment_received");
+    assert.throws(() => assertTransition(staged, "releaseGoods", SELLER), {
+      message:
+        "Transition not allowed: cannot mark goods as released on this " +
+        "escrow.",
+    });
+    assert.equal(
+      canTransition(txIn("payment_received"), "approveMilestone", BUYER),
+      false
+    );
+  });
+
+  test("contract escrows settle on chain only", () => {
+    const inspected = contractIn("goods_released");
+    assert.equal(canTransition(inspected, "autoRelease", SYSTEM), false);
+    assert.equal(canTransition(inspected, "approveFunds", BUYER), true);
+    assert.equal(
+      canTransition(txIn("goods_released"), "contractReleased", SYSTEM),
+      false
+    );
+  });
+
+  test("a cancellation request is answered once, in its own status", () => {
+    assert.equal(canTransition(cancelRequested, "requestCancel", BUYER), false);
+    const answered = {
+      ...cancelRequested,
+      cancellation: { ...cancelRequested.cancellation, response: {} },
+    };
+    assert.equal(canTransition(answered, "acceptCancel", BUYER), false);
+    const movedOn = { ...cancelRequested, status: "awaiting_confirmation" };
+    assert.equal(canTransition(movedOn, "acceptCancel", BUYER), false);
+    const funded = { ...cancelRequested, deposits: [{ amount: "1" }] };
+    assert.equal(canTransition(funded, "acceptCancel", BUYER), false);
+  });
+
+  test("names the roles that may act", () => {
+    assert.throws(
+      () => assertTransition(txIn("waiting_payment"), "markPaymentSent", BUYER),
+      {
+        message:
+          "Transition not allowed: only the seller or admin can mark " +
+          "payment as sent.",
+      }
+    );
+  });
+
+  test("refuses a missing transaction", () => {
+    assert.throws(() => assertTransition(null, "accept", BUYER), {
+      message:
+        "Transition not allowed: cannot accept the transaction while the " +
+        "escrow is unknown.",
+      status: null,
+    });
+  });
+});
+
+describe("availableActions", () => {
+  test("lists what each side may do next", () => {
+    assert.deepEqual(availableActions(txIn("pending_acceptance"), BUYER), [
+      "accept",
+      "reject",
+    ]);
+    assert.deepEqual(availableActions(txIn("awaiting_confirmation"), ADMIN), [
+      "confirmPayment",
+      "markUnderReview",
+      "refund",
+    ]);
+    assert.deepEqual(availableActions(txIn("pending_invite"), SELLER), [
+      "withdraw",
+    ]);
+    assert.deepEqual(availableActions(txIn("payment_received"), SELLER), [
+      "releaseGoods",
+      "openDispute",
+    ]);
+  });
+});
@@ -0,0 +1,240 @@
+// tests/unit/ethContract.test.js
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  ContractError,
+  contractDeadline,
+  contractMismatches,
+  contractTerms,
+  createEscrowCall,
+  decodeView,
+  encodeCall,
+  ESCROW_CREATED_TOPIC,
+  escrowFromReceipt,
+  escrowRef,
+  selector,
+  settlementCall,
+} from "../../src/lib/ethContract.js";
+
+const BUYER = "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed";
+const SELLER = "0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359";
+const FACTORY = "0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB";
+const INSTANCE = "0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb";
+
+const word = (hex) => hex.padStart(64, "0");
+
+describe("ABI encoding", () => {
+  test("selectors are the first four bytes of the signature's keccak", () => {
+    assert.equal(selector("transfer(address,uint256)"), "0xa9059cbb");
+    assert.equal(selector("balanceOf(address)"), "0x70a08231");
+    assert.equal(selector("release()"), "0x86d1a69f");
+  });
+
+  test("encodes static arguments as 32-byte words", () => {
+    assert.equal(
+      encodeCall("transfer(address,uint256)", [BUYER, "1000000"]),
+      "0xa9059cbb" +
+        word("5aaeb6053f3e94c9b9a09f33669435e7ef1beaed") +
+        word("f4240")
+    );
+    assert.equal(encodeCall("release()"), "0x86d1a69f");
+    const ref = escrowRef("");
+    // keccak256 of the empty string
+    assert.equal(
+      ref,
+      "0xc5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470"
+    );
+    assert.equal(
+      encodeCall("f(bytes32,uint64)", [ref, 7]),
+      `${selector("f(bytes32,uint64)")}${ref.slice(2)}${word("7")}`
+    );
+  });
+
+  test("refuses values that do not fit their type", () => {
+    const invalid = [
+      ["transfer(address,uint256)", ["0x1234", "1"], /Not an Ethereum/],
+      ["transfer(address,uint256)", [BUYER, "-1"], /does not fit/],
+      ["f(uint64)", [(1n << 64n).toString()], /does not fit in a uint64/],
+      ["f(bytes32)", ["0x12"], /Not a 32-byte/],
+      ["f(string)", ["x"], /Unsupported ABI type/],
+      ["transfer(address,uint256)", [BUYER], /Expected 2 arguments, got 1/],
+    ];
+    for (const [signature, args, expected] of invalid) {
+      assert.throws(() => encodeCall(signature, args), (err) => {
+        assert.ok(err instanceof ContractError);
+        assert.equal(err.code, "escrow/invalid-contract");
+        assert.match(err.message, expected);
+        return true;
+      });
+    }
+  });
+});
+
+describe("decodeView", () => {
+  test("decodes each getter's type", () => {
+    assert.equal(
+      decodeView("buyer", `0x${word(BUYER.slice(2).toLowerCase())}`),
+      BUYER
+    );
+    assert.equal(
+      decodeView("amount", `0x${word("de0b6b3a7640000")}`),
+      "1000000000000000000"
+    );
+    assert.equal(decodeView("deadline", `0x${word("6553f100")}`), 1700000000);
+    assert.equal(decodeView("state", `0x${word("1")}`), "funded");
+    assert.equal(decodeView("state", `0x${word("9")}`), null);
+  });
+
+  test("refuses unknown getters and malformed return data", () => {
+    assert.throws(() => decodeView("owner", `0x${word("1")}`), /Unknown/);
+    assert.throws(() => decodeView("amount", "0x"), /Unexpected return/);
+    assert.throws(() => decodeView("amount", null), ContractError);
+  });
+});
+
+describe("creating instances", () => {
+  const tx = {
+    currency: "ETH",
+    amount: "1000000000000000000",
+    fee: {
+      payer: "split",
+      percentBps: 100,
+      total: "10000000000000000",
+      buyer: "5000000000000000",
+      seller: "5000000000000000",
+    },
+    buyerWallet: BUYER,
+    sellerWallet: SELLER,
+    contract: { deadline: 1700000000 },
+  };
+
+  test("terms come from the escrow, in wei", () => {
+    assert.deepEqual(contractTerms(tx), {
+      buyer: BUYER,
+      seller: SELLER,
+      amount: "1000000000000000000",
+      buyerFee: "5000000000000000",
+      sellerFee: "5000000000000000",
+      deadline: 1700000000,
+    });
+    const { buyerFee } = contractTerms({ ...tx, fee: undefined });
+    assert.equal(buyerFee, "0");
+  });
+
+  test("the factory call carries the terms and the escrow reference", () => {
+    const data = createEscrowCall(contractTerms(tx), "TX1");
+    // Selector and seven words
+    assert.equal(data.length, 2 + 8 + 7 * 64);
+    assert.equal(
+      data.slice(0, 10),
+      selector(
+        "createEscrow(address,address,uint256,uint256,uint256,uint64,bytes32)"
+      )
+    );
+    assert.ok(data.endsWith(escrowRef("TX1").slice(2)));
+  });
+
+  test("the deadline adds the grace days to the escrow's windows", () => {
+    const deadlines = {
+      acceptanceHours: 48,
+      fundingHours: 24,
+      inspectionHours: 168,
+    };
+    const now = Date.UTC(2024, 0, 1);
+    assert.equal(
+      contractDeadline(deadlines, now),
+      now / 1000 + 240 * 3600 + 14 * 24 * 3600
+    );
+  });
+
+  test("reads the new instance from the factory's event", () => {
+    const receipt = {
+      logs: [
+        { address: INSTANCE, topics: ["0x01"] },
+        {
+          address: FACTORY.toLowerCase(),
+          topics: [
+            ESCROW_CREATED_TOPIC,
+            `0x${word(INSTANCE.slice(2).toLowerCase())}`,
+          ],
+        },
+      ],
+    };
+    assert.equal(escrowFromReceipt(receipt, FACTORY), INSTANCE);
+    assert.throws(
+      () => escrowFromReceipt({ logs: receipt.logs.slice(0, 1) }, FACTORY),
+      /did not report a new escrow/
+    );
+  });
+});
+
+describe("contractMismatches", () => {
+  const terms = {
+    buyer: BUYER,
+    seller: SELLER,
+    amount: "100",
+    buyerFee: "1",
+    sellerFee: "1",
+    deadline: 1700000000,
+  };
+
+  test("an instance with the same terms matches", () => {
+    const onchain = { ...terms, buyer: BUYER.toLowerCase(), state: "funded" };
+    assert.deepEqual(contractMismatches(terms, onchain), []);
+  });
+
+  test("names every term that differs", () => {
+    const onchain = {
+      ...terms,
+      seller: BUYER,
+      amount: "99",
+      sellerFee: "0",
+      deadline: 1800000000,
+    };
+    assert.deepEqual(contractMismatches(terms, onchain), [
+      `its seller is ${BUYER}, not ${SELLER}`,
+      "its amount is 99 wei, not 100",
+      "its sellerFee is 0 wei, not 1",
+      "its deadline is 1800000000, not 1700000000",
+    ]);
+  });
+
+  test("any deadline goes for instances deployed outside the app", () => {
+    const onchain = { ...terms, deadline: 1800000000 };
+    assert.deepEqual(
+      contractMismatches({ ...terms, deadline: undefined }, onchain),
+      []
+    );
+  });
+});
+
+describe("settlementCall", () => {
+  const allocation = {
+    seller: "600",
+    buyer: "390",
+    fee: "10",
+    total: "1000",
+  };
+
+  test("a split pays both sides and leaves the fee", () => {
+    assert.deepEqual(settlementCall(allocation, 1000n), {
+      name: "split",
+      data: encodeCall("split(uint256,uint256)", ["600", "390"]),
+    });
+  });
+
+  test("everything back to the buyer is a plain refund", () => {
+    const refund = { name: "refund", data: selector("refund()") };
+    assert.deepEqual(settlementCall(null, 1000n), refund);
+    const all = { seller: "0", buyer: "1000", fee: "0", total: "1000" };
+    assert.deepEqual(settlementCall(all, 5n), refund);
+  });
+
+  test("the allocation must cover exactly what the contract holds", () => {
+    assert.throws(
+      () => settlementCall(allocation, 1001n),
+      /holds 1001 wei but the allocation covers 1000/
+    );
+  });
+});
@@ -0,0 +1,52 @@
+// tests/unit/explorers.test.js
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  explorerAddressUrl,
+  explorerTxUrl,
+  isValidTxid,
+  normalizeTxid,
+} from "../../src/lib/explorers.js";
+
+const TXID = "ab".repeat(32);
+
+describe("isValidTxid", () => {
+  test("64 hex digits, 0x-prefixed on Ethereum", () => {
+    assert.equal(isValidTxid("BTC", TXID), true);
+    assert.equal(isValidTxid("BCH", ` ${TXID.toUpperCase()}\n`), true);
+    assert.equal(isValidTxid("ETH", `0x${TXID}`), true);
+    assert.equal(isValidTxid("ETH", TXID), false);
+    assert.equal(isValidTxid("BTC", `0x${TXID}`), false);
+    assert.equal(isValidTxid("BTC", TXID.slice(2)), false);
+    assert.equal(isValidTxid("DOGE", TXID), false);
+  });
+
+  test("normalizeTxid trims and lower-cases", () => {
+    assert.equal(normalizeTxid(` 0X${TXID.toUpperCase()} `), `0x${TXID}`);
+    assert.equal(normalizeTxid(null), "");
+  });
+});
+
+describe("explorer links", () => {
+  test("each currency's explorer", () => {
+    assert.equal(
+      explorerTxUrl("BTC", TXID),
+      `https://mempool.space/tx/${TXID}`
+    );
+    assert.equal(
+      explorerTxUrl("BCH", TXID),
+      `https://blockchair.com/bitcoin-cash/transaction/${TXID}`
+    );
+    assert.equal(
+      explorerAddressUrl("ETH", "0xabc"),
+      "https://etherscan.io/address/0xabc"
+    );
+  });
+
+  test("nothing for unknown currencies or blanks", () => {
+    assert.equal(explorerTxUrl("DOGE", TXID), null);
+    assert.equal(explorerTxUrl("BTC", ""), null);
+    assert.equal(explorerAddressUrl("BTC", null), null);
+  });
+});
@@ -0,0 +1,146 @@
+// tests/unit/fakeFirestore.js
+//
+// In-memory stand-in for the firebase-admin Firestore API the functions use
+// (doc / collection / where / batch / runTransaction), so jobs and triggers
+// can be unit-tested without the emulator. Writes are stored as given:
+// FieldValue sentinels stay sentinels, dotted update keys set nested fields.
+
+import { randomBytes } from "node:crypto";
+
+const fieldOf = (data, path) =>
+  path.split(".").reduce((value, key) => value?.[key], data);
+
+function setField(data, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let target = data;
+  for (const key of keys) {
+    target[key] = { ...(target[key] || {}) };
+    target = target[key];
+  }
+  target[last] = value;
+}
+
+const matches = (data, { field, op, value }) => {
+  const actual = fieldOf(data, field);
+  if (op === "==") return actual === value;
+  if (op === "in") return value.includes(actual);
+  if (op === "array-contains") return actual?.includes(value) ?? false;
+  throw new Error(`Unsupported operator ${op}`);
+};
+
+export function createFakeFirestore(initial = {}) {
+  const store = new Map(
+    Object.entries(initial).map(([path, data]) => [path, { ...data }])
+  );
+
+  const snapshot = (ref) => {
+    const data = store.get(ref.path);
+    return {
+      id: ref.id,
+      ref,
+      exists: data !== undefined,
+      data: () => (data === undefined ? undefined : { ...data }),
+    };
+  };
+
+  const write = {
+    set(ref, data) {
+      store.set(ref.path, { ...data });
+    },
+    create(ref, data) {
+      if (store.has(ref.path)) throw new Error(`${ref.path} already exists`);
+      store.set(ref.path, { ...data });
+    },
+    update(ref, fields) {
+      const current = store.get(ref.path);
+      if (!current) throw new Error(`No document to update: ${ref.path}`);
+      const next = { ...current };
+      for (const [key, value] of Object.entries(fields)) {
+        setField(next, key, value);
+      }
+      store.set(ref.path, next);
+    },
+  };
+
+  function doc(path) {
+    const ref = {
+      id: path.split("/").pop(),
+      path,
+      get: async () => snapshot(ref),
+      set: async (data) => write.set(ref, data),
+      update: async (fields) => write.update(ref, fields),
+      collection: (name) => collection(`${path}/${name}`),
+    };
+    return ref;
+  }
+
+  function query(path, filters = [], max = Infinity) {
+    const depth = path.split("/").length + 1;
+    return {
+      where: (field, op, value) =>
+        query(path, [...filters, { field, op, value }], max),
+      limit: (n) => query(path, filters, n),
+      async get() {
+        const docs = [...store.keys()]
+          .filter(
+            (p) => p.startsWith(`${path}/`) && p.split("/").length === depth
+          )
+          .map((p) => snapshot(doc(p)))
+          .filter((s) => filters.every((f) => matches(s.data(), f)))
+          .slice(0, max);
+        return { docs, empty: docs.length === 0, size: docs.length };
+      },
+    };
+  }
+
+  function collection(path) {
+    return {
+      ...query(path),
+      doc: (id = randomBytes(10).toString("hex")) => doc(`${path}/${id}`),
+      async add(data) {
+        const ref = doc(`${path}/${randomBytes(10).toString("hex")}`);
+        write.create(ref, data);
+        return ref;
+      },
+    };
+  }
+
+  return {
+    doc,
+    collection,
+
+    batch() {
+      const ops = [];
+      return {
+        set: (ref, data) => ops.push(() => write.set(ref, data)),
+        update: (ref, fields) => ops.push(() => write.update(ref, fields)),
+        commit: async () => ops.forEach((op) => op()),
+      };
+    },
+
+    // Writes apply when the callback resolves, none if it throws
+    async runTransaction(fn) {
+      const ops = [];
+      const result = await fn({
+        get: async (ref) => snapshot(ref),
+        set: (ref, data) => ops.push(() => write.set(ref, data)),
+        create: (ref, data) => ops.push(() => write.create(ref, data)),
+        update: (ref, fields) => ops.push(() => write.update(ref, fields)),
+      });
+      ops.forEach((op) => op());
+      return result;
+    },
+
+    /** Stored data at `path` (for assertions), or undefined. */
+    dump: (path) => store.get(path),
+
+    /** Paths of the documents directly in a collection. */
+    list: (path) =>
+      [...store.keys()].filter(
+        (p) =>
+          p.startsWith(`${path}/`) &&
+          p.split("/").length === path.split("/").length + 1
+      ),
+  };
+}
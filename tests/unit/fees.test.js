@@ -0,0 +1,136 @@
+// tests/unit/fees.test.js
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  amountDue,
+  calculateFee,
+  describeFee,
+  FeeError,
+  feeRate,
+  FEE_SCHEDULES,
+  feeShortfall,
+  formatAmountDue,
+  sellerNet,
+} from "../../src/lib/fees.js";
+
+const totalOf = (amount, currency) =>
+  calculateFee(amount, currency, "seller").total;
+
+describe("calculateFee", () => {
+  test("tiers lower the rate above their threshold", () => {
+    // Exactly 1 BTC is not above the 1 BTC tier
+    assert.equal(totalOf("100000000", "BTC"), "1000000");
+    assert.equal(calculateFee("100000001", "BTC", "seller").percentBps, 75);
+    assert.equal(totalOf("200000000", "BTC"), "1500000");
+    assert.equal(totalOf("2000000000", "BTC"), "10000000");
+    assert.equal(feeRate(FEE_SCHEDULES.BCH, 10000000001n), 50);
+  });
+
+  test("rounds up to the next base unit", () => {
+    // 123.456789 USDT at 1% is 1.23456789 USDT
+    assert.equal(totalOf("123456789", "USDT"), "1234568");
+    assert.equal(totalOf("123456700", "USDT"), "1234567");
+    // Wei amounts beyond float precision stay exact
+    assert.equal(totalOf("1234567890123456789", "ETH"), "12345678901234568");
+  });
+
+  test("never goes below the currency's minimum", () => {
+    assert.equal(totalOf("100000", "BTC"), "10000");
+    assert.equal(totalOf("5000000", "USDC"), "1000000");
+  });
+
+  test("refuses amounts the minimum fee would swallow", () => {
+    assert.throws(() => calculateFee("10000", "BTC", "buyer"), {
+      name: "FeeError",
+      message: "The amount is too small: the minimum fee is 0.0001 BTC.",
+    });
+  });
+
+  test("splits between the payers, the odd unit to the seller", () => {
+    const amount = "123456689"; // fee 1234567
+    assert.deepEqual(calculateFee(amount, "USDT", "split"), {
+      payer: "split",
+      percentBps: 100,
+      total: "1234567",
+      buyer: "617283",
+      seller: "617284",
+    });
+    const buyer = calculateFee(amount, "USDT", "buyer");
+    assert.equal(buyer.buyer, "1234567");
+    assert.equal(buyer.seller, "0");
+    const seller = calculateFee(amount, "USDT", "seller");
+    assert.equal(seller.buyer, "0");
+    assert.equal(seller.seller, "1234567");
+  });
+
+  test("rejects unknown currencies and payers", () => {
+    assert.throws(() => calculateFee("100000000", "DOGE", "split"), FeeError);
+    assert.throws(
+      () => calculateFee("100000000", "BTC", "nobody"),
+      /Choose who pays the fee/
+    );
+  });
+
+  test("takes other schedules", () => {
+    const schedules = { BTC: { percentBps: 250, minimum: "1" } };
+    assert.equal(calculateFee("1000", "BTC", "seller", schedules).total, "25");
+  });
+});
+
+describe("amounts with the fee", () => {
+  const tx = {
+    currency: "BTC",
+    amount: "100000000",
+    fee: calculateFee("100000000", "BTC", "split"),
+  };
+
+  test("the buyer deposits their share on top", () => {
+    assert.equal(amountDue(tx), 100500000n);
+    assert.equal(formatAmountDue(tx), "1.005 BTC");
+  });
+
+  test("the seller's share comes off the payout", () => {
+    assert.equal(sellerNet(tx), 99500000n);
+  });
+
+  test("transactions without a fee owe just the amount", () => {
+    const legacy = { currency: "BTC", amount: "100000000" };
+    assert.equal(amountDue(legacy), 100000000n);
+    assert.equal(sellerNet(legacy), 100000000n);
+    assert.equal(describeFee(legacy.fee, "BTC"), "No fee");
+    assert.equal(formatAmountDue({ currency: "BTC", amount: 1.5 }), "1.5 BTC");
+  });
+
+  test("describeFee", () => {
+    assert.equal(describeFee(tx.fee, "BTC"), "0.01 BTC (1%), split 50/50");
+  });
+});
+
+describe("feeShortfall", () => {
+  const tx = {
+    currency: "BTC",
+    amount: "100000000",
+    fee: calculateFee("100000000", "BTC", "split"),
+  };
+
+  test("a fee worked out from the schedule falls short by nothing", () => {
+    assert.equal(feeShortfall(tx), 0n);
+    const more = { ...tx, fee: { ...tx.fee, total: "2000000" } };
+    assert.equal(feeShortfall(more), 0n);
+  });
+
+  test("a lower fee falls short of the schedule", () => {
+    // 0.1% recorded where the schedule asks 1%
+    const cheap = calculateFee("100000000", "BTC", "split", {
+      BTC: { percentBps: 10, minimum: "1" },
+    });
+    assert.equal(feeShortfall({ ...tx, fee: cheap }), 900000n);
+  });
+
+  test("escrows the schedule cannot price", () => {
+    assert.equal(feeShortfall({ currency: "BTC", amount: "100000000" }), null);
+    assert.equal(feeShortfall({ ...tx, amount: 1.5 }), null);
+    assert.equal(feeShortfall({ ...tx, currency: "DOGE" }), null);
+  });
+});
@@ -0,0 +1,353 @@
+// tests/unit/multisig.test.js
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { secp256k1 } from "@noble/curves/secp256k1";
+import { bytesToHex } from "@noble/hashes/utils";
+import {
+  buildPayoutPsbt,
+  describePayoutPsbt,
+  importOwnSignatures,
+  importSignedPsbt,
+  multisigEscrow,
+  MultisigError,
+  parseMultisigScript,
+  planPayout,
+  verifyMultisigAddress,
+} from "../../src/lib/multisig.js";
+import {
+  decodePsbt,
+  encodePsbt,
+  signPsbtInput,
+  txidOf,
+} from "../../src/lib/psbt.js";
+
+// Throwaway keys, one per party
+const PRIVATE = { seller: 1, buyer: 2, escrow: 3, stranger: 4 };
+for (const [role, n] of Object.entries(PRIVATE)) {
+  PRIVATE[role] = n.toString(16).padStart(64, "0");
+}
+const pubkeyOf = (role) =>
+  bytesToHex(secp256k1.getPublicKey(PRIVATE[role], true));
+const pubkeys = {
+  seller: pubkeyOf("seller"),
+  buyer: pubkeyOf("buyer"),
+  escrow: pubkeyOf("escrow"),
+};
+const { witnessScript, address } = multisigEscrow(pubkeys);
+
+const SELLER_WALLET = "bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4";
+const BUYER_WALLET = "3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy";
+const FEE_ADDRESS = "1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa";
+
+// 1 BTC with a 1% fee split between the sides, paid in two deposits
+const tx = {
+  currency: "BTC",
+  amount: "100000000",
+  fee: {
+    payer: "split",
+    percentBps: 100,
+    total: "1000000",
+    buyer: "500000",
+    seller: "500000",
+  },
+  status: "completed",
+  custody: "multisig",
+  multisig: { pubkeys, witnessScript },
+  escrowWallet: address,
+  sellerWallet: SELLER_WALLET,
+  buyerWallet: BUYER_WALLET,
+  deposits: [
+    {
+      txid: "11".repeat(32),
+      amount: "60000000",
+      confirmations: 6,
+      outputs: [{ vout: 0, amount: "60000000" }],
+    },
+    {
+      txid: "22".repeat(32),
+      amount: "40500000",
+      confirmations: 3,
+      outputs: [{ vout: 1, amount: "40500000" }],
+    },
+  ],
+};
+const opts = { feeRate: 2, feeAddress: FEE_ADDRESS };
+
+// A single-deposit escrow of `amount` base units, no platform fee
+const small = (amount, status = "refunded") => ({
+  ...tx,
+  amount: String(amount),
+  fee: null,
+  status,
+  deposits: [
+    {
+      txid: "33".repeat(32),
+      amount: String(amount),
+      confirmations: 3,
+      outputs: [{ vout: 0, amount: String(amount) }],
+    },
+  ],
+});
+
+const amounts = (plan) =>
+  plan.outputs.map(({ label, amount }) => [label, amount]);
+
+describe("multisigEscrow", () => {
+  test("a 2-of-3 P2WSH over the sorted keys", () => {
+    const script = parseMultisigScript(Buffer.from(witnessScript, "hex"));
+    assert.equal(script.m, 2);
+    assert.deepEqual(script.pubkeys, Object.values(pubkeys).sort());
+    assert.match(address, /^bc1q[02-9ac-hj-np-z]{58}$/);
+    // The roles do not change the address, only the keys
+    const swapped = {
+      ...pubkeys,
+      seller: pubkeys.buyer,
+      buyer: pubkeys.seller,
+    };
+    assert.equal(multisigEscrow(swapped).address, address);
+  });
+
+  test("needs three different valid keys", () => {
+    const invalid = [
+      [{ ...pubkeys, buyer: undefined }, "The buyer key is missing."],
+      [{ ...pubkeys, buyer: pubkeys.seller }, /different key/],
+      [{ ...pubkeys, escrow: `04${"11".repeat(32)}` }, /compressed public key/],
+      [{ ...pubkeys, escrow: `02${"ff".repeat(32)}` }, /not a point/],
+    ];
+    for (const [keys, expected] of invalid) {
+      assert.throws(() => multisigEscrow(keys), (err) => {
+        assert.ok(err instanceof MultisigError);
+        assert.match(err.message, new RegExp(expected.source ?? expected));
+        return true;
+      });
+    }
+  });
+
+  test("verifyMultisigAddress re-derives the stored address", () => {
+    assert.equal(verifyMultisigAddress(tx), true);
+    assert.equal(
+      verifyMultisigAddress({ ...tx, escrowWallet: SELLER_WALLET }),
+      false
+    );
+    const tampered = { ...tx.multisig, pubkeys: { ...pubkeys, escrow: "02" } };
+    assert.equal(verifyMultisigAddress({ ...tx, multisig: tampered }), false);
+    assert.equal(verifyMultisigAddress({ ...tx, escrowWallet: null }), null);
+    assert.equal(verifyMultisigAddress({ ...tx, custody: undefined }), null);
+  });
+});
+
+describe("planPayout", () => {
+  test("pays what is owed, the network fee and the rest as fee", () => {
+    const plan = planPayout(tx, opts);
+    assert.deepEqual(
+      plan.inputs.map(({ txid, vout, amount }) => [txid, vout, amount]),
+      [
+        ["11".repeat(32), 0, 60000000n],
+        ["22".repeat(32), 1, 40500000n],
+      ]
+    );
+    // 2 inputs and 2 outputs: 11 + 2 * 105 + 2 * 43 = 307 vB at 2 sat/vB
+    assert.equal(plan.networkFee, 614n);
+    assert.deepEqual(amounts(plan), [
+      ["seller", 99500000n],
+      ["fee", 1000000n - 614n],
+    ]);
+    assert.equal(plan.outputs[1].address, FEE_ADDRESS);
+  });
+
+  test("pays approved milestones out of a refund", () => {
+    const staged = {
+      ...tx,
+      status: "refunded",
+      milestones: {
+        m1: { index: 0, amount: "40000000", status: "approved" },
+        m2: { index: 1, amount: "60000000", status: "pending" },
+      },
+    };
+    const plan = planPayout(staged, opts);
+    // 2 inputs and 3 outputs: 11 + 2 * 105 + 3 * 43 = 350 vB
+    assert.equal(plan.networkFee, 700n);
+    // The fee on what was released, 0.002 BTC, stays with the platform
+    assert.deepEqual(amounts(plan), [
+      ["seller", 39800000n],
+      ["buyer", 60500000n],
+      ["fee", 200000n - 700n],
+    ]);
+  });
+
+  test("a remainder below dust goes to the network fee", () => {
+    // 1 input and 2 outputs: 202 vB, so 404 sat; 400 sat left over
+    const tip = { ...small(100000804, "completed"), amount: "100000000" };
+    const plan = planPayout(tip, opts);
+    assert.equal(plan.networkFee, 804n);
+    assert.deepEqual(amounts(plan), [["seller", 100000000n]]);
+  });
+
+  test("without a remainder the largest payout pays the network fee", () => {
+    const plan = planPayout(small(100000000), opts);
+    assert.equal(plan.networkFee, 404n);
+    assert.deepEqual(amounts(plan), [["buyer", 100000000n - 404n]]);
+
+    const split = {
+      ...small(100000000, "settled_split"),
+      allocation: {
+        seller: "70000000",
+        buyer: "30000000",
+        fee: "0",
+        total: "100000000",
+      },
+    };
+    // 3 outputs estimated: 11 + 105 + 3 * 43 = 245 vB
+    assert.deepEqual(amounts(planPayout(split, opts)), [
+      ["seller", 70000000n - 490n],
+      ["buyer", 30000000n],
+    ]);
+  });
+
+  test("refuses a network fee larger than what is held", () => {
+    assert.throws(
+      () => planPayout(small(1000), { ...opts, feeRate: 10 }),
+      /too small to cover the network fee/
+    );
+    // Just enough to leave a dust-sized output
+    assert.doesNotThrow(() => planPayout(small(404 + 546), opts));
+    assert.throws(() => planPayout(small(404 + 545), opts), MultisigError);
+  });
+
+  test("refuses what it cannot pay out", () => {
+    const invalid = [
+      [tx, { ...opts, feeRate: 0.5 }, /at least 1 sat\/vB/],
+      [tx, { ...opts, feeRate: "fast" }, /at least 1 sat\/vB/],
+      [tx, { ...opts, feeAddress: "0x1234" }, /Platform fee address/],
+      [{ ...tx, sellerWallet: "0x1234" }, opts, /seller's wallet/],
+      [{ ...tx, deposits: [] }, opts, /No deposits recorded/],
+      [{ ...tx, deposits: tx.deposits.slice(1) }, opts, /do not cover/],
+    ];
+    for (const [escrow, options, expected] of invalid) {
+      assert.throws(() => planPayout(escrow, options), expected);
+    }
+  });
+});
+
+describe("payout PSBT", () => {
+  const proposed = { ...tx, multisig: { ...tx.multisig } };
+  proposed.multisig.psbt = buildPayoutPsbt(proposed, opts);
+  // What a wallet holding `role`'s key hands back
+  const signedBy = (role, psbt = proposed.multisig.psbt) => {
+    let signed = decodePsbt(psbt);
+    for (let i = 0; i < signed.inputs.length; i++) {
+      signed = signPsbtInput(signed, i, PRIVATE[role]);
+    }
+    return encodePsbt(signed);
+  };
+
+  test("describes what the signers are asked to sign", () => {
+    const summary = describePayoutPsbt(proposed, proposed.multisig.psbt);
+    assert.deepEqual(summary.outputs, [
+      { address: SELLER_WALLET, amount: "0.995" },
+      { address: FEE_ADDRESS, amount: "0.00999386" },
+    ]);
+    assert.equal(summary.networkFee, "0.00000614");
+    assert.deepEqual(summary.signedBy, []);
+  });
+
+  test("two signatures finalize the payout", () => {
+    const first = importSignedPsbt(proposed, signedBy("buyer"));
+    assert.deepEqual(first.signedBy, ["buyer"]);
+    assert.equal(first.finalTx, null);
+
+    const second = importSignedPsbt(
+      { ...proposed, multisig: { ...proposed.multisig, psbt: first.psbt } },
+      signedBy("seller")
+    );
+    assert.deepEqual(second.signedBy.sort(), ["buyer", "seller"]);
+    assert.equal(
+      second.finalTxid,
+      txidOf(decodePsbt(proposed.multisig.psbt).tx)
+    );
+    // Every input: a dummy, the two signatures in script order, the script
+    for (const input of decodePsbt(second.psbt).inputs) {
+      const [dummy, a, b, script] = input.finalWitness;
+      assert.equal(dummy.length, 0);
+      assert.ok(a.length >= 70 && b.length >= 70);
+      assert.equal(bytesToHex(script), witnessScript);
+    }
+    assert.ok(second.finalTx.includes(witnessScript));
+  });
+
+  test("refuses signatures that are not the escrow's", () => {
+    assert.throws(
+      () => importSignedPsbt(proposed, signedBy("stranger")),
+      /not on this escrow/
+    );
+    // A signature of the first input copied onto the second
+    const psbt = decodePsbt(signedBy("buyer"));
+    const key = pubkeys.buyer;
+    psbt.inputs[1].partialSigs[key] = psbt.inputs[0].partialSigs[key];
+    assert.throws(
+      () => importSignedPsbt(proposed, encodePsbt(psbt)),
+      /Invalid signature on input 1/
+    );
+  });
+
+  test("refuses a PSBT of another transaction", () => {
+    const other = { ...proposed, multisig: { ...proposed.multisig } };
+    other.multisig.psbt = buildPayoutPsbt(other, { ...opts, feeRate: 3 });
+    assert.throws(
+      () => importSignedPsbt(proposed, signedBy("buyer", other.multisig.psbt)),
+      /different transaction/
+    );
+    assert.throws(
+      () => importSignedPsbt(tx, signedBy("buyer")),
+      /No payout has been proposed/
+    );
+  });
+
+  test("a party imports only their own signatures", () => {
+    const both = signedBy("seller", signedBy("buyer"));
+    const own = importOwnSignatures(proposed, both, "buyer");
+    assert.deepEqual(own.signedBy, ["buyer"]);
+    assert.equal(own.finalTx, null);
+    for (const input of decodePsbt(own.psbt).inputs) {
+      assert.deepEqual(Object.keys(input.partialSigs), [pubkeys.buyer]);
+    }
+    assert.throws(
+      () => importOwnSignatures(proposed, signedBy("seller"), "buyer"),
+      /carries no signature of the buyer key/
+    );
+    const keyless = { ...pubkeys, escrow: undefined };
+    assert.throws(
+      () =>
+        importOwnSignatures(
+          { ...proposed, multisig: { ...proposed.multisig, pubkeys: keyless } },
+          both,
+          "escrow"
+        ),
+      /no escrow key/
+    );
+  });
+
+  test("a signature on the wrong input does not count", () => {
+    const psbt = decodePsbt(signedBy("buyer"));
+    const key = pubkeys.buyer;
+    psbt.inputs[1].partialSigs[key] = psbt.inputs[0].partialSigs[key];
+    const own = importOwnSignatures(proposed, encodePsbt(psbt), "buyer");
+    // Input 0 is signed, input 1 is not: the buyer has not signed yet
+    assert.deepEqual(own.signedBy, []);
+    const [first, second] = decodePsbt(own.psbt).inputs;
+    assert.deepEqual(Object.keys(first.partialSigs), [key]);
+    assert.deepEqual(second.partialSigs, {});
+  });
+
+  test("signatures inside a finalized input count", () => {
+    // A wallet holding two keys finalizes the inputs itself
+    const final = importSignedPsbt(
+      proposed,
+      signedBy("seller", signedBy("buyer"))
+    ).psbt;
+    const own = importOwnSignatures(proposed, final, "seller");
+    assert.deepEqual(own.signedBy, ["seller"]);
+    assert.equal(own.finalTx, null);
+  });
+});
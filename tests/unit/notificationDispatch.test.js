@@ -0,0 +1,131 @@
+// tests/unit/notificationDispatch.test.js
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createCaptureTransport } from "../../functions/email/index.js";
+import { dispatchNotification } from "../../functions/notificationDispatch.js";
+import { createFakeFirestore } from "./fakeFirestore.js";
+
+const APP_URL = "https://escrow.example.com";
+
+const tx = {
+  currency: "BTC",
+  decimals: 8,
+  amount: "100000000",
+  status: "waiting_payment",
+  fee: {
+    payer: "split",
+    percentBps: 100,
+    total: "1000000",
+    buyer: "500000",
+    seller: "500000",
+  },
+};
+
+const accepted = {
+  type: "accepted",
+  message: "Bob accepted TX1.",
+  txId: "TX1",
+};
+
+function setup(user) {
+  const db = createFakeFirestore({
+    "users/alice": user,
+    "transactions/TX1": tx,
+  });
+  const transport = createCaptureTransport({ from: "noreply@example.com" });
+  const dispatch = (notification) =>
+    dispatchNotification({
+      db,
+      uid: "alice",
+      notification,
+      transport,
+      appUrl: APP_URL,
+    });
+  return { db, transport, dispatch };
+}
+
+describe("dispatchNotification", () => {
+  test("by default shows the notification and mails it", async () => {
+    const { transport, dispatch } = setup({ email: "alice@example.com" });
+    const fields = await dispatch(accepted);
+    assert.deepEqual(fields.delivery, {
+      inApp: true,
+      email: true,
+      digest: false,
+    });
+    assert.equal(fields.hidden, false);
+    assert.deepEqual(fields.email, { status: "sent" });
+    assert.equal(transport.sent.length, 1);
+    const [mail] = transport.sent;
+    assert.equal(mail.to, "alice@example.com");
+    assert.equal(mail.subject, "Escrow TX1 was accepted");
+    assert.match(mail.text, /^Bob accepted TX1\./);
+    assert.match(mail.text, /https:\/\/escrow\.example\.com\/\?tx=TX1/);
+  });
+
+  test("email off: shown in the bell only", async () => {
+    const { transport, dispatch } = setup({
+      email: "alice@example.com",
+      notificationPrefs: { accepted: { email: false } },
+    });
+    const fields = await dispatch(accepted);
+    assert.equal(fields.hidden, false);
+    assert.equal(fields.email.status, "skipped");
+    assert.equal(transport.sent.length, 0);
+  });
+
+  test("in-app off: hidden from the bell, still mailed", async () => {
+    const { transport, dispatch } = setup({
+      email: "alice@example.com",
+      notificationPrefs: { accepted: { inApp: false } },
+    });
+    const fields = await dispatch(accepted);
+    assert.equal(fields.hidden, true);
+    assert.equal(transport.sent.length, 1);
+  });
+
+  test("digest: held back and the user flagged", async () => {
+    const { db, transport, dispatch } = setup({
+      email: "alice@example.com",
+      notificationPrefs: { accepted: { delivery: "digest" } },
+    });
+    const fields = await dispatch(accepted);
+    assert.equal(fields.hidden, true);
+    assert.equal(fields.digest, "pending");
+    assert.deepEqual(fields.email, { status: "digest" });
+    assert.equal(transport.sent.length, 0);
+    assert.equal(db.dump("users/alice").digestPending, true);
+  });
+
+  test("events without a template are not mailed", async () => {
+    const { transport, dispatch } = setup({ email: "alice@example.com" });
+    const fields = await dispatch({ type: "custom", message: "Hi" });
+    assert.deepEqual(fields.email, {
+      status: "skipped",
+      reason: "no template",
+    });
+    assert.equal(transport.sent.length, 0);
+  });
+
+  test("a failing transport is recorded, not thrown", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const { db } = setup({ email: "alice@example.com" });
+    const fields = await dispatchNotification({
+      db,
+      uid: "alice",
+      notification: accepted,
+      transport: {
+        name: "broken",
+        send: async () => {
+          throw new Error("connection refused");
+        },
+      },
+      appUrl: APP_URL,
+    });
+    assert.deepEqual(fields.email, {
+      status: "failed",
+      reason: "connection refused",
+    });
+  });
+});
@@ -0,0 +1,68 @@
+// tests/unit/paymentProof.test.js
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  buildPaymentProof,
+  duplicatePaymentProofs,
+  isProofSeenOnChain,
+  PaymentProofError,
+} from "../../src/lib/deposits.js";
+
+const TXID = "ab".repeat(32);
+const FROM = "bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4";
+const tx = { currency: "BTC", amount: "100000000" };
+
+describe("buildPaymentProof", () => {
+  test("records the normalized txid and the optional sender", () => {
+    assert.deepEqual(
+      buildPaymentProof({ txid: ` ${TXID.toUpperCase()} ` }, tx, "sam", 7),
+      { txid: TXID, fromAddress: null, by: "sam", at: 7 }
+    );
+    const proof = buildPaymentProof({ txid: TXID, fromAddress: FROM }, tx);
+    assert.equal(proof.fromAddress, FROM);
+  });
+
+  test("requires a txid of the escrow's currency", () => {
+    assert.throws(() => buildPaymentProof({ txid: " " }, tx), {
+      name: "PaymentProofError",
+      code: "escrow/invalid-payment-proof",
+      message:
+        "Enter the transaction hash of your payment so it can be verified.",
+    });
+    assert.throws(
+      () => buildPaymentProof({ txid: `0x${TXID}` }, tx),
+      /not a valid BTC transaction hash/
+    );
+  });
+
+  test("checks the sender address like any other", () => {
+    assert.throws(
+      () => buildPaymentProof({ txid: TXID, fromAddress: "0x123" }, tx),
+      PaymentProofError
+    );
+  });
+});
+
+describe("isProofSeenOnChain", () => {
+  test("matches the claimed txid against observed deposits", () => {
+    const claimed = { ...tx, paymentProof: { txid: TXID } };
+    assert.equal(isProofSeenOnChain(claimed), false);
+    const deposits = [{ txid: TXID.toUpperCase(), amount: "1" }];
+    assert.equal(isProofSeenOnChain({ ...claimed, deposits }), true);
+    assert.equal(isProofSeenOnChain({ ...tx, deposits }), false);
+  });
+});
+
+describe("duplicatePaymentProofs", () => {
+  test("lists txids claimed by more than one escrow", () => {
+    const other = "cd".repeat(32);
+    const claims = duplicatePaymentProofs([
+      { id: "TX1", paymentProof: { txid: TXID } },
+      { id: "TX2", paymentProof: { txid: other } },
+      { id: "TX3" },
+      { id: "TX4", paymentProof: { txid: TXID } },
+    ]);
+    assert.deepEqual([...claims], [[TXID, ["TX1", "TX4"]]]);
+  });
+});
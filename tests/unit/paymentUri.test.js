@@ -0,0 +1,127 @@
+// tests/unit/paymentUri.test.js
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { amountOutstanding, paymentUri } from "../../src/lib/paymentUri.js";
+
+const BTC_ADDRESS = "bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4";
+const BCH_ADDRESS = "qpm2qsznhks23z7629mms6s4cwef74vcwvy22gdx6a";
+const ETH_ADDRESS = "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed";
+
+// A 1% fee of `total` base units, split between the sides
+const splitFee = (total) => ({
+  payer: "split",
+  percentBps: 100,
+  total: total.toString(),
+  buyer: (total / 2n).toString(),
+  seller: (total / 2n).toString(),
+});
+
+// 1 BTC: 1.005 BTC due
+const btcTx = {
+  currency: "BTC",
+  amount: "100000000",
+  fee: splitFee(1000000n),
+  escrowWallet: BTC_ADDRESS,
+};
+
+describe("paymentUri", () => {
+  test("BTC: BIP-21 with the amount due and a label", () => {
+    assert.equal(
+      paymentUri(btcTx, { label: "Escrow TX1" }),
+      `bitcoin:${BTC_ADDRESS}?amount=1.005&label=Escrow%20TX1`
+    );
+  });
+
+  test("BCH: BIP-21 with the CashAddr prefix as scheme", () => {
+    const tx = {
+      ...btcTx,
+      currency: "BCH",
+      escrowWallet: `bitcoincash:${BCH_ADDRESS}`,
+    };
+    assert.equal(paymentUri(tx), `bitcoincash:${BCH_ADDRESS}?amount=1.005`);
+    // A stored address without the prefix gets the same URI
+    assert.equal(
+      paymentUri({ ...tx, escrowWallet: BCH_ADDRESS }),
+      paymentUri(tx)
+    );
+  });
+
+  test("ETH: EIP-681 with the value in wei and no label", () => {
+    const tx = {
+      currency: "ETH",
+      amount: "1000000000000000000",
+      fee: splitFee(10000000000000000n),
+      escrowWallet: ETH_ADDRESS,
+    };
+    assert.equal(
+      paymentUri(tx, { label: "Escrow TX1" }),
+      `ethereum:${ETH_ADDRESS}?value=1005000000000000000`
+    );
+  });
+
+  test("USDT: EIP-681 transfer() of the registry's token", () => {
+    const contract = "0xdAC17F958D2ee523a2206206994597C13D831ec7";
+    const tx = {
+      currency: "USDT",
+      amount: "100000000",
+      fee: splitFee(1000000n),
+      escrowWallet: ETH_ADDRESS,
+      // Whatever the escrow records, the wallet is asked for real USDT
+      token: { contract: `0x${"cd".repeat(20)}`, decimals: 6 },
+    };
+    assert.equal(
+      paymentUri(tx, { label: "Escrow TX1" }),
+      `ethereum:${contract}/transfer?address=${ETH_ADDRESS}&uint256=100500000`
+    );
+  });
+
+  test("USDT: a configured token contract replaces the registry's", () => {
+    const contract = `0x${"ef".repeat(20)}`;
+    const tx = {
+      currency: "USDT",
+      amount: "100000000",
+      fee: splitFee(1000000n),
+      escrowWallet: ETH_ADDRESS,
+    };
+    assert.equal(
+      paymentUri(tx, { contracts: { USDT: contract } }),
+      `ethereum:${contract}/transfer?address=${ETH_ADDRESS}&uint256=100500000`
+    );
+  });
+
+  test("asks only for what is still outstanding", () => {
+    const deposits = [{ amount: "60000000", confirmations: 0 }];
+    assert.equal(
+      paymentUri({ ...btcTx, deposits }),
+      `bitcoin:${BTC_ADDRESS}?amount=0.405`
+    );
+    const paid = [{ amount: "100500000", confirmations: 0 }];
+    assert.equal(
+      paymentUri({ ...btcTx, deposits: paid }),
+      `bitcoin:${BTC_ADDRESS}`
+    );
+  });
+
+  test("legacy float amounts get the bare address", () => {
+    assert.equal(
+      paymentUri({ currency: "BTC", amount: 1.5, escrowWallet: BTC_ADDRESS }),
+      `bitcoin:${BTC_ADDRESS}`
+    );
+  });
+
+  test("nothing without an address or a scheme", () => {
+    assert.equal(paymentUri({ ...btcTx, escrowWallet: null }), null);
+    assert.equal(paymentUri({ ...btcTx, currency: "DOGE" }), null);
+    assert.equal(paymentUri(null), null);
+  });
+});
+
+describe("amountOutstanding", () => {
+  test("never goes below zero", () => {
+    const deposits = [{ amount: "200000000", confirmations: 6 }];
+    assert.equal(amountOutstanding({ ...btcTx, deposits }), 0n);
+    assert.equal(amountOutstanding(btcTx), 100500000n);
+    assert.equal(amountOutstanding({ currency: "BTC", amount: 1 }), null);
+  });
+});
@@ -0,0 +1,235 @@
+// tests/unit/payouts.test.js
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  advancePayout,
+  buildPayout,
+  owedPayouts,
+  paidTo,
+  PayoutError,
+} from "../../src/lib/payouts.js";
+
+const SELLER_WALLET = "bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4";
+const BUYER_WALLET = "3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy";
+const TXID = "ab".repeat(32);
+
+// 1 BTC with a 1% fee split between the sides: 1.005 BTC deposited
+const tx = {
+  currency: "BTC",
+  amount: "100000000",
+  fee: {
+    payer: "split",
+    percentBps: 100,
+    total: "1000000",
+    buyer: "500000",
+    seller: "500000",
+  },
+  sellerWallet: SELLER_WALLET,
+  buyerWallet: BUYER_WALLET,
+};
+
+const form = {
+  recipient: "seller",
+  address: SELLER_WALLET,
+  amount: "0.995",
+  networkFee: "0.00001",
+  txid: "",
+};
+
+describe("owedPayouts", () => {
+  test("a release pays the seller net of their fee share", () => {
+    assert.deepEqual(owedPayouts({ ...tx, status: "completed" }), [
+      { recipient: "seller", address: SELLER_WALLET, amount: "99500000" },
+    ]);
+  });
+
+  test("a refund returns everything the buyer deposited", () => {
+    assert.deepEqual(owedPayouts({ ...tx, status: "refunded" }), [
+      { recipient: "buyer", address: BUYER_WALLET, amount: "100500000" },
+    ]);
+  });
+
+  test("a split follows the allocation, leaving out empty shares", () => {
+    const split = { ...tx, status: "settled_split" };
+    const allocation = {
+      seller: "60000000",
+      buyer: "40000000",
+      fee: "500000",
+      total: "100500000",
+    };
+    assert.deepEqual(owedPayouts({ ...split, allocation }), [
+      { recipient: "seller", address: SELLER_WALLET, amount: "60000000" },
+      { recipient: "buyer", address: BUYER_WALLET, amount: "40000000" },
+    ]);
+    const sellerOnly = { ...allocation, seller: "100000000", buyer: "0" };
+    assert.deepEqual(
+      owedPayouts({ ...split, allocation: sellerOnly }).map((p) => p.recipient),
+      ["seller"]
+    );
+  });
+
+  describe("with approved milestones", () => {
+    // 0.4 BTC released to the seller, 0.6 BTC still held
+    const staged = {
+      ...tx,
+      milestones: {
+        m1: { index: 0, amount: "40000000", status: "approved" },
+        m2: { index: 1, amount: "60000000", status: "delivered" },
+      },
+    };
+    // The seller's fee on the 0.4 BTC released: 40% of 0.005 BTC
+    const released = {
+      recipient: "seller",
+      address: SELLER_WALLET,
+      amount: "39800000",
+    };
+
+    test("a refund returns what is held and pays what was released", () => {
+      assert.deepEqual(owedPayouts({ ...staged, status: "refunded" }), [
+        released,
+        { recipient: "buyer", address: BUYER_WALLET, amount: "60500000" },
+      ]);
+    });
+
+    test("a split allocates what is held on top of what was released", () => {
+      const allocation = {
+        seller: "30000000",
+        buyer: "29900000",
+        fee: "600000",
+        total: "60500000",
+      };
+      const split = { ...staged, status: "settled_split", allocation };
+      assert.deepEqual(
+        owedPayouts(split).map((p) => p.amount),
+        ["69800000", "29900000"]
+      );
+      const refunded = { ...allocation, seller: "0", buyer: "60500000" };
+      assert.deepEqual(
+        owedPayouts({ ...split, status: "refunded", allocation: refunded }),
+        owedPayouts({ ...staged, status: "refunded" })
+      );
+    });
+
+    test("completion pays the seller the same as without milestones", () => {
+      const done = {
+        ...staged,
+        status: "completed",
+        milestones: {
+          m1: staged.milestones.m1,
+          m2: { ...staged.milestones.m2, status: "approved" },
+        },
+      };
+      assert.deepEqual(
+        owedPayouts(done),
+        owedPayouts({ ...tx, status: "completed" })
+      );
+    });
+  });
+
+  test("nothing is owed before the escrow is decided", () => {
+    assert.deepEqual(owedPayouts({ ...tx, status: "payment_received" }), []);
+    const legacy = { ...tx, status: "completed", amount: 1 };
+    assert.deepEqual(owedPayouts(legacy), []);
+  });
+});
+
+describe("buildPayout", () => {
+  const completed = { ...tx, status: "completed" };
+
+  test("records a pending payout in base units", () => {
+    const { id, payout } = buildPayout(form, completed, "ada", 42);
+    assert.equal(id, "p1");
+    assert.deepEqual(payout, {
+      index: 0,
+      recipient: "seller",
+      address: SELLER_WALLET,
+      amount: "99500000",
+      networkFee: "1000",
+      txid: null,
+      status: "pending",
+      recordedBy: "ada",
+      recordedAt: 42,
+      broadcastAt: null,
+      confirmedAt: null,
+    });
+  });
+
+  test("a txid makes it broadcast", () => {
+    const { payout } = buildPayout(
+      { ...form, txid: ` ${TXID.toUpperCase()} `, networkFee: "" },
+      completed,
+      "ada",
+      42
+    );
+    assert.equal(payout.txid, TXID);
+    assert.equal(payout.status, "broadcast");
+    assert.equal(payout.broadcastAt, 42);
+    assert.equal(payout.networkFee, "0");
+  });
+
+  test("refuses what cannot be a payout of this escrow", () => {
+    const invalid = [
+      [{ ...tx, status: "payment_received" }, form, /only be recorded once/],
+      [completed, { ...form, recipient: "arbiter" }, /Choose who/],
+      [completed, { ...form, address: "0x123" }, /Invalid BTC address/],
+      [completed, { ...form, amount: "0" }, PayoutError],
+      [completed, { ...form, txid: "0x1234" }, /not a valid BTC/],
+    ];
+    for (const [escrow, input, expected] of invalid) {
+      assert.throws(() => buildPayout(input, escrow, "ada", 42), expected);
+    }
+  });
+
+  test("numbers payouts and refuses a txid twice", () => {
+    const { id, payout } = buildPayout(
+      { ...form, txid: TXID },
+      completed,
+      "ada",
+      1
+    );
+    const paid = { ...completed, payouts: { [id]: payout } };
+    assert.equal(buildPayout(form, paid, "ada", 2).id, "p2");
+    assert.throws(
+      () => buildPayout({ ...form, txid: TXID }, paid, "ada", 2),
+      /recorded already/
+    );
+    assert.equal(paidTo(paid, "seller"), 99500000n);
+    assert.equal(paidTo(paid, "buyer"), 0n);
+  });
+});
+
+describe("advancePayout", () => {
+  const { payout } = buildPayout(form, { ...tx, status: "completed" }, "a", 1);
+  const recorded = { ...tx, status: "completed", payouts: { p1: payout } };
+
+  test("pending => broadcast needs the txid", () => {
+    assert.throws(
+      () => advancePayout(recorded, "p1", "broadcast", { at: 2 }),
+      /Enter the transaction hash/
+    );
+    const payouts = advancePayout(recorded, "p1", "broadcast", {
+      txid: TXID,
+      at: 2,
+    });
+    assert.equal(payouts.p1.status, "broadcast");
+    assert.equal(payouts.p1.broadcastAt, 2);
+  });
+
+  test("straight to confirmed stamps both and never goes back", () => {
+    const payouts = advancePayout(recorded, "p1", "confirmed", {
+      txid: TXID,
+      at: 3,
+    });
+    assert.equal(payouts.p1.broadcastAt, 3);
+    assert.equal(payouts.p1.confirmedAt, 3);
+    const confirmed = { ...recorded, payouts };
+    assert.throws(
+      () => advancePayout(confirmed, "p1", "broadcast", { at: 4 }),
+      /confirmed already/
+    );
+    assert.throws(() => advancePayout(confirmed, "p9", "confirmed"), {
+      message: "Unknown payout.",
+    });
+  });
+});
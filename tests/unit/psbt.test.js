@@ -0,0 +1,215 @@
+// tests/unit/psbt.test.js
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { secp256k1 } from "@noble/curves/secp256k1";
+import { bytesToHex, hexToBytes } from "@noble/hashes/utils";
+import {
+  combinePsbts,
+  createPsbt,
+  decodePsbt,
+  encodePsbt,
+  extractTransaction,
+  inputSighash,
+  isValidPartialSig,
+  outputScript,
+  PsbtError,
+  scriptAddress,
+  serializeTx,
+  signPsbtInput,
+  txidOf,
+  witnessSighash,
+} from "../../src/lib/psbt.js";
+
+// Wraps an unsigned transaction (hex) into a PSBT with empty maps
+function psbtOf(unsigned, inputs, outputs) {
+  const length = (unsigned.length / 2).toString(16).padStart(2, "0");
+  return `70736274ff0100${length}${unsigned}00${"00".repeat(inputs + outputs)}`;
+}
+
+// BIP-143, "Native P2WPKH": the second input is a P2WPKH output of 6 BTC
+const P2WPKH = {
+  unsigned:
+    "0100000002fff7f7881a8099afa6940d42d1e7f6362bec38171ea3edf433541db4e4ad" +
+    "969f0000000000eeffffffef51e1b804cc89d182d279655c3aa89e815b1b309fe287d9" +
+    "b2b55d57b90ec68a0100000000ffffffff02202cb206000000001976a9148280b37df3" +
+    "78db99f66f85c95a783a76ac7a6d5988ac9093510d000000001976a9143bde42dbee7e" +
+    "4dbe6a21b2d50ce2f0167faa815988ac11000000",
+  scriptCode: "76a9141d0f172a0ecb48aee1be1f2687d2963ae33f71a188ac",
+  amount: 600000000n,
+  sighash: "c37af31116d1b27caf68aae9e3ac82f1477929014d5b917657d0eb49478cb670",
+};
+
+// BIP-143, "P2SH-P2WSH": a 6-of-6 witness script spending 9.87654321 BTC
+const P2WSH = {
+  unsigned:
+    "010000000136641869ca081e70f394c6948e8af409e18b619df2ed74aa106c1ca29787" +
+    "b96e0100000000ffffffff0200e9a435000000001976a914389ffce9cd9ae88dcc0631" +
+    "e88a821ffdbe9bfe2688acc0832f05000000001976a9147480a33f950689af511e6e84" +
+    "c138dbbd3c3ee41588ac00000000",
+  witnessScript:
+    "56210307b8ae49ac90a048e9b53357a2354b3334e9c8bee813ecb98e99a7e07e8c3ba3" +
+    "2103b28f0c28bfab54554ae8c658ac5c3e0ce6e79ad336331f78c428dd43eea8449b21" +
+    "034b8113d703413d57761b8b9781957b8c0ac1dfe69f492580ca4195f50376ba4a2103" +
+    "3400f6afecb833092a9a21cfdf1ed1376e58c5d1f47de74683123987e967a8f42103a6" +
+    "d48b1131e94ba04d9737d61acdaa1322008af9602b3b14862c07a1789aac162102d8b6" +
+    "61b0b3302ee2f162b09e07a55ad5dfbe673a9f01d9f0c19617681024306b56ae",
+  amount: 987654321n,
+  sighash: "185c0be5263dce5b4bb50a047973c1b6272bfbd0103a89444597dc40b248ee7c",
+};
+
+// Throwaway keys for the round trip
+const KEYS = ["01", "02", "03"].map((k) => k.padStart(64, "0"));
+const pubkeyOf = (key) => bytesToHex(secp256k1.getPublicKey(key, true));
+
+// 1-of-1 P2WSH script: <pubkey> OP_CHECKSIG
+const witnessScript = hexToBytes(`21${pubkeyOf(KEYS[0])}ac`);
+const ADDRESS = "bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4";
+
+const fresh = () =>
+  createPsbt(
+    [
+      { txid: "11".repeat(32), vout: 0, amount: 70000n, witnessScript },
+      { txid: "22".repeat(32), vout: 3, amount: 30000n, witnessScript },
+    ],
+    [{ script: outputScript(ADDRESS), amount: 99000n }]
+  );
+
+describe("BIP-143 sighash", () => {
+  test("native P2WPKH vector", () => {
+    const { tx } = decodePsbt(psbtOf(P2WPKH.unsigned, 2, 2));
+    assert.equal(bytesToHex(serializeTx(tx)), P2WPKH.unsigned);
+    const sighash = witnessSighash(
+      tx,
+      1,
+      hexToBytes(P2WPKH.scriptCode),
+      P2WPKH.amount
+    );
+    assert.equal(bytesToHex(sighash), P2WPKH.sighash);
+  });
+
+  test("P2WSH multisig vector, SIGHASH_ALL", () => {
+    const { tx } = decodePsbt(psbtOf(P2WSH.unsigned, 1, 2));
+    const sighash = witnessSighash(
+      tx,
+      0,
+      hexToBytes(P2WSH.witnessScript),
+      P2WSH.amount
+    );
+    assert.equal(bytesToHex(sighash), P2WSH.sighash);
+  });
+});
+
+describe("addresses", () => {
+  test("output scripts map back to their address", () => {
+    const addresses = [
+      "bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4",
+      "bc1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3qccfmv3",
+      "bc1p5cyxnuxmeuwuvkwfem96lqzszd02n6xdcjrs20cac6yqjjwudpxqkedrcr",
+      "1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa",
+      "3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy",
+    ];
+    for (const address of addresses) {
+      assert.equal(scriptAddress(outputScript(address)), address);
+    }
+    assert.equal(
+      bytesToHex(outputScript(addresses[0])),
+      "0014751e76e8199196d454941c45d1b3a323f1433bd6"
+    );
+    assert.equal(scriptAddress(Uint8Array.of(0x6a, 0x00)), null);
+    assert.throws(() => outputScript("0x1234"));
+  });
+});
+
+describe("PSBT", () => {
+  test("encodes and decodes without losing anything", () => {
+    const psbt = fresh();
+    // Entries we do not know are carried through
+    psbt.unknown.push([Uint8Array.of(0xfc, 0x01), Uint8Array.of(0x2a)]);
+    psbt.inputs[1].unknown.push([Uint8Array.of(0x0e), Uint8Array.of(0x07)]);
+    const text = encodePsbt(psbt);
+    assert.deepEqual(decodePsbt(text), psbt);
+    assert.equal(encodePsbt(decodePsbt(text)), text);
+    // Hex works as well as base64
+    const hex = bytesToHex(Buffer.from(text, "base64"));
+    assert.deepEqual(decodePsbt(hex), psbt);
+  });
+
+  test("signs, combines and finalizes", () => {
+    const base = encodePsbt(fresh());
+    // Each input signed in its own copy, as two wallets would
+    const first = signPsbtInput(decodePsbt(base), 0, KEYS[0]);
+    const second = signPsbtInput(decodePsbt(base), 1, KEYS[0]);
+    const pubkey = pubkeyOf(KEYS[0]);
+    const combined = combinePsbts(
+      decodePsbt(encodePsbt(first)),
+      decodePsbt(encodePsbt(second))
+    );
+    for (const index of [0, 1]) {
+      const sig = combined.inputs[index].partialSigs[pubkey];
+      assert.ok(sig.endsWith("01"));
+      assert.ok(isValidPartialSig(combined, index, pubkey, sig));
+      // Signatures do not carry over to another input or key
+      assert.ok(!isValidPartialSig(combined, 1 - index, pubkey, sig));
+      assert.ok(!isValidPartialSig(combined, index, pubkeyOf(KEYS[1]), sig));
+    }
+
+    assert.throws(() => extractTransaction(combined), /signed yet/);
+    const final = {
+      ...combined,
+      inputs: combined.inputs.map((input) => ({
+        ...input,
+        finalWitness: [hexToBytes(input.partialSigs[pubkey]), witnessScript],
+      })),
+    };
+    const { hex, txid } = extractTransaction(decodePsbt(encodePsbt(final)));
+    assert.equal(txid, txidOf(combined.tx));
+    // Segwit marker and flag after the version, witnesses before locktime
+    assert.equal(hex.slice(8, 12), "0001");
+    assert.ok(hex.endsWith(`${bytesToHex(witnessScript)}00000000`));
+    assert.equal(
+      serializeTx(combined.tx, final.inputs.map((i) => i.finalWitness))
+        .length,
+      hex.length / 2
+    );
+  });
+
+  test("signatures commit to the amount spent", () => {
+    const psbt = signPsbtInput(fresh(), 0, KEYS[0]);
+    const sig = psbt.inputs[0].partialSigs[pubkeyOf(KEYS[0])];
+    const lied = {
+      ...psbt,
+      inputs: psbt.inputs.map((input, i) =>
+        i === 0
+          ? { ...input, witnessUtxo: { ...input.witnessUtxo, amount: 1n } }
+          : input
+      ),
+    };
+    assert.ok(!isValidPartialSig(lied, 0, pubkeyOf(KEYS[0]), sig));
+    assert.notDeepEqual(inputSighash(lied, 0), inputSighash(psbt, 0));
+  });
+
+  test("refuses to combine different transactions", () => {
+    const other = fresh();
+    other.tx.outputs[0].amount = 98000n;
+    assert.throws(() => combinePsbts(fresh(), other), /different transaction/);
+  });
+
+  test("refuses what is not a PSBT", () => {
+    const invalid = [
+      ["", /magic bytes/],
+      ["not base64!", /base64 or hex/],
+      [Buffer.from("psbt").toString("base64"), /magic bytes/],
+      ["70736274ff00", /no unsigned transaction/],
+      [psbtOf(P2WPKH.unsigned, 2, 1), /Unexpected end/],
+    ];
+    for (const [text, expected] of invalid) {
+      assert.throws(() => decodePsbt(text), (err) => {
+        assert.ok(err instanceof PsbtError);
+        assert.equal(err.code, "escrow/invalid-psbt");
+        assert.match(err.message, expected);
+        return true;
+      });
+    }
+  });
+});
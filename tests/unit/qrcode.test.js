@@ -0,0 +1,52 @@
+// tests/unit/qrcode.test.js
+
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { describe, test } from "node:test";
+import { encodeQr, QrError } from "../../src/lib/qrcode.js";
+
+// Reference symbols from the qrcode package (1.5.4): byte mode, level M,
+// with the version and mask it picked itself. Rows top to bottom, "#" dark.
+const VECTORS = JSON.parse(
+  readFileSync(new URL("./fixtures/qrcode.json", import.meta.url), "utf8")
+);
+
+const rowsOf = ({ modules }) =>
+  modules.map((row) => row.map((dark) => (dark ? "#" : ".")).join(""));
+
+describe("encodeQr", () => {
+  for (const { text, version, mask, rows } of VECTORS) {
+    test(`matches the reference symbol, version ${version}`, () => {
+      const qr = encodeQr(text);
+      assert.equal(qr.version, version);
+      assert.equal(qr.mask, mask);
+      assert.equal(qr.size, version * 4 + 17);
+      assert.deepEqual(rowsOf(qr), rows);
+    });
+  }
+
+  test("picks the smallest version the bytes fit", () => {
+    // Level M byte-mode capacity of versions 1-10
+    const capacity = [14, 26, 42, 62, 84, 106, 122, 152, 180, 213];
+    capacity.forEach((bytes, i) => {
+      assert.equal(encodeQr("a".repeat(bytes)).version, i + 1);
+      if (i + 1 < capacity.length) {
+        assert.equal(encodeQr("a".repeat(bytes + 1)).version, i + 2);
+      }
+    });
+  });
+
+  test("counts UTF-8 bytes, not characters", () => {
+    assert.equal(encodeQr("é".repeat(7)).version, 1);
+    assert.equal(encodeQr("é".repeat(8)).version, 2);
+  });
+
+  test("refuses text beyond version 10", () => {
+    assert.throws(() => encodeQr("a".repeat(214)), {
+      name: "QrError",
+      code: "escrow/qr-too-long",
+      message: "Text too long for a QR code (214 bytes).",
+    });
+    assert.throws(() => encodeQr("é".repeat(107)), QrError);
+  });
+});
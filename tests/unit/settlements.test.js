@@ -0,0 +1,154 @@
+// tests/unit/settlements.test.js
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  allocate,
+  allocateAll,
+  AllocationError,
+  describeAllocation,
+  fundedAmount,
+  heldAmount,
+  outstandingFee,
+} from "../../src/lib/settlements.js";
+
+// 1 BTC with a 1% fee split between the sides: 1.005 BTC deposited
+const tx = {
+  currency: "BTC",
+  amount: "100000000",
+  fee: {
+    payer: "split",
+    percentBps: 100,
+    total: "1000000",
+    buyer: "500000",
+    seller: "500000",
+  },
+};
+
+const withMilestone = {
+  ...tx,
+  milestones: {
+    m1: { status: "approved", amount: "40000000" },
+    m2: { status: "pending", amount: "60000000" },
+  },
+};
+
+// The shares of every allocation add up to its total
+function assertAddsUp(allocation) {
+  const { seller, buyer, fee, total } = allocation;
+  assert.equal(BigInt(seller) + BigInt(buyer) + BigInt(fee), BigInt(total));
+}
+
+describe("fundedAmount", () => {
+  test("is the amount due until deposits are confirmed", () => {
+    assert.equal(fundedAmount(tx), 100500000n);
+    const unconfirmed = [{ amount: "100600000", confirmations: 1 }];
+    assert.equal(fundedAmount({ ...tx, deposits: unconfirmed }), 100500000n);
+  });
+
+  test("then what was actually deposited, overpayment included", () => {
+    const deposits = [
+      { amount: "60000000", confirmations: 3 },
+      { amount: "40600000", confirmations: 2 },
+    ];
+    assert.equal(fundedAmount({ ...tx, deposits }), 100600000n);
+  });
+
+  test("refuses legacy float amounts", () => {
+    assert.throws(() => fundedAmount({ ...tx, amount: 1 }), AllocationError);
+  });
+});
+
+describe("allocate", () => {
+  test("takes decimal shares that add up to the amount held", () => {
+    const allocation = allocate(tx, {
+      seller: "0.5",
+      buyer: "0.495",
+      fee: "0.01",
+    });
+    assert.deepEqual(allocation, {
+      seller: "50000000",
+      buyer: "49500000",
+      fee: "1000000",
+      total: "100500000",
+    });
+    assertAddsUp(allocation);
+  });
+
+  test("blank and zero shares are zero", () => {
+    const allocation = allocate(tx, { seller: "1.005", buyer: "", fee: "0" });
+    assert.equal(allocation.buyer, "0");
+    assert.equal(allocation.fee, "0");
+    assertAddsUp(allocation);
+  });
+
+  test("says how far off a wrong allocation is", () => {
+    assert.throws(
+      () => allocate(tx, { seller: "0.5", buyer: "0.5", fee: "0.00499999" }),
+      {
+        name: "AllocationError",
+        message:
+          "Allocation must add up to the 1.005 BTC held (short by 0.00000001).",
+      }
+    );
+    assert.throws(
+      () => allocate(tx, { seller: "1", buyer: "0.01", fee: "" }),
+      /over by 0\.005\)/
+    );
+  });
+
+  test("only the amount still held after released milestones", () => {
+    assert.equal(heldAmount(withMilestone), 60500000n);
+    assertAddsUp(
+      allocate(withMilestone, { seller: "0.3", buyer: "0.3", fee: "0.005" })
+    );
+    assert.throws(
+      () => allocate(withMilestone, { seller: "1.005" }),
+      AllocationError
+    );
+  });
+});
+
+describe("allocateAll", () => {
+  test("a release pays the seller net of the fee", () => {
+    const allocation = allocateAll(tx, "seller");
+    assert.deepEqual(allocation, {
+      seller: "99500000",
+      buyer: "0",
+      fee: "1000000",
+      total: "100500000",
+    });
+    assertAddsUp(allocation);
+  });
+
+  test("a refund returns everything, fee included", () => {
+    const allocation = allocateAll(tx, "buyer");
+    assert.equal(allocation.buyer, "100500000");
+    assert.equal(allocation.fee, "0");
+    assertAddsUp(allocation);
+  });
+
+  test("released milestones have paid their share of the fee", () => {
+    assert.equal(outstandingFee(withMilestone), 600000n);
+    const allocation = allocateAll(withMilestone, "seller");
+    assert.equal(allocation.fee, "600000");
+    assertAddsUp(allocation);
+  });
+
+  test("the fee never exceeds what is held", () => {
+    const deposits = [{ amount: "400000", confirmations: 6 }];
+    const allocation = allocateAll({ ...tx, deposits }, "seller");
+    assert.equal(allocation.seller, "0");
+    assert.equal(allocation.fee, "400000");
+    assertAddsUp(allocation);
+  });
+});
+
+describe("describeAllocation", () => {
+  test("lists the non-zero shares", () => {
+    assert.equal(
+      describeAllocation(allocateAll(tx, "seller"), "BTC"),
+      "seller 0.995 BTC, fee 0.01 BTC"
+    );
+  });
+});